@@ -0,0 +1,340 @@
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendEmailVerification } = require('./authController');
+const { deleteUserData } = require('../lib/userData');
+const { getEmailTakenError } = require('../lib/accountStatus');
+const ExportJob = require('../models/ExportJob');
+const {
+  startExportJob,
+  describeJob,
+  getDownloadName,
+} = require('../lib/dataExport');
+
+// Longest username accepted on profile updates
+const MAX_USERNAME_LENGTH = 50;
+
+/**
+ * Shape the signed-in user's profile for a response
+ * @param {Object} user - User document (selected with User.PRIVATE_FIELDS)
+ * @returns {Object} Public profile fields
+ */
+const toProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  pendingEmail: user.pendingEmail || null,
+  emailVerified: user.emailVerified,
+  role: user.getRole(),
+  isAdmin: user.isAdmin || false,
+  twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+  createdAt: user.createdAt,
+});
+
+/**
+ * Get the signed-in user's profile
+ * @route GET /api/user/me
+ * @access Private
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(User.PRIVATE_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json(toProfile(user));
+  } catch (err) {
+    console.error('Error fetching profile:', err);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+};
+
+/**
+ * Update the signed-in user's profile (currently only the username)
+ * Email and password have their own endpoints because they need the
+ * current password
+ * @route PATCH /api/user/me
+ * @access Private
+ */
+exports.updateProfile = async (req, res) => {
+  const { username } = req.body;
+
+  if (username === undefined) {
+    return res.status(400).json({ error: 'No properties to update' });
+  }
+
+  if (
+    typeof username !== 'string' ||
+    !username.trim() ||
+    username.trim().length > MAX_USERNAME_LENGTH
+  ) {
+    return res.status(422).json({
+      error: `username must be 1-${MAX_USERNAME_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { username: username.trim() },
+      { new: true, select: User.PRIVATE_FIELDS },
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toProfile(user),
+      message: 'Profile updated successfully',
+    });
+  } catch (err) {
+    console.error('Error updating profile:', err);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+};
+
+/**
+ * Change the signed-in user's password
+ * Every other session is logged out; the current one stays signed in
+ * @route POST /api/user/me/password
+ * @access Private
+ */
+exports.changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res
+      .status(400)
+      .json({ error: 'Current and new password are required' });
+  }
+
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 12);
+    await user.save();
+
+    const result = await Session.revokeAllForUser(
+      user._id,
+      'password_change',
+      req.sessionId,
+    );
+
+    res.status(200).json({
+      message: 'Password changed successfully',
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (err) {
+    console.error('Error changing password:', err);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+};
+
+/**
+ * Request a change of email address
+ * The new address only replaces the current one once it has been verified
+ * @route POST /api/user/me/email
+ * @access Private
+ */
+exports.changeEmail = async (req, res) => {
+  const { email, currentPassword } = req.body;
+
+  if (!email || !currentPassword) {
+    return res
+      .status(400)
+      .json({ error: 'Email and current password are required' });
+  }
+
+  const newEmail = String(email).trim().toLowerCase();
+
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: 'That is already your email' });
+    }
+
+    const owner = await User.findOne({ email: newEmail }).select(
+      'deletedAt purgeAfter',
+    );
+    if (owner) {
+      return res.status(400).json(getEmailTakenError(owner));
+    }
+
+    user.pendingEmail = newEmail;
+    await sendEmailVerification(user);
+
+    res.status(200).json({
+      message: 'Verification email sent to the new address',
+      pendingEmail: newEmail,
+    });
+  } catch (err) {
+    console.error('Error changing email:', err);
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+};
+
+/**
+ * Delete the signed-in user's account and everything recorded about them
+ * @route DELETE /api/user/me
+ * @access Private
+ */
+exports.deleteAccount = async (req, res) => {
+  const { currentPassword } = req.body || {};
+
+  if (!currentPassword) {
+    return res.status(400).json({ error: 'Current password is required' });
+  }
+
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    // Same rule as the admin delete - admins must be demoted first
+    if (user.isAdmin) {
+      return res.status(403).json({ error: 'Admin users cannot be deleted' });
+    }
+
+    const removed = await deleteUserData(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully',
+      removed,
+    });
+  } catch (err) {
+    console.error('Error deleting account:', err);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+};
+
+/**
+ * Request an export of everything stored about the signed-in user
+ * The archive is built in the background; poll the job for its status
+ * @route POST /api/user/me/exports
+ * @access Private
+ */
+exports.requestExport = async (req, res) => {
+  try {
+    const { job, created } = await startExportJob(req.userId, req.userId);
+
+    res.status(202).json({
+      success: true,
+      data: describeJob(job),
+      message: created ? 'Export started' : 'An export is already in progress',
+    });
+  } catch (err) {
+    console.error('Error requesting data export:', err);
+    res.status(500).json({ error: 'Failed to start export' });
+  }
+};
+
+/**
+ * List the signed-in user's exports, newest first
+ * @route GET /api/user/me/exports
+ * @access Private
+ */
+exports.listExports = async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ userId: req.userId }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({ success: true, data: jobs.map(describeJob) });
+  } catch (err) {
+    console.error('Error listing data exports:', err);
+    res.status(500).json({ error: 'Failed to list exports' });
+  }
+};
+
+/**
+ * Find one of the signed-in user's export jobs, responding with an error
+ * when the ID is invalid or the job belongs to someone else
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} The job, or null if a response was sent
+ */
+const findOwnExport = async (req, res) => {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ error: 'Invalid export ID format' });
+    return null;
+  }
+
+  const job = await ExportJob.findOne({ _id: id, userId: req.userId });
+  if (!job) {
+    res.status(404).json({ error: 'Export not found' });
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * Get the status of one of the signed-in user's exports
+ * @route GET /api/user/me/exports/:id
+ * @access Private
+ */
+exports.getExport = async (req, res) => {
+  try {
+    const job = await findOwnExport(req, res);
+    if (!job) return;
+
+    res.status(200).json({ success: true, data: describeJob(job) });
+  } catch (err) {
+    console.error('Error fetching data export:', err);
+    res.status(500).json({ error: 'Failed to fetch export' });
+  }
+};
+
+/**
+ * Download a finished export archive
+ * @route GET /api/user/me/exports/:id/download
+ * @access Private
+ */
+exports.downloadExport = async (req, res) => {
+  try {
+    const job = await findOwnExport(req, res);
+    if (!job) return;
+
+    if (!job.isDownloadable()) {
+      return res.status(409).json({
+        error: 'Export is not ready for download',
+        status: job.status,
+      });
+    }
+
+    res.download(job.filePath, getDownloadName(job));
+  } catch (err) {
+    console.error('Error downloading data export:', err);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+};
@@ -11,13 +11,47 @@ const {
 } = require('../lib/agg');
 const LoginEvent = require('../models/LoginEvent');
 const PlayEvent = require('../models/PlayEvent');
+const Session = require('../models/Session');
+const { createImpersonationSession } = require('../lib/tokens');
+const Setting = require('../models/Setting');
+const loginThrottle = require('../lib/loginThrottle');
+const { getSuspiciousLogins } = require('../lib/loginAnomalies');
+const { ROLES, getPermissionsForRole } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
+const {
+  revokeAccess,
+  softDeleteUser,
+  restoreUser,
+  purgeUser,
+} = require('../lib/userData');
+const ExportJob = require('../models/ExportJob');
+const {
+  startExportJob,
+  describeJob,
+  getDownloadName,
+} = require('../lib/dataExport');
+const AuditEvent = require('../models/AuditEvent');
+
+// Runtime settings admins may change, with their type and default value
+const ADMIN_SETTINGS = {
+  requireAdmin2FA: {
+    type: 'boolean',
+    default: () => process.env.ADMIN_REQUIRE_2FA === 'true',
+  },
+  // Signup needs an invitation code (closed beta)
+  inviteOnly: {
+    type: 'boolean',
+    default: () => process.env.INVITE_ONLY === 'true',
+  },
+};
 
 // Get all users with sensitive fields filtered out
+// Soft-deleted users are hidden unless ?includeDeleted=true
 exports.getUsers = async (req, res) => {
   try {
-    const users = await User.find({}).select(
-      '-password -resetPasswordToken -resetPasswordExpires',
-    );
+    const filter =
+      req.query.includeDeleted === 'true' ? {} : { deletedAt: null };
+    const users = await User.find(filter).select(User.PRIVATE_FIELDS);
     return res.status(200).json(users);
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -25,7 +59,7 @@ exports.getUsers = async (req, res) => {
   }
 };
 
-// Delete a user by ID
+// Soft-delete a user by ID; the account can be restored until it is purged
 exports.deleteUser = async (req, res) => {
   const { id } = req.params;
 
@@ -48,17 +82,29 @@ exports.deleteUser = async (req, res) => {
       return res.status(403).json({ error: 'Admin users cannot be deleted' });
     }
 
-    // Delete the user in a separate operation
-    const result = await User.findByIdAndDelete(id);
+    // Block the account now; the purge job removes it after the window
+    const deleted = await softDeleteUser(id);
 
-    // Double check the deletion was successful
-    if (!result) {
-      throw new Error('User deletion failed');
+    if (!deleted) {
+      return res.status(409).json({ error: 'User is already deleted' });
     }
 
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: id,
+      before: {
+        username: userToDelete.username,
+        email: userToDelete.email,
+        role: userToDelete.getRole(),
+      },
+      metadata: { purgeAfter: deleted.purgeAfter },
+    });
+
     return res.status(200).json({
       success: true,
       message: 'User deleted successfully',
+      restorableUntil: deleted.purgeAfter,
     });
   } catch (error) {
     console.error('Error in delete user operation:', error);
@@ -66,13 +112,20 @@ exports.deleteUser = async (req, res) => {
   }
 };
 
-// Change user role (promote/demote admin status)
+// Assign a role to a user
+// Accepts { role } or the legacy { isAdmin } boolean (true = admin, false = user)
 exports.changeUserRole = async (req, res) => {
   const { id } = req.params;
-  const { isAdmin } = req.body;
+  const { role, isAdmin } = req.body;
 
-  // Validate isAdmin is boolean
-  if (typeof isAdmin !== 'boolean') {
+  // Validate the requested role
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      return res
+        .status(422)
+        .json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+  } else if (typeof isAdmin !== 'boolean') {
     return res.status(422).json({ error: 'isAdmin boolean required' });
   }
 
@@ -81,14 +134,33 @@ exports.changeUserRole = async (req, res) => {
     return res.status(400).json({ error: 'Invalid user ID format' });
   }
 
+  const newRole = role !== undefined ? role : isAdmin ? 'admin' : 'user';
+
   try {
-    // Find and update user
+    const existing = await User.findById(id).select('isAdmin role');
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Never leave the system without an admin
+    if (existing.getRole() === 'admin' && newRole !== 'admin') {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: id },
+        isAdmin: true,
+      });
+      if (otherAdmins === 0) {
+        return res.status(400).json({ error: 'Cannot remove the last admin' });
+      }
+    }
+
+    // Keep the legacy isAdmin flag in step with the role
     const user = await User.findByIdAndUpdate(
       id,
-      { isAdmin },
+      { role: newRole, isAdmin: newRole === 'admin' },
       {
         new: true,
-        select: '-password -resetPasswordToken -resetPasswordExpires',
+        select: User.PRIVATE_FIELDS,
       },
     );
 
@@ -96,10 +168,23 @@ exports.changeUserRole = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await recordAudit(req, {
+      action: 'user.role',
+      targetType: 'user',
+      targetId: id,
+      before: { role: existing.getRole(), isAdmin: existing.isAdmin },
+      after: { role: newRole, isAdmin: newRole === 'admin' },
+    });
+
+    let message = `User assigned ${newRole} role`;
+    if (role === undefined) {
+      message = `User ${isAdmin ? 'promoted to' : 'demoted from'} admin role`;
+    }
+
     res.json({
       success: true,
       data: user,
-      message: `User ${isAdmin ? 'promoted to' : 'demoted from'} admin role`,
+      message,
     });
   } catch (error) {
     console.error('Error changing user role:', error);
@@ -107,6 +192,737 @@ exports.changeUserRole = async (req, res) => {
   }
 };
 
+// Force-logout a user by revoking all of their sessions
+exports.forceLogoutUser = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  try {
+    const user = await User.findById(id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await Session.revokeAllForUser(id, 'admin_force_logout');
+
+    await recordAudit(req, {
+      action: 'user.logout',
+      targetType: 'user',
+      targetId: id,
+      metadata: { revokedSessions: result.modifiedCount },
+    });
+
+    return res.status(200).json({
+      success: true,
+      revoked: result.modifiedCount,
+      message: 'User logged out of all sessions',
+    });
+  } catch (error) {
+    console.error('Error forcing user logout:', error);
+    return res.status(500).json({ error: 'Failed to log out user' });
+  }
+};
+
+/**
+ * Suspend a user: block logins and API access, optionally until a date
+ * @route POST /api/admin/users/:id/suspend
+ * @access Private (Admin only)
+ */
+exports.suspendUser = async (req, res) => {
+  const { id } = req.params;
+  const { reason, until } = req.body || {};
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(422).json({ error: 'Suspension reason required' });
+  }
+
+  let untilDate = null;
+  if (until) {
+    untilDate = new Date(until);
+    if (isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+      return res
+        .status(422)
+        .json({ error: 'Suspension end must be a future date' });
+    }
+  }
+
+  try {
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Staff are demoted first so the last admin can never be locked out
+    if (user.getRole() !== 'user') {
+      return res
+        .status(403)
+        .json({ error: 'Staff accounts cannot be suspended' });
+    }
+
+    const before = user.isSuspended()
+      ? { reason: user.suspension.reason, until: user.suspension.until || null }
+      : null;
+
+    user.suspension = {
+      reason: reason.trim(),
+      at: new Date(),
+      until: untilDate,
+      by: req.userId,
+    };
+    await user.save();
+
+    const revoked = await revokeAccess(id, 'account_suspended');
+
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: id,
+      before: { suspension: before },
+      after: {
+        suspension: { reason: user.suspension.reason, until: untilDate },
+      },
+      metadata: revoked,
+    });
+
+    return res.status(200).json({
+      success: true,
+      suspension: user.suspension,
+      message: 'User suspended',
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    return res.status(500).json({ error: 'Failed to suspend user' });
+  }
+};
+
+/**
+ * Lift a user's suspension
+ * @route POST /api/admin/users/:id/unsuspend
+ * @access Private (Admin only)
+ */
+exports.unsuspendUser = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  try {
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.isSuspended()) {
+      return res.status(409).json({ error: 'User is not suspended' });
+    }
+
+    const before = {
+      reason: user.suspension.reason,
+      until: user.suspension.until || null,
+    };
+
+    await User.updateOne({ _id: id }, { $unset: { suspension: 1 } });
+
+    await recordAudit(req, {
+      action: 'user.unsuspend',
+      targetType: 'user',
+      targetId: id,
+      before: { suspension: before },
+      after: { suspension: null },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User suspension lifted',
+    });
+  } catch (error) {
+    console.error('Error lifting suspension:', error);
+    return res.status(500).json({ error: 'Failed to lift suspension' });
+  }
+};
+
+/**
+ * Restore a soft-deleted user while the restore window is open
+ * @route POST /api/admin/users/:id/restore
+ * @access Private (Admin only)
+ */
+exports.restoreUser = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  try {
+    const user = await User.findById(id).select('deletedAt purgeAfter');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.isDeleted()) {
+      return res.status(409).json({ error: 'User is not deleted' });
+    }
+
+    const restored = await restoreUser(id);
+
+    if (!restored) {
+      return res
+        .status(410)
+        .json({ error: 'Restore window has ended for this user' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetType: 'user',
+      targetId: id,
+      before: { deletedAt: user.deletedAt },
+      after: { deletedAt: null },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User restored',
+    });
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    return res.status(500).json({ error: 'Failed to restore user' });
+  }
+};
+
+/**
+ * Purge a soft-deleted user now instead of waiting for the restore window
+ * Listening history is anonymized; everything else is removed
+ * @route POST /api/admin/users/:id/purge
+ * @access Private (Admin only)
+ */
+exports.purgeUser = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  try {
+    const user = await User.findById(id).select('username email deletedAt');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Purging is irreversible, so it only follows a soft delete
+    if (!user.isDeleted()) {
+      return res
+        .status(409)
+        .json({ error: 'Only deleted users can be purged' });
+    }
+
+    const removed = await purgeUser(id);
+
+    await recordAudit(req, {
+      action: 'user.purge',
+      targetType: 'user',
+      targetId: id,
+      before: { username: user.username, email: user.email },
+      metadata: removed,
+    });
+
+    return res.status(200).json({
+      success: true,
+      removed,
+      message: 'User purged',
+    });
+  } catch (error) {
+    console.error('Error purging user:', error);
+    return res.status(500).json({ error: 'Failed to purge user' });
+  }
+};
+
+/**
+ * Start a read-only impersonation session to see exactly what a user sees
+ * The token expires after 15 minutes, cannot be refreshed and is rejected by
+ * every admin route; POST /api/auth/logout with it ends the session early
+ * @route POST /api/admin/users/:id/impersonate
+ * @access Private (Admin only)
+ */
+exports.impersonateUser = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(422).json({ error: 'Impersonation reason required' });
+  }
+
+  try {
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Impersonating staff would hand out their permissions
+    if (user.getRole() !== 'user') {
+      return res
+        .status(403)
+        .json({ error: 'Staff accounts cannot be impersonated' });
+    }
+
+    if (user.isDeleted() || user.isSuspended()) {
+      return res
+        .status(409)
+        .json({ error: 'Cannot impersonate a suspended or deleted account' });
+    }
+
+    const { token, session } = await createImpersonationSession(
+      user,
+      { id: req.userId, role: req.role },
+      {
+        reason: reason.trim(),
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+      },
+    );
+
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      targetType: 'user',
+      targetId: id,
+      metadata: {
+        reason: reason.trim(),
+        sessionId: session._id,
+        expiresAt: session.expiresAt,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      token,
+      expiresAt: session.expiresAt,
+      readOnly: true,
+      user: { id: user._id, username: user.username, email: user.email },
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    return res.status(500).json({ error: 'Failed to impersonate user' });
+  }
+};
+
+/**
+ * Export everything stored about a user (same archive the user can request)
+ * @route POST /api/admin/users/:id/exports
+ * @access Private (Admin only)
+ */
+exports.exportUserData = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  try {
+    if (!(await User.exists({ _id: id }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { job, created } = await startExportJob(id, req.userId);
+
+    if (created) {
+      await recordAudit(req, {
+        action: 'user.export',
+        targetType: 'user',
+        targetId: id,
+        metadata: { exportId: job._id },
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      data: describeJob(job),
+      message: created ? 'Export started' : 'An export is already in progress',
+    });
+  } catch (error) {
+    console.error('Error starting user export:', error);
+    return res.status(500).json({ error: 'Failed to start export' });
+  }
+};
+
+/**
+ * Get the status of any export job
+ * @route GET /api/admin/exports/:id
+ * @access Private (Admin only)
+ */
+exports.getExportJob = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid export ID format' });
+  }
+
+  try {
+    const job = await ExportJob.findById(id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    return res.status(200).json({ success: true, data: describeJob(job) });
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    return res.status(500).json({ error: 'Failed to fetch export' });
+  }
+};
+
+/**
+ * Download any finished export archive
+ * @route GET /api/admin/exports/:id/download
+ * @access Private (Admin only)
+ */
+exports.downloadExportJob = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid export ID format' });
+  }
+
+  try {
+    const job = await ExportJob.findById(id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    if (!job.isDownloadable()) {
+      return res.status(409).json({
+        error: 'Export is not ready for download',
+        status: job.status,
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.export_download',
+      targetType: 'user',
+      targetId: job.userId,
+      metadata: { exportId: job._id },
+    });
+
+    return res.download(job.filePath, getDownloadName(job));
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    return res.status(500).json({ error: 'Failed to download export' });
+  }
+};
+
+/**
+ * List locked accounts, accounts with recent failures and throttled IPs
+ * @route GET /api/admin/lockouts
+ * @access Private (Admin only)
+ */
+exports.getLockouts = async (req, res) => {
+  try {
+    const users = await User.find({
+      $or: [
+        { lockUntil: { $gt: new Date() } },
+        { failedLoginAttempts: { $gte: loginThrottle.FREE_ATTEMPTS } },
+      ],
+    })
+      .select('username email failedLoginAttempts lastFailedLoginAt lockUntil')
+      .sort({ lastFailedLoginAt: -1 });
+
+    // Recent failed attempts recorded in the login history
+    const recentFailures = await LoginEvent.find({
+      success: false,
+      at: { $gte: getDaysAgo(1) },
+    })
+      .sort({ at: -1 })
+      .limit(100)
+      .select('userId email ip reason at');
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        accounts: users.map((user) => ({
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          failedLoginAttempts: user.failedLoginAttempts,
+          lastFailedLoginAt: user.lastFailedLoginAt,
+          locked: user.isLocked(),
+          lockUntil: user.lockUntil,
+        })),
+        ips: loginThrottle.listIpFailures(),
+        recentFailures,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching lockouts:', error);
+    return res.status(500).json({ error: 'Failed to fetch lockouts' });
+  }
+};
+
+/**
+ * Feed of suspicious logins: IPs used by many accounts, impossible travel
+ * and sign-ins from new devices
+ * @route GET /api/admin/security/suspicious-logins?hours=24
+ * @access Private (Admin only)
+ */
+exports.getSuspiciousLogins = async (req, res) => {
+  try {
+    // Login history is only kept for 30 days
+    const hours = Math.min(parseInt(req.query.hours, 10) || 24, 30 * 24);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const data = await getSuspiciousLogins(since);
+
+    return res.status(200).json({
+      success: true,
+      since,
+      data,
+    });
+  } catch (error) {
+    console.error('Error fetching suspicious logins:', error);
+    return res.status(500).json({ error: 'Failed to fetch suspicious logins' });
+  }
+};
+
+/**
+ * Clear the lockout and failed attempts on an account
+ * @route DELETE /api/admin/lockouts/users/:id
+ * @access Private (Admin only)
+ */
+exports.clearUserLockout = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  try {
+    const result = await loginThrottle.clearAccount(id);
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'lockout.clear',
+      targetType: 'user',
+      targetId: id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account lockout cleared',
+    });
+  } catch (error) {
+    console.error('Error clearing account lockout:', error);
+    return res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+};
+
+/**
+ * Clear failed login tracking for an IP address
+ * @route DELETE /api/admin/lockouts/ips/:ip
+ * @access Private (Admin only)
+ */
+exports.clearIpLockout = async (req, res) => {
+  const { ip } = req.params;
+
+  if (!loginThrottle.clearIp(ip)) {
+    return res.status(404).json({ error: 'IP address not tracked' });
+  }
+
+  await recordAudit(req, {
+    action: 'lockout.clear',
+    targetType: 'ip',
+    targetId: ip,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'IP lockout cleared',
+  });
+};
+
+/**
+ * Get the audit trail of admin actions, newest first
+ * Filters: actor, action, targetType, targetId, from, to (ISO dates)
+ * @route GET /api/admin/audit
+ * @access Private (Admin only)
+ */
+exports.getAuditLog = async (req, res) => {
+  const {
+    actor,
+    action,
+    targetType,
+    targetId,
+    from,
+    to,
+    limit = 50,
+    page = 1,
+  } = req.query;
+
+  const filter = {};
+
+  if (actor) {
+    if (!actor.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid actor ID format' });
+    }
+    filter.actorId = actor;
+  }
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = new Date(from);
+    if (to) filter.at.$lte = new Date(to);
+    if (Object.values(filter.at).some((date) => isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+  try {
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ at: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('actorId', 'username email'),
+      AuditEvent.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      events,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    return res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+};
+
+/**
+ * List the available roles and the permissions each one grants
+ * @route GET /api/admin/roles
+ * @access Private (Admin only)
+ */
+exports.getRoles = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: ROLES.map((role) => ({
+      role,
+      permissions: getPermissionsForRole(role),
+    })),
+  });
+};
+
+/**
+ * Get runtime settings
+ * @route GET /api/admin/settings
+ * @access Private (Admin only)
+ */
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = {};
+    for (const [key, definition] of Object.entries(ADMIN_SETTINGS)) {
+      settings[key] = await Setting.getValue(key, definition.default());
+    }
+
+    return res.status(200).json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    return res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+};
+
+/**
+ * Update one or more runtime settings
+ * @route PATCH /api/admin/settings
+ * @access Private (Admin only)
+ */
+exports.updateSettings = async (req, res) => {
+  const updates = req.body || {};
+  const keys = Object.keys(updates);
+
+  if (keys.length === 0) {
+    return res.status(400).json({ error: 'No settings to update' });
+  }
+
+  // Validate every key before writing anything
+  for (const key of keys) {
+    const definition = ADMIN_SETTINGS[key];
+    if (!definition) {
+      return res.status(400).json({ error: `Unknown setting: ${key}` });
+    }
+    if (typeof updates[key] !== definition.type) {
+      return res
+        .status(422)
+        .json({ error: `${key} must be a ${definition.type}` });
+    }
+  }
+
+  try {
+    const settings = {};
+    for (const key of keys) {
+      const definition = ADMIN_SETTINGS[key];
+      const previous = await Setting.getValue(key, definition.default());
+      await Setting.setValue(key, updates[key], req.userId);
+      settings[key] = updates[key];
+
+      await recordAudit(req, {
+        action: 'setting.update',
+        targetType: 'setting',
+        targetId: key,
+        before: { value: previous },
+        after: { value: updates[key] },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: settings,
+      message: 'Settings updated successfully',
+    });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    return res.status(500).json({ error: 'Failed to update settings' });
+  }
+};
+
 // Get system statistics
 exports.getStats = async (req, res) => {
   try {
@@ -193,6 +1009,9 @@ exports.getStats = async (req, res) => {
       users: {
         total: userCount,
         admins: await User.countDocuments({ isAdmin: true }),
+        staff: await User.countDocuments({
+          role: { $in: ['moderator', 'analyst', 'support'] },
+        }),
       },
       music: musicStats,
       pageViews: {
@@ -304,6 +1123,12 @@ exports.updateMessage = async (req, res) => {
     if (read !== undefined) updateData.read = read;
     if (important !== undefined) updateData.important = important;
 
+    const previous = await ContactMessage.findById(id).select('read important');
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
     const message = await ContactMessage.findByIdAndUpdate(id, updateData, {
       new: true,
     });
@@ -312,6 +1137,14 @@ exports.updateMessage = async (req, res) => {
       return res.status(404).json({ error: 'Message not found' });
     }
 
+    await recordAudit(req, {
+      action: 'message.update',
+      targetType: 'message',
+      targetId: id,
+      before: { read: previous.read, important: previous.important },
+      after: { read: message.read, important: message.important },
+    });
+
     const transformedMessage = {
       id: message._id,
       name: message.fullName,
@@ -350,6 +1183,17 @@ exports.deleteMessage = async (req, res) => {
       return res.status(404).json({ error: 'Message not found' });
     }
 
+    await recordAudit(req, {
+      action: 'message.delete',
+      targetType: 'message',
+      targetId: id,
+      before: {
+        fullName: result.fullName,
+        email: result.email,
+        subject: result.subject,
+      },
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Message deleted successfully',
@@ -385,6 +1229,7 @@ exports.getDailyActiveUsers = async (req, res) => {
       {
         $match: {
           at: { $gte: oneDayAgo },
+          success: { $ne: false }, // ignore failed login attempts
         },
       },
       {
@@ -402,6 +1247,7 @@ exports.getDailyActiveUsers = async (req, res) => {
       {
         $match: {
           at: { $gte: sevenDaysAgo },
+          success: { $ne: false }, // ignore failed login attempts
         },
       },
       {
@@ -528,6 +1374,7 @@ exports.getDailyActiveUsers = async (req, res) => {
       {
         $match: {
           at: { $gte: oneDayAgo },
+          success: { $ne: false }, // ignore failed login attempts
         },
       },
       {
@@ -546,6 +1393,7 @@ exports.getDailyActiveUsers = async (req, res) => {
       {
         $match: {
           at: { $gte: sevenDaysAgo },
+          success: { $ne: false }, // ignore failed login attempts
         },
       },
       {
@@ -664,6 +1512,7 @@ exports.getUserActivitySummary = async (req, res, next) => {
           $gte: targetDate,
           $lt: nextDate,
         },
+        success: { $ne: false },
       });
 
       let dateLabel = targetDate.toLocaleDateString('en-US', {
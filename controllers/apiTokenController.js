@@ -0,0 +1,128 @@
+const ApiToken = require('../models/ApiToken');
+const {
+  SCOPES,
+  MAX_TOKEN_DAYS,
+  MAX_TOKENS_PER_USER,
+  createApiToken,
+  describeApiToken,
+} = require('../lib/apiTokens');
+
+/**
+ * List the signed-in user's personal API tokens, newest first
+ * @route GET /api/user/tokens
+ * @access Private
+ */
+exports.listTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.userId }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: tokens.map(describeApiToken),
+      scopes: SCOPES,
+    });
+  } catch (err) {
+    console.error('Error listing API tokens:', err);
+    res.status(500).json({ error: 'Failed to list API tokens' });
+  }
+};
+
+/**
+ * Create a personal API token. The token is returned once and never again
+ * @route POST /api/user/tokens
+ * @access Private
+ */
+exports.createToken = async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((scope) => !SCOPES.includes(scope))
+  ) {
+    return res
+      .status(422)
+      .json({ error: `scopes must be a list of: ${SCOPES.join(', ')}` });
+  }
+
+  if (
+    expiresInDays !== undefined &&
+    (!Number.isInteger(expiresInDays) ||
+      expiresInDays < 1 ||
+      expiresInDays > MAX_TOKEN_DAYS)
+  ) {
+    return res.status(422).json({
+      error: `expiresInDays must be a whole number from 1 to ${MAX_TOKEN_DAYS}`,
+    });
+  }
+
+  try {
+    const activeCount = await ApiToken.countDocuments({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        error: `Maximum of ${MAX_TOKENS_PER_USER} active tokens reached`,
+      });
+    }
+
+    const { token, apiToken } = await createApiToken(req.userId, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresInDays,
+    });
+
+    res.status(201).json({
+      success: true,
+      token,
+      data: describeApiToken(apiToken),
+      message: 'Copy this token now - it will not be shown again',
+    });
+  } catch (err) {
+    console.error('Error creating API token:', err);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+};
+
+/**
+ * Revoke one of the signed-in user's personal API tokens
+ * @route DELETE /api/user/tokens/:id
+ * @access Private
+ */
+exports.revokeToken = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid token ID format' });
+  }
+
+  try {
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: id, userId: req.userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true },
+    );
+
+    if (!apiToken) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: describeApiToken(apiToken),
+      message: 'Token revoked',
+    });
+  } catch (err) {
+    console.error('Error revoking API token:', err);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+};
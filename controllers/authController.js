@@ -1,55 +1,441 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { sendPasswordResetEmail } = require('../utils/emailSender');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  sendNewSignInEmail,
+} = require('../utils/emailSender');
 const LoginEvent = require('../models/LoginEvent');
+const Setting = require('../models/Setting');
+const Invitation = require('../models/Invitation');
+const { detectDeviceTypeFromUserAgent } = require('../utils/deviceDetection');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  createSession,
+  hashToken,
+  rotateRefreshToken,
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+} = require('../lib/tokens');
+const { generateSecret, verifyTOTP, buildOtpAuthUri } = require('../lib/totp');
+const { encryptSecret, decryptSecret } = require('../lib/totpSecrets');
+const loginThrottle = require('../lib/loginThrottle');
+const {
+  getEmailTakenError,
+  rejectBlockedAccount,
+} = require('../lib/accountStatus');
+const { getGeo, detectLoginAnomalies } = require('../lib/loginAnomalies');
+const { revokeAccess } = require('../lib/userData');
+const { buildAppLink } = require('../lib/appLinks');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
-const JWT_EXPIRES_IN = '7d';
+// Number of one-time recovery codes issued when 2FA is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Get the client IP address
+ * req.ip only reads X-Forwarded-For as far as the 'trust proxy' setting in
+ * server.js allows, so clients cannot pick the IP they are throttled under
+ * @param {Object} req - Express request object
+ * @returns {string} Client IP address
+ */
+const getClientIp = (req) => req.ip;
+
+/**
+ * Email a "new sign-in" alert with a link that signs every device out
+ * @param {Object} user - User document
+ * @param {Object} event - LoginEvent for the sign-in
+ * @returns {Promise<void>}
+ */
+const sendLoginAlert = async (user, event) => {
+  const revokeToken = crypto.randomBytes(32).toString('hex');
+  await Session.updateOne(
+    { _id: event.sessionId },
+    { $set: { alertTokenHash: hashToken(revokeToken) } },
+  );
+
+  const revokeUrl = buildAppLink('revoke-access', revokeToken);
+
+  await sendNewSignInEmail({
+    email: user.email,
+    at: event.at,
+    device: `${event.deviceType} (${event.userAgent || 'unknown browser'})`,
+    ip: event.ip,
+    location: [event.city, event.country].filter(Boolean).join(', '),
+    revokeUrl,
+  });
+};
+
+/**
+ * Start a session for an authenticated user, record the login and respond
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const completeLogin = async (user, req, res) => {
+  // Get IP address from headers or connection
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'];
+  const geo = getGeo(req.headers);
+
+  // Compare with earlier logins before this one joins the history
+  let anomalies = [];
+  try {
+    anomalies = await detectLoginAnomalies(user._id, {
+      ip,
+      userAgent,
+      location: geo.location,
+    });
+  } catch (err) {
+    console.error('Login anomaly check error:', err);
+  }
+
+  // Start a session and issue the token pair
+  const { token, refreshToken, session } = await createSession(user, {
+    ip,
+    userAgent,
+  });
+
+  // A successful login resets the failed attempt counter
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await loginThrottle.clearAccount(user._id);
+  }
+
+  // Log login event with IP, device and location details
+  const event = await LoginEvent.create({
+    userId: user._id,
+    ip: ip,
+    userAgent,
+    deviceType: detectDeviceTypeFromUserAgent(userAgent),
+    sessionId: session._id,
+    ...geo,
+    anomalies: anomalies.length > 0 ? anomalies : undefined,
+  });
+
+  // Alert the owner without holding up the login
+  if (anomalies.length > 0) {
+    sendLoginAlert(user, event).catch((err) =>
+      console.error('Login alert email error:', err),
+    );
+  }
+
+  res.json({
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    userId: user._id,
+    isAdmin: user.isAdmin || false,
+    role: user.getRole(),
+    emailVerified: user.emailVerified,
+  });
+};
+
+/**
+ * Record a failed login attempt and lock the account when the limit is hit
+ * @param {Object|null} user - User document, or null for an unknown email
+ * @param {Object} req - Express request object
+ * @param {string} reason - Why the attempt failed
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async (user, req, reason) => {
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'];
+
+  loginThrottle.recordIpFailure(ip);
+
+  // Failed attempts live next to successful logins in the LoginEvent history
+  await LoginEvent.create({
+    userId: user ? user._id : undefined,
+    success: false,
+    email: user ? user.email : String(req.body.email || '').toLowerCase(),
+    reason,
+    ip,
+    userAgent,
+    deviceType: detectDeviceTypeFromUserAgent(userAgent),
+  });
+
+  if (!user) {
+    return;
+  }
+
+  const { user: updated, justLocked } =
+    await loginThrottle.recordAccountFailure(user);
+
+  if (justLocked) {
+    const unlockToken = updated.createAccountUnlock();
+    await updated.save();
+
+    const unlockUrl = buildAppLink('unlock', unlockToken);
+
+    try {
+      await sendAccountLockedEmail({
+        email: updated.email,
+        unlockUrl,
+        lockUntil: updated.lockUntil,
+      });
+    } catch (mailErr) {
+      console.error('Account locked email error:', mailErr);
+    }
+  }
+};
+
+/**
+ * Reject the request if the IP or account has to wait before trying again
+ * @param {Object|null} user - User document (null to only check the IP)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if a response was sent and the login must stop
+ */
+const rejectIfThrottled = (user, req, res) => {
+  const ipStatus = loginThrottle.checkIp(getClientIp(req));
+  if (ipStatus.blocked || ipStatus.retryAfter > 0) {
+    res.set('Retry-After', String(ipStatus.retryAfter));
+    res.status(429).json({
+      error: 'Too many failed login attempts, please try again later.',
+      retryAfter: ipStatus.retryAfter,
+    });
+    return true;
+  }
+
+  if (!user) {
+    return false;
+  }
+
+  const accountStatus = loginThrottle.checkAccount(user);
+  if (accountStatus.locked) {
+    res.set('Retry-After', String(accountStatus.retryAfter));
+    res.status(423).json({
+      error:
+        'Account temporarily locked due to too many failed login attempts. Check your email to unlock it.',
+      lockedUntil: user.lockUntil,
+    });
+    return true;
+  }
+  if (accountStatus.retryAfter > 0) {
+    res.set('Retry-After', String(accountStatus.retryAfter));
+    res.status(429).json({
+      error: 'Too many failed login attempts, please try again later.',
+      retryAfter: accountStatus.retryAfter,
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Generate a fresh set of one-time recovery codes for a user
+ * @param {Object} user - User document (caller saves)
+ * @returns {Array<string>} Plaintext codes, shown to the user once
+ */
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+/**
+ * Check a TOTP code or recovery code against a user's 2FA settings
+ * Consumes recovery codes and records the used time step (caller saves)
+ * @param {Object} user - User document with 2FA enabled
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {boolean} True if the second factor is valid
+ */
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hashed = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = user.twoFactor.recoveryCodes.indexOf(hashed);
+    if (index === -1) {
+      return false;
+    }
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyTOTP(decryptSecret(user.twoFactor.secret), code);
+  // Reject codes that were already used (or older ones)
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * Create a fresh verification token for a user and email it to them
+ * @param {Object} user - User document (saved by this function)
+ * @returns {Promise} - Resolves with the send result
+ */
+const sendEmailVerification = async (user) => {
+  const verifyToken = user.createEmailVerification();
+  await user.save();
+
+  const verifyUrl = buildAppLink('verify-email', verifyToken);
+
+  // A requested email change is confirmed at the new address
+  return sendVerificationEmail({
+    email: user.pendingEmail || user.email,
+    verifyUrl,
+  });
+};
+
+exports.sendEmailVerification = sendEmailVerification;
 
 exports.signup = async (req, res) => {
+  let invitation = null;
   try {
-    const { username, email, password } = req.body;
+    const { username, email, password, inviteCode } = req.body;
     // Validate input
     if (!username || !email || !password) {
       return res.status(400).json({ error: 'All fields are required.' });
     }
+    // Closed beta - new accounts need an invitation code
+    const inviteOnly = await Setting.getValue(
+      'inviteOnly',
+      process.env.INVITE_ONLY === 'true',
+    );
+    if (inviteOnly && !inviteCode) {
+      return res
+        .status(403)
+        .json({ error: 'Invitation code required.', code: 'INVITE_REQUIRED' });
+    }
     // Check for existing user
     const existing = await User.findOne({ email });
     if (existing) {
-      return res.status(400).json({ error: 'Email already in use.' });
+      return res.status(400).json(getEmailTakenError(existing));
+    }
+    // Take one use of the invitation (also honoured outside invite-only mode)
+    if (inviteCode) {
+      invitation = await Invitation.redeem(inviteCode);
+      if (!invitation) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid or expired invitation code.' });
+      }
     }
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12);
-    // Create user
+    // Create user with any role and folders preset by the invitation
+    const role = invitation ? invitation.role : 'user';
     const user = await User.create({
       username,
       email,
       password: hashedPassword,
+      role,
+      isAdmin: role === 'admin',
+      folders: invitation
+        ? invitation.folders.map(({ label, path }) => ({ label, path }))
+        : [],
+    });
+    if (invitation) {
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { $push: { usedBy: { userId: user._id } } },
+      );
+      invitation = null;
+    }
+    // Send the verification email - a mail failure should not block signup
+    try {
+      await sendEmailVerification(user);
+    } catch (mailErr) {
+      console.error('Verification email error:', mailErr);
+    }
+    // Start a session and issue the token pair
+    const { token, refreshToken } = await createSession(user, {
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'],
     });
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-        isAdmin: user.isAdmin || false,
-      },
-      JWT_SECRET,
-      {
-        expiresIn: JWT_EXPIRES_IN,
-      },
-    );
     res.status(201).json({
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       userId: user._id,
       isAdmin: user.isAdmin || false,
+      role: user.getRole(),
+      emailVerified: user.emailVerified,
     });
   } catch (err) {
+    // Account creation failed - give the invitation use back
+    if (invitation) {
+      await Invitation.release(invitation._id).catch((releaseErr) =>
+        console.error('Failed to release invitation:', releaseErr),
+      );
+    }
     res.status(500).json({ error: 'Server error.' });
   }
 };
 
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    // Find user with matching token and unexpired verification token
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    // Confirming a change of address swaps in the pending email
+    if (user.pendingEmail) {
+      const owner = await User.findOne({
+        email: user.pendingEmail,
+        _id: { $ne: user._id },
+      }).select('deletedAt purgeAfter');
+      if (owner) {
+        return res.status(409).json(getEmailTakenError(owner));
+      }
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.status(200).json({ message: 'Email verified successfully' });
+  } catch (err) {
+    console.error('Email verification error:', err);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+};
+
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    await sendEmailVerification(user);
+
+    res.status(200).json({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+};
+
 exports.forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
@@ -71,9 +457,7 @@ exports.forgotPassword = async (req, res) => {
     await user.save();
 
     // Construct reset URL
-    const resetUrl = `${req.protocol}://${req.get(
-      'host',
-    )}/api/auth/reset-password/${resetToken}`;
+    const resetUrl = buildAppLink('reset-password', resetToken);
 
     // Send password reset email
     await sendPasswordResetEmail({
@@ -118,9 +502,15 @@ exports.resetPassword = async (req, res) => {
     user.password = hashedPassword;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    // Proving ownership of the email also lifts any lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
 
     await user.save();
 
+    // A password reset invalidates every existing login
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
     res.status(200).json({ message: 'Password has been reset successfully' });
   } catch (err) {
     console.error('Password reset error:', err);
@@ -135,53 +525,589 @@ exports.login = async (req, res) => {
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password required.' });
     }
+    // Stop early if this IP is being throttled
+    if (rejectIfThrottled(null, req, res)) {
+      return;
+    }
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await recordFailedLogin(null, req, 'unknown_user');
       return res.status(401).json({ error: 'Invalid credentials.' });
     }
+    // Check for lockout or progressive delay before trying the password
+    if (rejectIfThrottled(user, req, res)) {
+      return;
+    }
     // Compare password
     const match = await bcrypt.compare(password, user.password);
     if (!match) {
+      await recordFailedLogin(user, req, 'bad_password');
       return res.status(401).json({ error: 'Invalid credentials.' });
     }
 
-    // Get IP address from headers or connection
-    const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+    // Only tell the real owner that the account is suspended or deleted
+    if (rejectBlockedAccount(user, res)) {
+      return;
+    }
 
-    // Log login event with IP
-    await LoginEvent.create({
-      userId: user._id,
-      ip: ip,
-    });
+    // Password is correct - ask for the second factor when 2FA is on
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user),
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error.' });
+  }
+};
+
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Validate email
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
 
-    // Generate JWT
-    const token = jwt.sign(
+    // Same response whether or not the account exists
+    const response = {
+      message: 'If that email is registered, a login link has been sent',
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    // Generate the one-time login token
+    const loginToken = user.createMagicLink();
+    await user.save();
+
+    const loginUrl = buildAppLink('magic-link', loginToken);
+
+    await sendMagicLinkEmail({ email: user.email, loginUrl });
+
+    res.status(200).json(response);
+  } catch (err) {
+    console.error('Magic link error:', err);
+    res.status(500).json({ error: 'Failed to send login link' });
+  }
+};
+
+exports.redeemMagicLink = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    // Consume the token atomically so a link only ever works once
+    const user = await User.findOneAndUpdate(
       {
-        userId: user._id,
-        email: user.email,
-        isAdmin: user.isAdmin || false,
+        magicLinkToken: hashedToken,
+        magicLinkExpires: { $gt: Date.now() },
       },
-      JWT_SECRET,
       {
-        expiresIn: JWT_EXPIRES_IN,
+        $unset: { magicLinkToken: 1, magicLinkExpires: 1 },
+        // Following the link proves ownership of the address
+        $set: { emailVerified: true },
       },
+      { new: true },
     );
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    if (rejectBlockedAccount(user, res)) {
+      return;
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user),
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (err) {
+    console.error('Magic link login error:', err);
+    res.status(500).json({ error: 'Server error.' });
+  }
+};
+
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required.' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+    if (!result) {
+      return res
+        .status(401)
+        .json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user) {
+      await Session.revokeAllForUser(result.session.userId, 'user_deleted');
+      return res
+        .status(401)
+        .json({ error: 'Invalid or expired refresh token' });
+    }
+
+    // The session should already be revoked, but never mint new tokens
+    if (rejectBlockedAccount(user, res)) {
+      await Session.revokeAllForUser(user._id, 'account_blocked');
+      return;
+    }
+
     res.json({
-      token,
+      token: signAccessToken(user, result.session._id),
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       userId: user._id,
       isAdmin: user.isAdmin || false,
+      role: user.getRole(),
     });
   } catch (err) {
+    console.error('Token refresh error:', err);
     res.status(500).json({ error: 'Server error.' });
   }
 };
 
-exports.logoutUser = (req, res) => {
-  // Since we're using localStorage on the frontend,
-  // we don't need to clear cookies on the server
-  return res.status(200).json({
-    success: true,
-    message: 'Logged out successfully.',
-  });
+exports.logoutUser = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const filter = { revokedAt: null };
+
+    if (refreshToken) {
+      const [sessionId, secret] = String(refreshToken).split('.');
+      filter._id = sessionId;
+      filter.refreshTokenHash = hashToken(secret || '');
+    } else {
+      const authHeader = req.headers.authorization;
+      if (authHeader && authHeader.startsWith('Bearer ')) {
+        try {
+          // An expired access token is still good enough to end its session
+          const decoded = verifyAccessToken(authHeader.split(' ')[1], {
+            ignoreExpiration: true,
+          });
+          filter._id = decoded.sid;
+        } catch (err) {
+          // Invalid token - nothing to revoke
+        }
+      }
+    }
+
+    if (filter._id && String(filter._id).match(/^[0-9a-fA-F]{24}$/)) {
+      await Session.updateOne(filter, {
+        $set: { revokedAt: new Date(), revokedReason: 'logout' },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully.',
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({ error: 'Server error.' });
+  }
+};
+
+/**
+ * List the current user's active sessions (logged-in devices)
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      // Staff impersonation sessions are not the user's devices
+      impersonatorId: null,
+    }).sort({ lastSeenAt: -1 });
+
+    // Login events record where each session was started from
+    const logins = await LoginEvent.find({
+      sessionId: { $in: sessions.map((session) => session._id) },
+    }).select('sessionId ip at');
+    const loginsBySession = {};
+    logins.forEach((login) => {
+      loginsBySession[login.sessionId.toString()] = login;
+    });
+
+    const data = sessions.map((session) => {
+      const login = loginsBySession[session._id.toString()];
+      return {
+        id: session._id,
+        current: session._id.toString() === String(req.sessionId),
+        ip: session.ip,
+        userAgent: session.userAgent,
+        deviceType: detectDeviceTypeFromUserAgent(session.userAgent),
+        signedInAt: login ? login.at : session.createdAt,
+        signedInIp: login ? login.ip : session.ip,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+      };
+    });
+
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    console.error('Error listing sessions:', err);
+    return res.status(500).json({ error: 'Failed to list sessions' });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+exports.revokeSession = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid session ID format' });
+  }
+
+  try {
+    const result = await Session.updateOne(
+      { _id: id, userId: req.userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'user_revoked' } },
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    return res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+/**
+ * Revoke every session of the current user except the one making the request
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(
+      req.userId,
+      'user_revoked',
+      req.sessionId,
+    );
+
+    return res.status(200).json({
+      success: true,
+      revoked: result.modifiedCount,
+      message: 'Other sessions revoked successfully',
+    });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    return res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
+
+/**
+ * Complete a login that is waiting for a second factor
+ * @route POST /api/auth/2fa/verify
+ * @access Public (requires a challenge token from login)
+ */
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ error: 'Challenge token and code are required' });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    if (rejectBlockedAccount(user, res)) {
+      return;
+    }
+
+    // Guessing 2FA codes counts towards the same lockout as passwords
+    if (rejectIfThrottled(user, req, res)) {
+      return;
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(user, req, 'bad_2fa_code');
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    await user.save();
+
+    await completeLogin(user, req, res);
+  } catch (err) {
+    console.error('2FA verification error:', err);
+    res.status(500).json({ error: 'Server error.' });
+  }
+};
+
+/**
+ * Start 2FA enrollment by generating a secret for the authenticator app
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, label: user.email }),
+    });
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * @route POST /api/auth/2fa/confirm
+ * @access Private
+ */
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Two-factor setup not started' });
+    }
+
+    const step = verifyTOTP(decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error('2FA confirm error:', err);
+    res.status(500).json({ error: 'Failed to enable two-factor' });
+  }
+};
+
+/**
+ * Turn 2FA off (requires the password and a current code)
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Guesses here count towards the same lockout as failed logins
+    if (rejectIfThrottled(user, req, res)) {
+      return;
+    }
+
+    const match = await bcrypt.compare(password, user.password);
+    if (!match || !checkSecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(
+        user,
+        req,
+        match ? 'bad_2fa_code' : 'bad_password',
+      );
+      return res.status(401).json({ error: 'Invalid credentials.' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    res.status(500).json({ error: 'Failed to disable two-factor' });
+  }
+};
+
+/**
+ * Replace the user's recovery codes (requires a current code)
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (rejectIfThrottled(user, req, res)) {
+      return;
+    }
+
+    if (!checkSecondFactor(user, { code })) {
+      await recordFailedLogin(user, req, 'bad_2fa_code');
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).json({ recoveryCodes });
+  } catch (err) {
+    console.error('Recovery code error:', err);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+};
+
+/**
+ * Unlock an account using the link from the lockout email
+ * @route POST /api/auth/unlock/:token
+ * @access Public
+ */
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      unlockToken: hashedToken,
+      unlockTokenExpires: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    await loginThrottle.clearAccount(user._id);
+
+    res.status(200).json({ message: 'Account unlocked successfully' });
+  } catch (err) {
+    console.error('Account unlock error:', err);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+};
+
+/**
+ * "This wasn't me" link from a new sign-in alert: sign out every session
+ * and revoke every API token on the account
+ * @route POST /api/auth/revoke-access/:token
+ * @access Public (token from the alert email)
+ */
+exports.revokeAccessFromAlert = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    // Each link works once
+    const session = await Session.findOneAndUpdate(
+      { alertTokenHash: hashToken(token) },
+      { $unset: { alertTokenHash: 1 } },
+    );
+
+    if (!session) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    const revoked = await revokeAccess(session.userId, 'login_alert');
+
+    res.status(200).json({
+      message:
+        'All devices have been signed out. Please reset your password to keep your account secure.',
+      revoked,
+    });
+  } catch (err) {
+    console.error('Revoke access error:', err);
+    res.status(500).json({ error: 'Failed to revoke access' });
+  }
 };
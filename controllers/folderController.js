@@ -1,6 +1,26 @@
 const User = require('../models/User');
 const { validateUrl, validateFolderPath } = require('./playlistController');
 const playlistController = require('./playlistController');
+const { hasPermission } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
+const { safeFetch, AUDIO_TYPES } = require('../lib/safeFetch');
+const {
+  negotiateFormat,
+  sendPlaylist,
+  parsePlaylist,
+} = require('../lib/playlistFormats');
+
+// Maximum folders (and imported playlists) per user
+const MAX_FOLDERS = 50;
+// Largest playlist accepted by the importer
+const MAX_IMPORT_TRACKS = 100;
+// Entries checked for reachability at the same time
+const IMPORT_CHECK_CONCURRENCY = 5;
+// How long to wait for each entry to answer (HEAD and fallback GET together)
+const IMPORT_CHECK_TIMEOUT = 5000; // 5 seconds in ms
+// Time the reachability checks of a whole import may take; entries not
+// checked by then are skipped
+const IMPORT_CHECK_BUDGET = 30000; // 30 seconds in ms
 
 /**
  * Helper function to validate that the user is either the owner of the resource
@@ -18,25 +38,163 @@ function assertOwnerOrAdmin(req, ownerId) {
 }
 
 /**
- * List folders for the current user or a specific user (admin only)
+ * Fallback track title: the file name without its extension
+ * @param {string} url - Track URL
+ * @returns {string} Title
+ */
+function getTitleFromUrl(url) {
+  const name = url
+    .split('/')
+    .pop()
+    .replace(/\.[^/.]+$/, '');
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+}
+
+/**
+ * Check that a playlist entry can actually be played
+ * Servers that refuse HEAD are retried with a one-byte ranged GET; both
+ * requests share one time limit
+ * @param {string} url - Validated track URL
+ * @param {number} deadline - Time (ms since epoch) the check must finish by
+ * @returns {Promise<string|null>} Problem description, or null if reachable
+ */
+async function checkTrackUrl(url, deadline) {
+  const options = () => ({
+    timeout: Math.max(deadline - Date.now(), 1),
+    allowedTypes: AUDIO_TYPES,
+    validateStatus: () => true,
+  });
+
+  try {
+    let response = await safeFetch(url, { ...options(), method: 'HEAD' });
+    if ([403, 405, 501].includes(response.status) && Date.now() < deadline) {
+      response = await safeFetch(url, {
+        ...options(),
+        headers: { Range: 'bytes=0-0' },
+        responseType: 'stream',
+      });
+      if (response.data && response.data.destroy) {
+        response.data.destroy();
+      }
+    }
+
+    return response.status >= 400 ? `HTTP ${response.status}` : null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Turn parsed playlist entries into tracks, reporting the ones we can't use
+ * @param {Array<Object>} entries - Entries from parsePlaylist
+ * @param {string} [baseUrl] - Base for resolving relative locations
+ * @returns {Promise<Object>} - { tracks, skipped: [{ entry, location, reason }] }
+ */
+async function resolvePlaylistEntries(entries, baseUrl) {
+  const tracks = [];
+  const skipped = [];
+  const candidates = [];
+
+  entries.forEach((entry, index) => {
+    const report = (reason) =>
+      skipped.push({ entry: index + 1, location: entry.location, reason });
+
+    let url;
+    try {
+      url = new URL(entry.location, baseUrl || undefined).href;
+    } catch (e) {
+      return report(
+        baseUrl
+          ? 'Not a valid URL'
+          : 'Relative or local paths need a baseUrl to resolve against',
+      );
+    }
+
+    try {
+      url = validateUrl(url);
+    } catch (e) {
+      return report(e.message);
+    }
+
+    const ext = new URL(url).pathname.split('.').pop().toLowerCase();
+    if (!playlistController.mimeTypes[ext]) {
+      return report('Unsupported file type');
+    }
+
+    candidates.push({
+      index,
+      entry,
+      url,
+      mime: playlistController.mimeTypes[ext],
+    });
+  });
+
+  // Check reachability a few entries at a time, within the import's budget
+  const budgetEnd = Date.now() + IMPORT_CHECK_BUDGET;
+  for (let i = 0; i < candidates.length; i += IMPORT_CHECK_CONCURRENCY) {
+    const batch = candidates.slice(i, i + IMPORT_CHECK_CONCURRENCY);
+
+    if (Date.now() >= budgetEnd) {
+      batch.forEach(({ index, entry }) =>
+        skipped.push({
+          entry: index + 1,
+          location: entry.location,
+          reason: 'Not checked: import time limit reached',
+        }),
+      );
+      continue;
+    }
+
+    const deadline = Math.min(Date.now() + IMPORT_CHECK_TIMEOUT, budgetEnd);
+    const problems = await Promise.all(
+      batch.map((candidate) => checkTrackUrl(candidate.url, deadline)),
+    );
+
+    batch.forEach(({ index, entry, url, mime }, j) => {
+      if (problems[j]) {
+        skipped.push({
+          entry: index + 1,
+          location: entry.location,
+          reason: `Unreachable: ${problems[j]}`,
+        });
+        return;
+      }
+
+      tracks.push({
+        url,
+        title: entry.title || getTitleFromUrl(url),
+        artist: entry.artist,
+        duration: entry.duration,
+        mime,
+      });
+    });
+  }
+
+  skipped.sort((a, b) => a.entry - b.entry);
+  return { tracks, skipped };
+}
+
+/**
+ * List folders for the current user or a specific user (staff view)
  *
  * @route GET /api/user/folders
- * @route GET /api/user/folders/user/:uid (admin)
+ * @route GET /api/user/folders/user/:uid (staff with folders:read)
  * @access Private
  */
 exports.listFolders = async (req, res) => {
   try {
-    const { uid } = req.params; // optional (admin view)
+    const { uid } = req.params; // optional (staff view)
     const targetId = uid || req.userId;
 
     // Check permissions if viewing someone else's folders
-    if (uid) {
-      const authCheck = assertOwnerOrAdmin(req, uid);
-      if (authCheck !== true) {
-        return res
-          .status(authCheck.status)
-          .json({ success: false, error: authCheck.error });
-      }
+    if (uid && uid !== req.userId && !hasPermission(req.role, 'folders:read')) {
+      return res
+        .status(403)
+        .json({ success: false, error: 'Forbidden: Access denied' });
     }
 
     const user = await User.findById(targetId, 'folders');
@@ -75,7 +233,7 @@ exports.addFolder = async (req, res) => {
 
     // Validate folder count (max 50 per user)
     const user = await User.findById(req.userId);
-    if (user.folders && user.folders.length >= 50) {
+    if (user.folders && user.folders.length >= MAX_FOLDERS) {
       return res
         .status(400)
         .json({ success: false, error: 'Maximum of 50 folders reached' });
@@ -107,6 +265,98 @@ exports.addFolder = async (req, res) => {
   }
 };
 
+/**
+ * Import an M3U/M3U8, PLS or XSPF file as a saved playlist
+ * Send the file as the raw request body (?label=&baseUrl=&format=) or paste
+ * it as JSON { label, content, baseUrl?, format? }. Entries that are invalid,
+ * unsupported or unreachable are left out and listed in the report
+ *
+ * @route POST /api/user/folders/import
+ * @access Private
+ */
+exports.importPlaylist = async (req, res) => {
+  try {
+    const pasted = typeof req.body === 'string' ? null : req.body || {};
+    const content = pasted ? pasted.content : req.body;
+    const { label, baseUrl, format } = pasted || req.query;
+
+    if (!label || !content || typeof content !== 'string') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'label & playlist content required' });
+    }
+
+    if (baseUrl) {
+      try {
+        validateUrl(baseUrl);
+      } catch (e) {
+        return res
+          .status(400)
+          .json({ success: false, error: `baseUrl: ${e.message}` });
+      }
+    }
+
+    const user = await User.findById(req.userId, 'folders');
+    if (user.folders && user.folders.length >= MAX_FOLDERS) {
+      return res.status(400).json({
+        success: false,
+        error: `Maximum of ${MAX_FOLDERS} folders reached`,
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parsePlaylist(content, format);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+
+    if (parsed.entries.length > MAX_IMPORT_TRACKS) {
+      return res.status(400).json({
+        success: false,
+        error: `Playlists are limited to ${MAX_IMPORT_TRACKS} entries`,
+      });
+    }
+
+    const { tracks, skipped } = await resolvePlaylistEntries(
+      parsed.entries,
+      baseUrl,
+    );
+
+    const report = {
+      format: parsed.format,
+      total: parsed.entries.length,
+      imported: tracks.length,
+      skipped,
+    };
+
+    if (tracks.length === 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'No playable entries found in the playlist',
+        report,
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.userId,
+      { $push: { folders: { label, type: 'playlist', tracks } } },
+      { new: true, select: 'folders' },
+    );
+
+    res.status(201).json({
+      success: true,
+      data: updatedUser.folders[updatedUser.folders.length - 1],
+      report,
+    });
+  } catch (error) {
+    console.error('Error importing playlist:', error);
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to import playlist' });
+  }
+};
+
 /**
  * Update an existing folder
  *
@@ -138,6 +388,14 @@ exports.updateFolder = async (req, res) => {
         .json({ success: false, error: authCheck.error });
     }
 
+    // Imported playlists keep their tracks and have no path to change
+    if (path && user.folders[0].type === 'playlist') {
+      return res.status(400).json({
+        success: false,
+        error: 'Imported playlists have no path to update',
+      });
+    }
+
     // Validate path if provided
     if (path) {
       try {
@@ -148,15 +406,11 @@ exports.updateFolder = async (req, res) => {
     }
 
     // Update the folder
-    await User.updateOne(
-      { 'folders._id': id },
-      {
-        $set: {
-          'folders.$.label': label || user.folders[0].label,
-          'folders.$.path': path || user.folders[0].path,
-        },
-      },
-    );
+    const update = { 'folders.$.label': label || user.folders[0].label };
+    if (path) {
+      update['folders.$.path'] = path;
+    }
+    await User.updateOne({ 'folders._id': id }, { $set: update });
 
     res.json({ success: true, message: 'Folder updated successfully' });
   } catch (error) {
@@ -209,7 +463,9 @@ exports.deleteFolder = async (req, res) => {
 };
 
 /**
- * Get playlist from a saved folder
+ * Get playlist from a saved folder, as JSON or as a playlist file
+ * (?format=m3u8|pls|xspf or a matching Accept header). Folders accept
+ * ?recursive=true&depth=N, and local folders ?limit=N&cursor=... as well
  *
  * @route GET /api/user/folders/:id/playlist
  * @access Private
@@ -238,20 +494,50 @@ exports.playFolder = async (req, res) => {
         .json({ success: false, error: authCheck.error });
     }
 
-    const { path } = user.folders[0];
+    const format = negotiateFormat(req);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported format. Use json, m3u8, m3u, pls or xspf',
+      });
+    }
+
+    const { path, label, type } = user.folders[0];
 
     // Get the playlist using existing playlist controller methods
     let tracks = [];
+    let details = {};
 
-    if (path.startsWith('http')) {
-      tracks = await playlistController.getPlaylistFromRemoteFolder(path);
+    if (type === 'playlist') {
+      // Imported playlists carry their own tracks
+      tracks = user.folders[0].tracks.map((track) => track.toObject());
     } else {
-      tracks = await playlistController.getPlaylistFromLocalFolder(path, req);
+      const remote = path.startsWith('http');
+
+      // Same ?recursive, ?depth, ?limit and ?cursor options as GET /api/playlist
+      const { options, error } = playlistController.parseScanOptions(
+        req.query,
+        { remote, format },
+      );
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      ({ tracks, details } = await playlistController.loadPlaylist(
+        remote ? { url: path } : { folder: path },
+        req,
+        options,
+      ));
+    }
+
+    if (format !== 'json') {
+      return sendPlaylist(res, format, tracks, label);
     }
 
     res.json({
       success: true,
       data: tracks,
+      ...details,
     });
   } catch (error) {
     console.error('Error fetching folder playlist:', error);
@@ -344,8 +630,8 @@ exports.reorderFolders = async (req, res) => {
  */
 exports.adminAddFolderToUser = async (req, res) => {
   try {
-    // Ensure user is admin
-    if (!req.isAdmin) {
+    // Ensure user has staff access to folders
+    if (!hasPermission(req.role, 'folders:manage')) {
       return res.status(403).json({
         success: false,
         error: 'Forbidden: Admin access required',
@@ -395,6 +681,14 @@ exports.adminAddFolderToUser = async (req, res) => {
 
     // Return just the newly added folder (last one in the array)
     const newFolder = updatedUser.folders[updatedUser.folders.length - 1];
+
+    await recordAudit(req, {
+      action: 'folder.add',
+      targetType: 'user',
+      targetId: uid,
+      after: { folder: { id: newFolder._id, label, path } },
+    });
+
     res.status(201).json({
       success: true,
       data: newFolder,
@@ -418,8 +712,8 @@ exports.adminAddFolderToUser = async (req, res) => {
  */
 exports.adminRemoveFolderFromUser = async (req, res) => {
   try {
-    // Ensure user is admin
-    if (!req.isAdmin) {
+    // Ensure user has staff access to folders
+    if (!hasPermission(req.role, 'folders:manage')) {
       return res.status(403).json({
         success: false,
         error: 'Forbidden: Admin access required',
@@ -446,6 +740,16 @@ exports.adminRemoveFolderFromUser = async (req, res) => {
       { $pull: { folders: { _id: folderId } } },
     );
 
+    const [removed] = user.folders;
+    await recordAudit(req, {
+      action: 'folder.remove',
+      targetType: 'user',
+      targetId: uid,
+      before: {
+        folder: { id: removed._id, label: removed.label, path: removed.path },
+      },
+    });
+
     res.json({
       success: true,
       message: `Folder removed from user ${user.username || user.email}`,
@@ -466,8 +770,8 @@ exports.adminRemoveFolderFromUser = async (req, res) => {
  */
 exports.adminGetUserFolders = async (req, res) => {
   try {
-    // Ensure user is admin
-    if (!req.isAdmin) {
+    // Ensure user has staff access to folders
+    if (!hasPermission(req.role, 'folders:read')) {
       return res.status(403).json({
         success: false,
         error: 'Forbidden: Admin access required',
@@ -509,8 +813,8 @@ exports.adminGetUserFolders = async (req, res) => {
  */
 exports.adminBulkAddFolders = async (req, res) => {
   try {
-    // Ensure user is admin
-    if (!req.isAdmin) {
+    // Ensure user has staff access to folders
+    if (!hasPermission(req.role, 'folders:manage')) {
       return res.status(403).json({
         success: false,
         error: 'Forbidden: Admin access required',
@@ -576,6 +880,16 @@ exports.adminBulkAddFolders = async (req, res) => {
       }
     }
 
+    await recordAudit(req, {
+      action: 'folder.bulk_add',
+      targetType: 'user',
+      after: { folder: { label, path } },
+      metadata: {
+        userIds: results.successful.map((result) => result.userId),
+        failed: results.failed.length,
+      },
+    });
+
     res.json({
       success: true,
       data: results,
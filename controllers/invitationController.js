@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const { ROLES, hasPermission } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
+const { validateUrl, validateFolderPath } = require('./playlistController');
+
+// Characters used in generated codes (no 0/O or 1/I to avoid typos)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// Custom codes admins may choose themselves
+const CODE_PATTERN = /^[A-Z0-9-]{4,64}$/;
+// Same cap as a user's own folder list
+const MAX_PRESET_FOLDERS = 50;
+
+/**
+ * Generate a random invitation code such as 'K7QP2-XM4TA'
+ * @returns {string} Invitation code
+ */
+const generateCode = () => {
+  const bytes = crypto.randomBytes(10);
+  const chars = Array.from(
+    bytes,
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length],
+  ).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+/**
+ * Shape an invitation for a response
+ * @param {Object} invitation - Invitation document
+ * @returns {Object} Invitation summary
+ */
+const describeInvitation = (invitation) => ({
+  id: invitation._id,
+  code: invitation.code,
+  note: invitation.note,
+  maxUses: invitation.maxUses,
+  uses: invitation.uses,
+  expiresAt: invitation.expiresAt,
+  role: invitation.role,
+  folders: invitation.folders,
+  usedBy: invitation.usedBy,
+  createdBy: invitation.createdBy,
+  createdAt: invitation.createdAt,
+  revokedAt: invitation.revokedAt,
+  usable: invitation.isUsable(),
+});
+
+/**
+ * Create an invitation code
+ * @route POST /api/admin/invitations
+ * @access Private (Admin only)
+ */
+exports.createInvitation = async (req, res) => {
+  const {
+    code,
+    note,
+    maxUses = 1,
+    expiresAt,
+    role = 'user',
+    folders = [],
+  } = req.body;
+
+  if (code !== undefined && !CODE_PATTERN.test(String(code).toUpperCase())) {
+    return res.status(422).json({
+      error: 'code must be 4-64 letters, digits or dashes',
+    });
+  }
+
+  if (!Number.isInteger(maxUses) || maxUses < 1) {
+    return res
+      .status(422)
+      .json({ error: 'maxUses must be a positive whole number' });
+  }
+
+  if (expiresAt !== undefined) {
+    const expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res
+        .status(422)
+        .json({ error: 'expiresAt must be a date in the future' });
+    }
+  }
+
+  if (!ROLES.includes(role)) {
+    return res
+      .status(422)
+      .json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  // Handing out staff roles needs the same permission as assigning them
+  if (role !== 'user' && !hasPermission(req.role, 'users:roles')) {
+    return res.status(403).json({
+      error: 'Access denied. Missing permission',
+      missing: ['users:roles'],
+    });
+  }
+
+  if (!Array.isArray(folders) || folders.length > MAX_PRESET_FOLDERS) {
+    return res.status(422).json({
+      error: `folders must be a list of at most ${MAX_PRESET_FOLDERS} folders`,
+    });
+  }
+
+  // Quick path validation for every preset folder
+  for (const folder of folders) {
+    if (!folder || !folder.label || !folder.path) {
+      return res
+        .status(400)
+        .json({ error: 'Each folder needs a label & path' });
+    }
+    try {
+      folder.path.startsWith('http')
+        ? validateUrl(folder.path)
+        : validateFolderPath(folder.path);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+  }
+
+  try {
+    const invitation = await Invitation.create({
+      code: code ? String(code).toUpperCase() : generateCode(),
+      note,
+      maxUses,
+      expiresAt,
+      role,
+      folders: folders.map(({ label, path }) => ({ label, path })),
+      createdBy: req.userId,
+    });
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      targetType: 'invitation',
+      targetId: invitation._id,
+      after: {
+        code: invitation.code,
+        maxUses: invitation.maxUses,
+        expiresAt: invitation.expiresAt,
+        role: invitation.role,
+        folders: invitation.folders.length,
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: describeInvitation(invitation),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Invitation code already exists' });
+    }
+    console.error('Error creating invitation:', error);
+    return res.status(500).json({ error: 'Failed to create invitation' });
+  }
+};
+
+/**
+ * List invitations, newest first
+ * @route GET /api/admin/invitations?status=usable|all
+ * @access Private (Admin only)
+ */
+exports.getInvitations = async (req, res) => {
+  const { status = 'all' } = req.query;
+
+  try {
+    const invitations = await Invitation.find({}).sort({ createdAt: -1 });
+    const data = invitations
+      .filter((invitation) => status !== 'usable' || invitation.isUsable())
+      .map(describeInvitation);
+
+    return res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    return res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+};
+
+/**
+ * Revoke an invitation so it can no longer be used
+ * @route DELETE /api/admin/invitations/:id
+ * @access Private (Admin only)
+ */
+exports.revokeInvitation = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: 'Invalid invitation ID format' });
+  }
+
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true },
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      targetType: 'invitation',
+      targetId: id,
+      metadata: { code: invitation.code, uses: invitation.uses },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: describeInvitation(invitation),
+      message: 'Invitation revoked',
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    return res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  MUSIC_ROOT,
+  mimeTypes,
+  validateFolderPath,
+} = require('./playlistController');
+
+// Errors that mean the requested file does not exist (or cannot be named)
+const NOT_FOUND_CODES = ['ENOENT', 'ENOTDIR', 'ERR_INVALID_ARG_VALUE'];
+
+/**
+ * Resolve a request path to a file inside the music library
+ * Symlinks are resolved before the containment check, so a link pointing
+ * out of the library is refused like a "../" path
+ * @param {string} trackPath - Path relative to the music root
+ * @returns {Promise<string>} Real path of the file
+ * @throws {Error} With statusCode 403 for paths outside the library and 404
+ * for missing, hidden or non-audio files
+ */
+const resolveTrackPath = async (trackPath) => {
+  const notFound = () =>
+    Object.assign(new Error('Track not found'), { statusCode: 404 });
+
+  let sanitizedPath;
+  try {
+    sanitizedPath = validateFolderPath(trackPath);
+  } catch (e) {
+    throw Object.assign(e, { statusCode: 403 });
+  }
+  if (
+    !sanitizedPath ||
+    sanitizedPath.split('/').some((part) => part.startsWith('.'))
+  ) {
+    throw notFound();
+  }
+
+  let realRoot;
+  let realFile;
+  let stats;
+  try {
+    [realRoot, realFile] = await Promise.all([
+      fs.promises.realpath(MUSIC_ROOT),
+      fs.promises.realpath(path.join(MUSIC_ROOT, sanitizedPath)),
+    ]);
+    stats = await fs.promises.stat(realFile);
+  } catch (e) {
+    throw NOT_FOUND_CODES.includes(e.code) ? notFound() : e;
+  }
+
+  if (!realFile.startsWith(`${realRoot}${path.sep}`)) {
+    throw Object.assign(new Error('Track is outside the music library'), {
+      statusCode: 403,
+    });
+  }
+
+  const ext = path.extname(realFile).slice(1).toLowerCase();
+  if (!stats.isFile() || !mimeTypes[ext]) {
+    throw notFound();
+  }
+
+  return realFile;
+};
+
+/**
+ * Stream a local track
+ * Range requests get 206 partial responses so players can seek, and the
+ * ETag lets clients revalidate with If-None-Match (304)
+ * @route   GET /public/music/*
+ * @access  Private (signed stream link, or access token in the
+ * Authorization header)
+ */
+const streamTrack = async (req, res) => {
+  try {
+    // Express decodes each path segment
+    const segments = [].concat(req.params.path || []);
+
+    let realFile;
+    try {
+      realFile = await resolveTrackPath(segments.join('/'));
+    } catch (e) {
+      if (e.statusCode) {
+        return res.status(e.statusCode).json({ error: e.message });
+      }
+      throw e;
+    }
+
+    const ext = path.extname(realFile).slice(1).toLowerCase();
+
+    res.sendFile(
+      realFile,
+      {
+        headers: {
+          'Content-Type': mimeTypes[ext],
+          // Responses depend on who is asking; keep them out of shared caches
+          'Cache-Control': 'private, no-cache',
+        },
+        cacheControl: false,
+        acceptRanges: true,
+        etag: true,
+        lastModified: true,
+      },
+      (error) => {
+        // Players routinely abort a request when seeking; only report
+        // failures that happen before anything was sent
+        if (error && !res.headersSent) {
+          // The audio Content-Type may already be set
+          res.type('json');
+          // e.g. 416 for a Range past the end of the file
+          if (error.status && error.status < 500) {
+            return res.status(error.status).json({ error: error.message });
+          }
+          console.error('Error streaming track:', error);
+          res.status(500).json({ error: 'Failed to stream track' });
+        }
+      },
+    );
+  } catch (error) {
+    console.error('Error streaming track:', error);
+    return res.status(500).json({ error: 'Failed to stream track' });
+  }
+};
+
+module.exports = {
+  streamTrack,
+};
@@ -1,10 +1,14 @@
 // Import required modules
-const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const mongoose = require('mongoose');
+const { negotiateFormat, sendPlaylist } = require('../lib/playlistFormats');
+const { readTags } = require('../lib/audioTags');
+const { safeFetch, HTML_TYPES } = require('../lib/safeFetch');
+const { FEED_TYPES, isFeed, parseFeed } = require('../lib/podcastFeed');
+const { signStreamPath } = require('../lib/streamUrls');
 
 // Promisify fs.readdir
 const readdir = promisify(fs.readdir);
@@ -18,6 +22,36 @@ try {
   console.warn('Warning: PlayEvent model not found or has errors');
 }
 
+// Number of files whose tags are read at the same time
+const TAG_READ_CONCURRENCY = 8;
+// Deepest subfolder level a recursive local scan descends into
+const MAX_SCAN_DEPTH = process.env.LOCAL_SCAN_MAX_DEPTH
+  ? parseInt(process.env.LOCAL_SCAN_MAX_DEPTH, 10)
+  : 5;
+// Limits for crawling remote directory listings (?url=...&recursive=true)
+const MAX_CRAWL_DEPTH = process.env.REMOTE_CRAWL_MAX_DEPTH
+  ? parseInt(process.env.REMOTE_CRAWL_MAX_DEPTH, 10)
+  : 3;
+const MAX_CRAWL_PAGES = process.env.REMOTE_CRAWL_MAX_PAGES
+  ? parseInt(process.env.REMOTE_CRAWL_MAX_PAGES, 10)
+  : 50;
+// Listing pages fetched at the same time, and how long each may take
+const CRAWL_CONCURRENCY = 4;
+const CRAWL_PAGE_TIMEOUT = 10000; // 10 seconds
+// Time a whole crawl may take; pages not reached by then are left out
+const CRAWL_TOTAL_TIMEOUT = 30000; // 30 seconds
+// Local music library; tracks are served from /public/music (routes/music.js)
+const MUSIC_ROOT = path.join('public', 'music');
+// Tracks per page for paginated local folder listings
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+
+// Natural sort order ("Track 2" before "Track 10"), ignoring case
+const naturalCompare = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: 'base',
+}).compare;
+
 // Supported audio MIME types for file extensions:
 const mimeTypes = {
   mp3: 'audio/mpeg',
@@ -27,8 +61,19 @@ const mimeTypes = {
   flac: 'audio/flac',
   aac: 'audio/aac',
   mp4: 'video/mp4',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg; codecs=opus',
+  webm: 'audio/webm',
+  // Apple Lossless is normally inside .m4a, but some sites use .alac
+  alac: 'audio/mp4',
 };
 
+// Supported file extensions, for local files and remote links alike
+const AUDIO_FILE_PATTERN = new RegExp(
+  `\\.(${Object.keys(mimeTypes).join('|')})$`,
+  'i',
+);
+
 // Helper function to detect device type from user agent
 const detectDeviceTypeFromUserAgent = (userAgent) => {
   if (!userAgent) return 'unknown';
@@ -39,53 +84,190 @@ const detectDeviceTypeFromUserAgent = (userAgent) => {
   return 'desktop';
 };
 
+/**
+ * Title for a track from its URL: the file name without extension, with
+ * dashes/underscores as spaces and each word capitalised
+ * @param {URL} url - Track URL
+ * @returns {string} Title
+ */
+const getTitleFromFileName = (url) => {
+  const fileName = url.pathname.split('/').pop();
+  let name = fileName
+    .replace(/\.[^/.]+$/, '') // strip extension
+    .replace(/[-_]/g, ' '); // replace dashes/underscores with spaces
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the raw name if it isn't valid percent-encoding
+  }
+  return (
+    name
+      .trim()
+      // Capitalize first letter of each word
+      .replace(/\b\w/g, (char) => char.toUpperCase())
+  );
+};
+
+/**
+ * Parse an ISO 8601 duration (schema.org style, e.g. "PT3M20S")
+ * @param {string} value - Duration
+ * @returns {number|undefined} Seconds
+ */
+const parseIsoDuration = (value) => {
+  const match = String(value || '').match(
+    /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i,
+  );
+  if (!match) {
+    return undefined;
+  }
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total =
+    Number(days) * 86400 +
+    Number(hours) * 3600 +
+    Number(minutes) * 60 +
+    Number(seconds);
+  return total > 0 ? total : undefined;
+};
+
+/**
+ * Find schema.org AudioObjects in JSON-LD data
+ * @param {*} node - Parsed JSON-LD (object, array or @graph)
+ * @param {Array<Object>} found - Collected AudioObjects
+ * @returns {Array<Object>} AudioObjects
+ */
+const findAudioObjects = (node, found = []) => {
+  if (Array.isArray(node)) {
+    node.forEach((child) => findAudioObjects(child, found));
+  } else if (node && typeof node === 'object') {
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('AudioObject')) {
+      found.push(node);
+    }
+    Object.keys(node).forEach((key) => {
+      if (typeof node[key] === 'object') {
+        findAudioObjects(node[key], found);
+      }
+    });
+  }
+  return found;
+};
+
 /**
  * Extract audio file links from HTML content
- * @param {string} html - HTML content
- * @param {string} baseUrl - Base URL for resolving relative paths
- * @returns {Array} - Array of track objects with title, url, and mime type
+ * Looks at links, <audio>/<source> elements, og:audio meta tags and JSON-LD
+ * AudioObjects. Audio URLs may carry a query string (e.g. "song.mp3?token=")
+ * and duplicates are dropped by normalized URL
+ * @param {string} html - HTML content to parse
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {Array} - Array of track objects with title and url
  */
 // Export for testing
 const extractMp3Links = (html, baseUrl) => {
   const $ = cheerio.load(html);
   const tracks = [];
+  const byUrl = new Map();
+
+  /**
+   * Add a candidate track if its URL is audio
+   * @param {string} src - URL as written in the page
+   * @param {Object} [details] - { title, type, duration }; a declared audio
+   * type counts even when the URL has no audio extension
+   */
+  const addTrack = (src, details = {}) => {
+    let url;
+    try {
+      url = new URL(String(src || '').trim(), baseUrl);
+    } catch (error) {
+      return;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return;
+    }
 
-  // Supported file extensions
-  const supportedExtensions = /\.(mp3|wav|m4a|ogg|flac|aac|mp4)$/i;
+    const match = url.pathname.match(AUDIO_FILE_PATTERN);
+    const declaredAudio = /^audio\//i.test(details.type || '');
+    if (!match && !declaredAudio) {
+      return;
+    }
 
-  // Find all links (a tags) in the HTML
-  $('a').each((i, element) => {
-    const href = $(element).attr('href');
+    // Fragments never change the file, so they don't make a new track
+    url.hash = '';
+    const key = url.href;
+    const title = details.title && details.title.trim();
 
-    // Check if the link points to a supported audio file
-    if (href && supportedExtensions.test(href)) {
-      // Resolve relative URLs and encode the full URL
-      const fullUrl = encodeURI(new URL(href, baseUrl).href);
-
-      // Get the filename and extension
-      const fileName = href.split('/').pop();
-      const ext = path.extname(fileName).replace('.', '').toLowerCase();
-
-      // Extract title from the link text or filename
-      let title = $(element).text().trim();
-      if (!title || title === href) {
-        // If no meaningful text, use the filename without extension
-        title = decodeURIComponent(
-          fileName
-            .replace(/\.[^/.]+$/, '') // strip extension
-            .replace(/[-_]/g, ' '), // replace dashes/underscores with spaces
-        )
-          .trim()
-          // Capitalize first letter of each word
-          .replace(/\b\w/g, (char) => char.toUpperCase());
+    const existing = byUrl.get(key);
+    if (existing) {
+      // Later sources can still fill in what the first one lacked
+      if (!existing.duration && details.duration) {
+        existing.duration = details.duration;
       }
+      return;
+    }
 
-      tracks.push({
-        title,
-        url: fullUrl,
-        mime: mimeTypes[ext] || 'audio/*',
-      });
+    const track = {
+      title: title || getTitleFromFileName(url),
+      // URL#href is already percent-encoded, so encoding it again would
+      // turn "%20" links into "%2520"
+      url: url.href,
+      mime: match
+        ? mimeTypes[match[1].toLowerCase()]
+        : details.type.split(';')[0].trim().toLowerCase(),
+    };
+    if (details.duration) {
+      track.duration = details.duration;
+    }
+
+    byUrl.set(key, track);
+    tracks.push(track);
+  };
+
+  // Plain links, using the link text as the title
+  $('a[href]').each((i, element) => {
+    const href = $(element).attr('href');
+    const text = $(element).text().trim();
+    // Link text that is just the href (directory listings) is no title
+    addTrack(href, { title: text !== href ? text : undefined });
+  });
+
+  // Embedded players
+  $('audio').each((i, element) => {
+    const audio = $(element);
+    const title = audio.attr('title') || audio.attr('aria-label');
+    if (audio.attr('src')) {
+      addTrack(audio.attr('src'), { title });
     }
+    audio.find('source[src]').each((j, source) => {
+      addTrack($(source).attr('src'), { title, type: $(source).attr('type') });
+    });
+  });
+
+  // Open Graph audio (og:audio, og:audio:url, og:audio:secure_url)
+  const ogTitle = $('meta[property="og:title"]').attr('content');
+  const ogType = $('meta[property="og:audio:type"]').attr('content');
+  $('meta[property^="og:audio"]').each((i, element) => {
+    const property = $(element).attr('property');
+    if (
+      ['og:audio', 'og:audio:url', 'og:audio:secure_url'].includes(property)
+    ) {
+      addTrack($(element).attr('content'), { title: ogTitle, type: ogType });
+    }
+  });
+
+  // JSON-LD structured data
+  $('script[type="application/ld+json"]').each((i, element) => {
+    let data;
+    try {
+      data = JSON.parse($(element).contents().text());
+    } catch (error) {
+      return; // Broken structured data is common; ignore it
+    }
+    findAudioObjects(data).forEach((audio) => {
+      addTrack(audio.contentUrl || audio.url, {
+        title: audio.name,
+        type: audio.encodingFormat,
+        duration: parseIsoDuration(audio.duration),
+      });
+    });
   });
 
   return tracks;
@@ -128,6 +310,8 @@ const validateUrl = (url) => {
 
 /**
  * Get playlist from remote URL
+ * The URL can be a directory listing (or any HTML page linking to audio) or
+ * an RSS/Atom podcast feed, whose episodes are returned newest first
  * @param {string} url - URL to fetch playlist from
  * @returns {Promise<Array>} - Array of track objects with title and url
  */
@@ -137,8 +321,236 @@ const getPlaylistFromRemoteFolder = async (url) => {
     // Validate and sanitize URL
     const validatedUrl = validateUrl(url);
 
-    const response = await axios.get(validatedUrl);
-    return extractMp3Links(response.data, validatedUrl);
+    const response = await safeFetch(validatedUrl, {
+      allowedTypes: [...HTML_TYPES, ...FEED_TYPES],
+    });
+
+    // Feeds are recognised by their contents: plenty are served as text/html
+    if (isFeed(response.data)) {
+      return parseFeed(response.data, response.url).tracks;
+    }
+
+    // Relative links are relative to where any redirects ended up
+    return extractMp3Links(response.data, response.url);
+  } catch (error) {
+    throw new Error(`Failed to fetch remote playlist: ${error.message}`);
+  }
+};
+
+/**
+ * Normalise a directory URL for loop detection (no query string or hash)
+ * @param {URL} urlObj - Directory URL
+ * @returns {string} Normalised URL
+ */
+const normalizeDirectoryUrl = (urlObj) => {
+  const normalized = new URL(urlObj.href);
+  normalized.search = '';
+  normalized.hash = '';
+  return normalized.href;
+};
+
+/**
+ * Find links to subdirectories in a directory listing page
+ * Only same-origin links below the current page count, which skips parent
+ * directory links, Apache's column sorting links and links to other sites
+ * @param {string} html - HTML content of the listing
+ * @param {string} pageUrl - URL of the listing
+ * @returns {Array<string>} Subdirectory URLs
+ */
+// Export for testing
+const extractDirectoryLinks = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+  const page = new URL(pageUrl);
+  // Treat "/music" like "/music/" so relative links resolve below it
+  const basePath = page.pathname.endsWith('/')
+    ? page.pathname
+    : `${page.pathname}/`;
+  const links = new Set();
+
+  $('a').each((i, element) => {
+    const href = $(element).attr('href');
+    if (!href || href.startsWith('?') || href.startsWith('#')) {
+      return;
+    }
+
+    let target;
+    try {
+      target = new URL(href, new URL(basePath, page));
+    } catch (error) {
+      return;
+    }
+
+    if (
+      target.origin === page.origin &&
+      target.pathname.endsWith('/') &&
+      target.pathname.startsWith(basePath) &&
+      target.pathname !== basePath
+    ) {
+      links.add(normalizeDirectoryUrl(target));
+    }
+  });
+
+  return Array.from(links);
+};
+
+/**
+ * Folder path of a crawled page relative to the crawl root
+ * @param {string} rootPath - Path name of the root listing (ending in "/")
+ * @param {string} pageUrl - URL of the crawled page
+ * @returns {string} e.g. "Artist/Album", or "" for the root
+ */
+const getRelativeFolder = (rootPath, pageUrl) => {
+  const relative = new URL(pageUrl).pathname
+    .slice(rootPath.length)
+    .replace(/\/+$/, '');
+  try {
+    return decodeURIComponent(relative);
+  } catch (error) {
+    return relative;
+  }
+};
+
+/**
+ * Crawl a remote directory listing and its subdirectories
+ * Pages are fetched level by level, a few at a time, without leaving the
+ * origin or the starting directory; each URL is fetched at most once
+ * @param {string} url - URL of the root listing
+ * @param {Object} [options] - Crawl options
+ * @param {number} [options.depth] - Subdirectory levels to follow
+ * (capped at MAX_CRAWL_DEPTH)
+ * @param {number} [options.maxPages] - Most listing pages to fetch
+ * (capped at MAX_CRAWL_PAGES)
+ * @param {number} [options.timeout] - Time limit for the whole crawl in ms
+ * (capped at CRAWL_TOTAL_TIMEOUT)
+ * @returns {Promise<Object>} - { tracks, groups, pagesCrawled, truncated };
+ * tracks found in subdirectories carry their `folder` path
+ */
+// Export for testing
+const crawlRemoteFolder = async (url, options = {}) => {
+  const {
+    depth = MAX_CRAWL_DEPTH,
+    maxPages = MAX_CRAWL_PAGES,
+    timeout = CRAWL_TOTAL_TIMEOUT,
+  } = options;
+  const maxDepth = Math.min(depth, MAX_CRAWL_DEPTH);
+  const pageBudget = Math.min(maxPages, MAX_CRAWL_PAGES);
+  const deadline = Date.now() + Math.min(timeout, CRAWL_TOTAL_TIMEOUT);
+
+  try {
+    const validatedUrl = validateUrl(url);
+    let root = new URL(validatedUrl);
+    let rootPath = root.pathname.endsWith('/')
+      ? root.pathname
+      : `${root.pathname}/`;
+
+    const visited = new Set([normalizeDirectoryUrl(root)]);
+    const seenTracks = new Set();
+    const tracks = [];
+    const counts = new Map();
+    let level = [validatedUrl];
+    let pagesCrawled = 0;
+    let truncated = false;
+
+    for (let currentDepth = 0; level.length > 0; currentDepth++) {
+      const nextLevel = [];
+
+      for (let i = 0; i < level.length; i += CRAWL_CONCURRENCY) {
+        // Out of time: report what was found so far (the root always loads)
+        const timeLeft = deadline - Date.now();
+        if (pagesCrawled > 0 && timeLeft <= 0) {
+          truncated = true;
+          nextLevel.length = 0;
+          break;
+        }
+
+        const batch = level.slice(i, i + CRAWL_CONCURRENCY);
+        const pages = await Promise.all(
+          batch.map((pageUrl) =>
+            safeFetch(pageUrl, {
+              timeout: Math.max(Math.min(CRAWL_PAGE_TIMEOUT, timeLeft), 1),
+              allowedTypes: HTML_TYPES,
+            })
+              .then((response) => ({
+                requestedUrl: pageUrl,
+                pageUrl: response.url,
+                html: response.data,
+              }))
+              .catch((error) => {
+                // The root listing has to load; broken subdirectories are skipped
+                if (pageUrl === validatedUrl) {
+                  throw error;
+                }
+                console.warn(`Skipping ${pageUrl}: ${error.message}`);
+                return null;
+              }),
+          ),
+        );
+        pagesCrawled += batch.length;
+
+        pages.forEach((page) => {
+          if (!page || typeof page.html !== 'string') {
+            return;
+          }
+
+          const landed = new URL(page.pageUrl);
+          if (page.requestedUrl === validatedUrl) {
+            // The root may redirect (e.g. /music to /music/); crawl from there
+            root = landed;
+            rootPath = landed.pathname.endsWith('/')
+              ? landed.pathname
+              : `${landed.pathname}/`;
+            visited.add(normalizeDirectoryUrl(landed));
+          } else if (
+            landed.origin !== root.origin ||
+            !landed.pathname.startsWith(rootPath)
+          ) {
+            // A subdirectory redirected somewhere outside the crawl
+            console.warn(`Skipping ${page.requestedUrl}: redirected away`);
+            return;
+          }
+
+          const folder = getRelativeFolder(rootPath, page.pageUrl);
+          extractMp3Links(page.html, page.pageUrl).forEach((track) => {
+            if (seenTracks.has(track.url)) {
+              return;
+            }
+            seenTracks.add(track.url);
+            counts.set(folder, (counts.get(folder) || 0) + 1);
+            tracks.push(
+              folder
+                ? { ...track, folder, album: path.posix.basename(folder) }
+                : track,
+            );
+          });
+
+          if (currentDepth < maxDepth) {
+            extractDirectoryLinks(page.html, page.pageUrl).forEach((link) => {
+              if (!visited.has(link)) {
+                visited.add(link);
+                nextLevel.push(link);
+              }
+            });
+          }
+        });
+      }
+
+      // Stop at the page budget; anything left over is reported as truncated
+      const remaining = pageBudget - pagesCrawled;
+      if (nextLevel.length > remaining) {
+        truncated = true;
+      }
+      level = nextLevel.slice(0, Math.max(remaining, 0));
+    }
+
+    const groups = Array.from(counts, ([folder, count]) => ({
+      folder,
+      title:
+        path.posix.basename(folder || getRelativeFolder('/', root.href)) ||
+        root.hostname,
+      count,
+    }));
+
+    return { tracks, groups, pagesCrawled, truncated };
   } catch (error) {
     throw new Error(`Failed to fetch remote playlist: ${error.message}`);
   }
@@ -177,73 +589,360 @@ const validateFolderPath = (folderPath) => {
 };
 
 /**
- * Get playlist from local folder
+ * Compare two file paths (relative, "/"-separated) in natural order
+ * Files in a folder come before its subfolders, so each subfolder (album)
+ * stays together, and "Track 2" sorts before "Track 10"
+ * @param {string} a - First path
+ * @param {string} b - Second path
+ * @returns {number} Sort order
+ */
+const compareLocalPaths = (a, b) => {
+  const partsA = a.split('/');
+  const partsB = b.split('/');
+  const dirsA = partsA.length - 1;
+  const dirsB = partsB.length - 1;
+
+  for (let i = 0; i < Math.min(dirsA, dirsB); i++) {
+    const order = naturalCompare(partsA[i], partsB[i]);
+    if (order !== 0) {
+      return order;
+    }
+  }
+  if (dirsA !== dirsB) {
+    return dirsA - dirsB;
+  }
+
+  const order = naturalCompare(partsA[dirsA], partsB[dirsB]);
+  // Fall back to a plain comparison so names differing only by case keep a
+  // stable order (pagination cursors rely on it)
+  if (order !== 0 || a === b) {
+    return order;
+  }
+  return a < b ? -1 : 1;
+};
+
+/**
+ * List audio files below a folder, descending into subfolders
+ * Symlinks and hidden entries are skipped, so the scan cannot leave the folder
+ * @param {string} root - Folder to scan
+ * @param {number} maxDepth - Subfolder levels to descend into
+ * @returns {Promise<Array<string>>} Paths relative to root, "/"-separated
+ */
+const scanAudioFiles = async (root, maxDepth) => {
+  const files = [];
+
+  const walk = async (dir, relativeDir, depth) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+
+      if (entry.isDirectory() && depth < maxDepth) {
+        // An unreadable subfolder should not fail the whole scan
+        await walk(path.join(dir, entry.name), relativePath, depth + 1).catch(
+          (error) => console.warn(`Skipping ${relativePath}: ${error.message}`),
+        );
+      } else if (entry.isFile() && AUDIO_FILE_PATTERN.test(entry.name)) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  await walk(root, '', 0);
+  return files;
+};
+
+/**
+ * Build the track object for a local file
+ * @param {string} file - File path relative to the scanned folder
+ * @param {string} sanitizedFolderPath - Scanned folder, relative to public/music
+ * @param {object} req - Express request object for building URLs; the URL is
+ * signed for streaming when the caller is signed in (req.userId)
+ * @returns {Object} - { title, url, mime, folder? }
+ */
+const buildLocalTrack = (file, sanitizedFolderPath, req) => {
+  const fileName = path.posix.basename(file);
+  const folder = path.posix.dirname(file);
+
+  // Get the extension
+  const ext = path.extname(fileName).replace('.', '').toLowerCase();
+
+  // Create a title from the filename
+  const title = decodeURIComponent(
+    fileName
+      .replace(/\.[^/.]+$/, '') // strip extension
+      .replace(/[-_]/g, ' '), // replace dashes/underscores with spaces
+  )
+    .trim()
+    // Capitalize first letter of each word
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+
+  // Build the URL relative to the app domain
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  // Ensure forward slashes for URL paths
+  const trackPath = `${sanitizedFolderPath}/${file}`.replace(/\\/g, '/');
+  // Encode each segment, so "#" or "?" in a file name stay part of the path
+  let url = `${baseUrl}/public/music/${trackPath
+    .split('/')
+    .map(encodeURIComponent)
+    .join('/')}`;
+  // Signed-in callers get a link their player can use without headers
+  if (req.userId) {
+    url += `?${signStreamPath(trackPath)}`;
+  }
+
+  return {
+    title,
+    url,
+    mime: mimeTypes[ext] || 'audio/*',
+    // Subfolder the track was found in (recursive scans only)
+    ...(folder !== '.' ? { folder } : {}),
+  };
+};
+
+/**
+ * Opaque pagination cursor pointing after a file
+ * @param {string} file - Last file of the current page
+ * @returns {string} Cursor
+ */
+const encodeFolderCursor = (file) =>
+  Buffer.from(JSON.stringify({ after: file })).toString('base64url');
+
+/**
+ * Decode a cursor from encodeFolderCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {string|null} File to continue after, or null if invalid
+ */
+const decodeFolderCursor = (cursor) => {
+  try {
+    const { after } = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString('utf8'),
+    );
+    return typeof after === 'string' && after ? after : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Scan a local folder for tracks
  * @param {string} folderPath - Path to folder containing audio files
  * @param {object} req - Express request object for building URLs
- * @returns {Promise<Array>} - Array of track objects with title, url, and mime type
+ * @param {Object} [options] - Scan options
+ * @param {boolean} [options.recursive] - Include subfolders
+ * @param {number} [options.depth] - Subfolder levels to descend into
+ * (capped at MAX_SCAN_DEPTH)
+ * @param {number} [options.limit] - Page size; all tracks if omitted
+ * @param {string} [options.after] - Decoded cursor: continue after this file
+ * @returns {Promise<Object>} - { tracks, total, groups, nextCursor }; groups
+ * lists each subfolder with its track count (recursive scans only)
  */
-// Export for testing
-const getPlaylistFromLocalFolder = async (folderPath, req) => {
+const scanLocalFolder = async (folderPath, req, options = {}) => {
+  const { recursive = false, depth = MAX_SCAN_DEPTH, limit, after } = options;
+
   try {
     // Validate and sanitize folder path
     const sanitizedFolderPath = validateFolderPath(folderPath);
 
     // Ensure the folder path is within the public directory
-    const publicMusicPath = path.join('public', 'music');
-    const fullPath = path.join(publicMusicPath, sanitizedFolderPath);
-
-    // Read the directory contents
-    const files = await readdir(fullPath);
-
-    // Supported file extensions
-    const supportedExtensions = /\.(mp3|wav|m4a|ogg|flac|aac|mp4)$/i;
-
-    // Filter for supported audio files and create track objects
-    const tracks = files
-      .filter((file) => supportedExtensions.test(file))
-      .map((file) => {
-        // Get the extension
-        const ext = path.extname(file).replace('.', '').toLowerCase();
-
-        // Create a title from the filename
-        const title = decodeURIComponent(
-          file
-            .replace(/\.[^/.]+$/, '') // strip extension
-            .replace(/[-_]/g, ' '), // replace dashes/underscores with spaces
-        )
-          .trim()
-          // Capitalize first letter of each word
-          .replace(/\b\w/g, (char) => char.toUpperCase());
-
-        // Build the URL relative to the app domain
-        const baseUrl = `${req.protocol}://${req.get('host')}`;
-        // Ensure forward slashes for URL paths
-        const urlPath =
-          `${publicMusicPath}/${sanitizedFolderPath}/${file}`.replace(
-            /\\/g,
-            '/',
-          );
-        // Encode the URL
-        const url = encodeURI(`${baseUrl}/${urlPath}`);
+    const fullPath = path.join(MUSIC_ROOT, sanitizedFolderPath);
+
+    let files;
+    if (recursive) {
+      // The scan never follows symlinks below the folder; make sure the
+      // folder itself does not resolve outside the music library either
+      const [realRoot, realFolder] = await Promise.all([
+        fs.promises.realpath(MUSIC_ROOT),
+        fs.promises.realpath(fullPath),
+      ]);
+      if (
+        realFolder !== realRoot &&
+        !realFolder.startsWith(`${realRoot}${path.sep}`)
+      ) {
+        throw new Error('Folder is outside the music library');
+      }
 
-        return {
-          title,
-          url,
-          mime: mimeTypes[ext] || 'audio/*',
-        };
+      files = await scanAudioFiles(fullPath, Math.min(depth, MAX_SCAN_DEPTH));
+    } else {
+      // Read the directory contents
+      files = (await readdir(fullPath)).filter((file) =>
+        AUDIO_FILE_PATTERN.test(file),
+      );
+    }
+
+    files.sort(compareLocalPaths);
+
+    // Cursor pagination: continue after the last file of the previous page,
+    // which still works if files were added or removed in the meantime
+    let page = files;
+    let nextCursor = null;
+    if (limit) {
+      let start = 0;
+      if (after) {
+        start = files.findIndex((file) => compareLocalPaths(file, after) > 0);
+        if (start === -1) {
+          start = files.length;
+        }
+      }
+      page = files.slice(start, start + limit);
+      if (start + limit < files.length) {
+        nextCursor = encodeFolderCursor(page[page.length - 1]);
+      }
+    }
+
+    // Fill in artist, album, duration etc. from embedded tags, a few files at
+    // a time; files without tags keep the title derived from the file name
+    const tracks = [];
+    for (let i = 0; i < page.length; i += TAG_READ_CONCURRENCY) {
+      const batch = page.slice(i, i + TAG_READ_CONCURRENCY);
+      const batchTags = await Promise.all(
+        batch.map((file) => readTags(path.join(fullPath, file))),
+      );
+      batch.forEach((file, j) => {
+        const track = buildLocalTrack(file, sanitizedFolderPath, req);
+        // Untagged files in an album folder get the folder name as album
+        const album = track.folder ? path.posix.basename(track.folder) : null;
+        tracks.push({ ...(album ? { album } : {}), ...track, ...batchTags[j] });
       });
+    }
 
-    return tracks;
+    let groups;
+    if (recursive) {
+      const counts = new Map();
+      files.forEach((file) => {
+        const folder = path.posix.dirname(file);
+        counts.set(folder, (counts.get(folder) || 0) + 1);
+      });
+      groups = Array.from(counts, ([folder, count]) => ({
+        folder: folder === '.' ? '' : folder,
+        title: path.posix
+          .basename(folder === '.' ? `music/${sanitizedFolderPath}` : folder)
+          .replace(/^\.$/, 'music'),
+        count,
+      }));
+    }
+
+    return { tracks, total: files.length, groups, nextCursor };
   } catch (error) {
     throw new Error(`Failed to read local playlist: ${error.message}`);
   }
 };
 
+/**
+ * Get playlist from local folder
+ * @param {string} folderPath - Path to folder containing audio files
+ * @param {object} req - Express request object for building URLs
+ * @returns {Promise<Array>} - Array of track objects with title, url, and mime type
+ */
+// Export for testing
+const getPlaylistFromLocalFolder = async (folderPath, req) => {
+  const { tracks } = await scanLocalFolder(folderPath, req);
+  return tracks;
+};
+
+/**
+ * Read the subfolder and paging options of a playlist request:
+ * ?recursive=true&depth=N (local folders and remote listings), plus
+ * ?limit=N&cursor=... paging for local folders
+ * @param {Object} query - Request query
+ * @param {Object} context - Request details
+ * @param {boolean} context.remote - True for remote URLs
+ * @param {string} context.format - Negotiated response format
+ * @returns {Object} - { options } for scanLocalFolder/crawlRemoteFolder, or
+ * { error } with a message for a 400 response
+ */
+const parseScanOptions = (query, { remote, format }) => {
+  const { recursive, depth, limit, cursor } = query;
+  const options = { recursive: recursive === 'true' };
+
+  if (depth !== undefined) {
+    const maxDepth = remote ? MAX_CRAWL_DEPTH : MAX_SCAN_DEPTH;
+    const levels = parseInt(depth, 10);
+    if (!Number.isInteger(levels) || levels < 0 || levels > maxDepth) {
+      return { error: `depth must be between 0 and ${maxDepth}` };
+    }
+    options.depth = levels;
+  }
+  if (limit !== undefined) {
+    const pageSize = parseInt(limit, 10);
+    if (
+      !Number.isInteger(pageSize) ||
+      pageSize < 1 ||
+      pageSize > MAX_PAGE_SIZE
+    ) {
+      return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    options.limit = pageSize;
+  } else if (!remote && (cursor || (options.recursive && format === 'json'))) {
+    // Recursive listings can be huge, so JSON responses are paged by default
+    options.limit = DEFAULT_PAGE_SIZE;
+  }
+  if (cursor) {
+    options.after = decodeFolderCursor(cursor);
+    if (!options.after) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { options };
+};
+
+/**
+ * Load the tracks of a remote URL or local folder
+ * @param {Object} source - { url } for a remote listing or feed, or
+ * { folder } for a folder below public/music
+ * @param {object} req - Express request object for building URLs
+ * @param {Object} options - Options from parseScanOptions
+ * @returns {Promise<Object>} - { tracks, details } where details holds the
+ * extra JSON fields of recursive and paged listings (groups, crawl,
+ * pagination)
+ */
+const loadPlaylist = async ({ url, folder }, req, options) => {
+  if (url) {
+    if (!options.recursive) {
+      return { tracks: await getPlaylistFromRemoteFolder(url), details: {} };
+    }
+
+    // Crawl the remote listing and its subdirectories
+    const crawl = await crawlRemoteFolder(url, options);
+    return {
+      tracks: crawl.tracks,
+      details: {
+        groups: crawl.groups,
+        crawl: { pages: crawl.pagesCrawled, truncated: crawl.truncated },
+      },
+    };
+  }
+
+  const scan = await scanLocalFolder(folder, req, options);
+  const details = {};
+  if (scan.groups) {
+    details.groups = scan.groups;
+  }
+  if (options.limit) {
+    details.pagination = {
+      total: scan.total,
+      limit: options.limit,
+      nextCursor: scan.nextCursor,
+    };
+  }
+  return { tracks: scan.tracks, details };
+};
+
 /**
  * Get playlist from remote URL or local folder
- * @desc    Get playlist from remote URL or local folder
+ * @desc    Get playlist from remote URL or local folder, as JSON or as a
+ *          playlist file (?format=m3u8|pls|xspf or a matching Accept header).
+ *          ?recursive=true&depth=N includes subfolders (local folders) or
+ *          same-origin subdirectory listings (remote URLs); local folders
+ *          also accept ?limit=N&cursor=... for paging through large folders
  * @route   GET /api/playlist
- * @access  Public
+ * @access  Public (crawling remote subdirectories requires authentication)
  */
 const getPlaylist = async (req, res) => {
   const { url, folder } = req.query;
@@ -256,21 +955,51 @@ const getPlaylist = async (req, res) => {
     });
   }
 
+  const format = negotiateFormat(req);
+  if (!format) {
+    return res.status(400).json({
+      success: false,
+      message: 'Unsupported format. Use json, m3u8, m3u, pls or xspf',
+    });
+  }
+
+  const { options: scanOptions, error } = parseScanOptions(req.query, {
+    remote: Boolean(url),
+    format,
+  });
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  // Crawls fan out into many outbound requests; only signed-in users get them
+  if (url && scanOptions.recursive && !req.userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Sign in to crawl subdirectories of remote listings',
+    });
+  }
+
   try {
-    let tracks = [];
+    const { tracks, details } = await loadPlaylist(
+      url ? { url } : { folder },
+      req,
+      scanOptions,
+    );
 
-    if (url) {
-      // Get playlist from remote URL
-      tracks = await getPlaylistFromRemoteFolder(url);
-    } else if (folder) {
-      // Get playlist from local folder
-      tracks = await getPlaylistFromLocalFolder(folder, req);
+    if (format !== 'json') {
+      // Podcast episodes are named after their feed rather than its URL
+      const title =
+        tracks.length > 0 && tracks[0].feedTitle
+          ? tracks[0].feedTitle
+          : path.basename(folder || url);
+      return sendPlaylist(res, format, tracks, title);
     }
 
     return res.status(200).json({
       success: true,
       count: tracks.length,
       data: tracks,
+      ...details,
     });
   } catch (error) {
     console.error('[Playlist Error]:', error.message);
@@ -296,6 +1025,10 @@ const logPlay = async (req, res) => {
     album,
     genre,
     year,
+    // Podcast episodes: the feed they came from
+    feedUrl,
+    feedTitle,
+    episodeGuid,
     // Playback context
     source,
     playlistId,
@@ -371,6 +1104,13 @@ const logPlay = async (req, res) => {
       trackUrl: trackUrl || finalTrackId,
       title,
       duration,
+      artist,
+      album,
+      genre,
+      year,
+      feedUrl,
+      feedTitle,
+      episodeGuid,
       sessionId,
       deviceType: finalDeviceType,
       // Simplified data to reduce DB size
@@ -795,9 +1535,16 @@ module.exports = {
   logInteraction,
   getUserLikes,
   // Export utility functions as well so they can be used by other controllers
+  MUSIC_ROOT,
+  mimeTypes,
   extractMp3Links,
   validateUrl,
   getPlaylistFromRemoteFolder,
+  extractDirectoryLinks,
+  crawlRemoteFolder,
   validateFolderPath,
   getPlaylistFromLocalFolder,
+  scanLocalFolder,
+  parseScanOptions,
+  loadPlaylist,
 };
@@ -1,4 +1,5 @@
 const Hit = require('../models/Hit');
+const { recordAudit } = require('../lib/audit');
 
 /**
  * @desc Clear all hit data (for testing/reset purposes)
@@ -9,6 +10,12 @@ exports.clearHitData = async (req, res) => {
   try {
     const deletedCount = await Hit.deleteMany({});
 
+    await recordAudit(req, {
+      action: 'hits.clear',
+      targetType: 'hit',
+      metadata: { recordsDeleted: deletedCount.deletedCount },
+    });
+
     res.status(200).json({
       success: true,
       message: `Successfully cleared ${deletedCount.deletedCount} hit records`,
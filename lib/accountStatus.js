@@ -0,0 +1,79 @@
+/**
+ * Account states that block access entirely (suspension and soft delete)
+ * Checked on every authenticated request and on every way of logging in
+ */
+
+/**
+ * Work out whether a user may use the API at all
+ * @param {Object} user - User document (needs suspension and deletedAt)
+ * @returns {Object|null} - { status, body } error response, or null if allowed
+ */
+const getAccountBlock = (user) => {
+  if (user.isDeleted()) {
+    return {
+      status: 401,
+      body: { error: 'Account deleted', code: 'ACCOUNT_DELETED' },
+    };
+  }
+
+  if (user.isSuspended()) {
+    return {
+      status: 403,
+      body: {
+        error: 'Account suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        reason: user.suspension.reason,
+        until: user.suspension.until || null,
+      },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Respond with an error if the account is suspended or deleted
+ * @param {Object} user - User document
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if a response was sent
+ */
+const rejectBlockedAccount = (user, res) => {
+  const block = getAccountBlock(user);
+  if (!block) {
+    return false;
+  }
+  res.status(block.status).json(block.body);
+  return true;
+};
+
+// Fields getAccountBlock reads, for use in .select()
+const ACCOUNT_STATUS_FIELDS = 'suspension deletedAt';
+
+/**
+ * Error body for an email address that another account already holds
+ * A soft-deleted account keeps its address until it is purged (so it can be
+ * restored), which would otherwise look like a live account using it
+ * @param {Object} owner - User holding the address (needs deletedAt and
+ * purgeAfter)
+ * @returns {Object} Error response body
+ */
+const getEmailTakenError = (owner) => {
+  if (!owner.isDeleted()) {
+    return { error: 'Email already in use.' };
+  }
+  return {
+    error:
+      'This email belongs to a deleted account that can still be restored. ' +
+      'Contact support to restore it, or use the address again once the ' +
+      'account has been removed.',
+    code: 'EMAIL_PENDING_DELETION',
+    availableAfter: owner.purgeAfter || null,
+  };
+};
+
+module.exports = {
+  ACCOUNT_STATUS_FIELDS,
+  getAccountBlock,
+  getEmailTakenError,
+  rejectBlockedAccount,
+};
@@ -0,0 +1,125 @@
+/**
+ * Personal API tokens
+ * Long-lived, user-scoped tokens for scripts and integrations. They are sent
+ * as Bearer tokens like JWTs and are told apart by their prefix; only a hash
+ * is stored.
+ */
+
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const { hashToken } = require('./tokens');
+
+const TOKEN_PREFIX = 'mh_pat_';
+
+// What a token can be allowed to do
+const SCOPES = [
+  'folders:read',
+  'folders:write',
+  'plays:read',
+  'plays:write',
+  'playmetrics:read',
+  'music:read',
+];
+
+// Token lifetime (default 90 days, never more than a year)
+const DEFAULT_TOKEN_DAYS = 90;
+const MAX_TOKEN_DAYS = 365;
+// Active tokens a single user may hold
+const MAX_TOKENS_PER_USER = 20;
+// Minimum gap between lastUsedAt writes for the same token
+const TOKEN_TOUCH_INTERVAL = 5 * 60 * 1000; // 5 minutes in ms
+
+/**
+ * Check whether a Bearer token is a personal API token rather than a JWT
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for personal API tokens
+ */
+const isApiToken = (token) =>
+  typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token for a user
+ * @param {string} userId - Owner of the token
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Promise<Object>} - { token, apiToken } - the plaintext token is
+ * only available here
+ */
+const createApiToken = async (
+  userId,
+  { name, scopes, expiresInDays = DEFAULT_TOKEN_DAYS },
+) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiToken = await ApiToken.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  return { token, apiToken };
+};
+
+/**
+ * Look up an active token
+ * @param {string} token - Plaintext token from the Authorization header
+ * @returns {Promise<Object|null>} ApiToken document, or null if unknown,
+ * revoked or expired
+ */
+const findActiveApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+  return apiToken && apiToken.isActive() ? apiToken : null;
+};
+
+/**
+ * Record use of a token, at most once every few minutes
+ * @param {string} tokenId - Token to update
+ * @param {string} [ip] - IP address the request came from
+ * @returns {Promise<Object>} - MongoDB update result
+ */
+const touchApiToken = (tokenId, ip) => {
+  const threshold = new Date(Date.now() - TOKEN_TOUCH_INTERVAL);
+  return ApiToken.updateOne(
+    {
+      _id: tokenId,
+      $or: [
+        { lastUsedAt: { $exists: false } },
+        { lastUsedAt: { $lt: threshold } },
+      ],
+    },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip } },
+  );
+};
+
+/**
+ * Shape a token for a response (never exposes the hash)
+ * @param {Object} apiToken - ApiToken document
+ * @returns {Object} Token summary
+ */
+const describeApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  createdAt: apiToken.createdAt,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  revokedAt: apiToken.revokedAt,
+  active: apiToken.isActive(),
+});
+
+module.exports = {
+  TOKEN_PREFIX,
+  SCOPES,
+  DEFAULT_TOKEN_DAYS,
+  MAX_TOKEN_DAYS,
+  MAX_TOKENS_PER_USER,
+  isApiToken,
+  createApiToken,
+  findActiveApiToken,
+  touchApiToken,
+  describeApiToken,
+};
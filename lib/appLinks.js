@@ -0,0 +1,49 @@
+/**
+ * Links to the web app for emails
+ * Emailed links carry one-time tokens, so they are always built from the
+ * configured APP_URL and never from the request's Host header (which the
+ * client controls). They open app pages that POST the token to the API.
+ */
+
+// The Vite dev server, for local development
+const DEV_APP_URL = 'http://localhost:5173';
+
+/**
+ * Base URL of the web app
+ * @returns {string} URL without a trailing slash
+ * @throws {Error} If APP_URL is missing in production or is not http(s)
+ */
+const getAppUrl = () => {
+  const value = process.env.APP_URL;
+  if (!value) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('APP_URL must be set in production');
+    }
+    return DEV_APP_URL;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    throw new Error('APP_URL is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('APP_URL must use HTTP or HTTPS');
+  }
+  return url.href.replace(/\/+$/, '');
+};
+
+/**
+ * Link to an app page that takes a token, e.g. /reset-password/<token>
+ * @param {string} page - Page path without slashes
+ * @param {string} token - One-time token
+ * @returns {string} Absolute URL
+ */
+const buildAppLink = (page, token) =>
+  `${getAppUrl()}/${page}/${encodeURIComponent(token)}`;
+
+module.exports = {
+  getAppUrl,
+  buildAppLink,
+};
@@ -0,0 +1,995 @@
+/**
+ * Embedded tag reader for local audio files
+ * Pure JS readers for ID3v1/ID3v2 (MP3, AAC), FLAC and Ogg Vorbis/Opus
+ * comments, MP4/M4A atoms and WAV LIST/INFO chunks, plus the duration of each
+ * format. Only the parts of a file that hold metadata are read, and results
+ * are cached until the file's mtime or size changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NodeCache = require('node-cache');
+
+// Cached tags: { mtimeMs, size, tags } per absolute path
+const tagCache = new NodeCache({ stdTTL: 24 * 60 * 60, checkperiod: 60 * 60 });
+
+// Enough of the start of a file for ID3v2 / Ogg headers in almost every file
+const HEAD_BYTES = 256 * 1024;
+// Tail read to find the last Ogg page (and its granule position)
+const OGG_TAIL_BYTES = 64 * 1024;
+// Largest MP4 moov atom we are willing to load
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+
+// ID3v1 genre list (also used by MP4 'gnre' atoms and "(17)" TCON values)
+// prettier-ignore
+const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge',
+  'Hip-Hop', 'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B',
+  'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial', 'Alternative', 'Ska',
+  'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop',
+  'Vocal', 'Jazz+Funk', 'Fusion', 'Trance', 'Classical', 'Instrumental',
+  'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise', 'AlternRock',
+  'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial',
+  'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy',
+  'Cult', 'Gangsta', 'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle',
+  'Native American', 'Cabaret', 'New Wave', 'Psychadelic', 'Rave',
+  'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz',
+  'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+];
+
+// MPEG audio frame header lookup tables (kbps / Hz)
+// prettier-ignore
+const MPEG_BITRATES = {
+  // [version 1][layer]
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  // MPEG 2 and 2.5 share their tables
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+/**
+ * Random-access reader over an open file
+ * @param {fs.promises.FileHandle} handle - Open file
+ * @param {number} size - File size in bytes
+ * @returns {Object} - { size, read(position, length) => Promise<Buffer> }
+ */
+const createReader = (handle, size) => ({
+  size,
+  read: async (position, length) => {
+    const start = Math.max(0, position);
+    const bytes = Math.max(0, Math.min(length, size - start));
+    const buffer = Buffer.alloc(bytes);
+    if (bytes > 0) {
+      await handle.read(buffer, 0, bytes, start);
+    }
+    return buffer;
+  },
+});
+
+/**
+ * Drop empty values so callers can spread tag objects over defaults
+ * @param {Object} tags - Raw tags
+ * @returns {Object} Tags with only meaningful values
+ */
+const compact = (tags) => {
+  const result = {};
+  Object.keys(tags).forEach((key) => {
+    const value = tags[key];
+    if (
+      value !== undefined &&
+      value !== null &&
+      value !== '' &&
+      !(typeof value === 'number' && (!Number.isFinite(value) || value <= 0))
+    ) {
+      result[key] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+  return result;
+};
+
+/**
+ * First four-digit year in a date string ("2019-05-01", "2019")
+ * @param {string} value - Date text
+ * @returns {number|undefined} Year
+ */
+const parseYear = (value) => {
+  const match = String(value || '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : undefined;
+};
+
+/**
+ * Track number from "3" or "3/12"
+ * @param {string} value - Track text
+ * @returns {number|undefined} Track number
+ */
+const parseTrackNumber = (value) => {
+  const number = parseInt(String(value || ''), 10);
+  return number > 0 ? number : undefined;
+};
+
+/**
+ * Resolve ID3 style genres: "(17)", "17", "(17)Rock" or plain text
+ * @param {string} value - Genre text
+ * @returns {string|undefined} Genre name
+ */
+const parseGenre = (value) => {
+  const text = String(value || '').trim();
+  const match = text.match(/^\(?(\d{1,3})\)?(.*)$/);
+  if (match) {
+    return match[2].trim() || ID3_GENRES[parseInt(match[1], 10)] || undefined;
+  }
+  return text || undefined;
+};
+
+/* ------------------------------------------------------------------ */
+/* ID3                                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Read a 28-bit "synchsafe" integer (7 bits per byte)
+ * @param {Buffer} buffer - Source
+ * @param {number} offset - Position of the first byte
+ * @returns {number} Integer value
+ */
+const readSynchsafe = (buffer, offset) =>
+  ((buffer[offset] & 0x7f) << 21) |
+  ((buffer[offset + 1] & 0x7f) << 14) |
+  ((buffer[offset + 2] & 0x7f) << 7) |
+  (buffer[offset + 3] & 0x7f);
+
+/**
+ * Undo ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+ * @param {Buffer} buffer - Unsynchronised data
+ * @returns {Buffer} Original data
+ */
+const removeUnsync = (buffer) => {
+  const out = Buffer.alloc(buffer.length);
+  let length = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    out[length++] = buffer[i];
+    if (buffer[i] === 0xff && buffer[i + 1] === 0x00) {
+      i++;
+    }
+  }
+  return out.subarray(0, length);
+};
+
+/**
+ * Decode a UTF-16 buffer, honouring its byte order mark
+ * @param {Buffer} buffer - UTF-16 data (with or without BOM)
+ * @param {boolean} bigEndian - Byte order when there is no BOM
+ * @returns {string} Text
+ */
+const decodeUtf16 = (buffer, bigEndian) => {
+  let data = buffer;
+  let be = bigEndian;
+  if (data[0] === 0xff && data[1] === 0xfe) {
+    be = false;
+    data = data.subarray(2);
+  } else if (data[0] === 0xfe && data[1] === 0xff) {
+    be = true;
+    data = data.subarray(2);
+  }
+
+  const even = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+  if (be) {
+    even.swap16();
+  }
+  return even.toString('utf16le');
+};
+
+/**
+ * Decode an ID3v2 text frame (encoding byte + text)
+ * Multiple values (ID3v2.4 null separators) are joined with "/"
+ * @param {Buffer} data - Frame content
+ * @returns {string} Text
+ */
+const decodeId3Text = (data) => {
+  const body = data.subarray(1);
+  let text;
+  switch (data[0]) {
+    case 1:
+      text = decodeUtf16(body, false);
+      break;
+    case 2:
+      text = decodeUtf16(body, true);
+      break;
+    case 3:
+      text = body.toString('utf8');
+      break;
+    default:
+      text = body.toString('latin1');
+  }
+  return text
+    .split('\u0000')
+    .filter((part) => part.trim())
+    .join('/');
+};
+
+// ID3v2 frame IDs (v2.3/v2.4 and v2.2) mapped to tag names
+const ID3_FRAMES = {
+  TIT2: 'title',
+  TT2: 'title',
+  TPE1: 'artist',
+  TP1: 'artist',
+  TPE2: 'albumArtist',
+  TP2: 'albumArtist',
+  TALB: 'album',
+  TAL: 'album',
+  TCON: 'genre',
+  TCO: 'genre',
+  TYER: 'year',
+  TYE: 'year',
+  TDRC: 'year',
+  TRCK: 'trackNumber',
+  TRK: 'trackNumber',
+  TLEN: 'length',
+  TLE: 'length',
+};
+
+/**
+ * Parse an ID3v2 tag at the start of a buffer
+ * @param {Buffer} buffer - Data starting with "ID3"
+ * @returns {Object|null} - { size, tags } or null if there is no tag
+ */
+const parseId3v2 = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return null;
+  }
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  const size = 10 + readSynchsafe(buffer, 6) + (flags & 0x10 ? 10 : 0);
+  if (version < 2 || version > 4) {
+    return { size, tags: {} };
+  }
+
+  let data = buffer.subarray(10, Math.min(buffer.length, size));
+  // v2.2/v2.3 unsynchronise the whole tag; v2.4 does it per frame
+  if (flags & 0x80 && version < 4) {
+    data = removeUnsync(data);
+  }
+
+  let offset = 0;
+  if (flags & 0x40 && version > 2) {
+    offset = version === 4 ? readSynchsafe(data, 0) : data.readUInt32BE(0) + 4;
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const raw = {};
+
+  while (offset + headerLength <= data.length) {
+    const id = data.toString('latin1', offset, offset + idLength);
+    // Padding (or garbage) ends the frame list
+    if (!/^[A-Z0-9]+$/.test(id)) {
+      break;
+    }
+
+    let frameSize;
+    if (version === 2) {
+      frameSize = data.readUIntBE(offset + 3, 3);
+    } else if (version === 4) {
+      frameSize = readSynchsafe(data, offset + 4);
+    } else {
+      frameSize = data.readUInt32BE(offset + 4);
+    }
+    const formatFlags = version === 2 ? 0 : data[offset + 9];
+    const start = offset + headerLength;
+    offset = start + frameSize;
+
+    const name = ID3_FRAMES[id];
+    if (!name || raw[name] || frameSize < 1 || offset > data.length) {
+      continue;
+    }
+
+    let content = data.subarray(start, offset);
+    if (version === 4) {
+      // Skip the data length indicator, then undo per-frame unsync
+      if (formatFlags & 0x01) {
+        content = content.subarray(4);
+      }
+      if (formatFlags & 0x02) {
+        content = removeUnsync(content);
+      }
+      // Compressed or encrypted frames are not supported
+      if (formatFlags & 0x0c) {
+        continue;
+      }
+    } else if (version === 3 && formatFlags & 0xc0) {
+      continue;
+    }
+
+    raw[name] = decodeId3Text(content);
+  }
+
+  const length = parseInt(raw.length, 10);
+  return {
+    size,
+    tags: compact({
+      title: raw.title,
+      artist: raw.artist || raw.albumArtist,
+      album: raw.album,
+      genre: parseGenre(raw.genre),
+      year: parseYear(raw.year),
+      trackNumber: parseTrackNumber(raw.trackNumber),
+      duration: length > 0 ? length / 1000 : undefined,
+    }),
+  };
+};
+
+/**
+ * Parse a 128-byte ID3v1 tag
+ * @param {Buffer} buffer - Last 128 bytes of the file
+ * @returns {Object|null} Tags, or null if there is no tag
+ */
+const parseId3v1 = (buffer) => {
+  if (buffer.length !== 128 || buffer.toString('latin1', 0, 3) !== 'TAG') {
+    return null;
+  }
+
+  const text = (start, length) =>
+    buffer
+      .toString('latin1', start, start + length)
+      .replace(/\u0000.*$/, '')
+      .trim();
+
+  return compact({
+    title: text(3, 30),
+    artist: text(33, 30),
+    album: text(63, 30),
+    year: parseYear(text(93, 4)),
+    // ID3v1.1 stores the track number in the last comment byte
+    trackNumber: buffer[125] === 0 ? buffer[126] : undefined,
+    genre: ID3_GENRES[buffer[127]],
+  });
+};
+
+/* ------------------------------------------------------------------ */
+/* MP3 duration                                                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Decode an MPEG audio frame header
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Position of the frame sync
+ * @returns {Object|null} Frame details, or null if not a valid header
+ */
+const parseMpegFrameHeader = (buffer, offset) => {
+  if (
+    offset + 4 > buffer.length ||
+    buffer[offset] !== 0xff ||
+    (buffer[offset + 1] & 0xe0) !== 0xe0
+  ) {
+    return null;
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (
+    versionBits === 1 ||
+    layerBits === 0 ||
+    bitrateIndex === 0 ||
+    bitrateIndex === 15 ||
+    sampleRateIndex === 3
+  ) {
+    return null;
+  }
+
+  const version = { 0: 2.5, 2: 2, 3: 1 }[versionBits];
+  const layer = 4 - layerBits;
+  const table = `${version === 1 ? 1 : 2}-${layer}`;
+  const bitrate = MPEG_BITRATES[table][bitrateIndex];
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const mono = buffer[offset + 3] >> 6 === 3;
+
+  let samplesPerFrame = 1152;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+  } else if (layer === 3 && version !== 1) {
+    samplesPerFrame = 576;
+  }
+
+  return { version, layer, bitrate, sampleRate, mono, samplesPerFrame };
+};
+
+/**
+ * Work out an MP3 duration from the Xing/Info or VBRI header of the first
+ * frame, falling back to a constant bitrate estimate
+ * @param {Object} reader - File reader
+ * @param {number} audioStart - Offset of the audio after any ID3v2 tag
+ * @param {number} audioEnd - Offset where the audio ends (before ID3v1)
+ * @returns {Promise<number|undefined>} Duration in seconds
+ */
+const getMp3Duration = async (reader, audioStart, audioEnd) => {
+  const buffer = await reader.read(audioStart, 64 * 1024);
+
+  let offset = 0;
+  let frame = null;
+  for (; offset < buffer.length - 4; offset++) {
+    frame = parseMpegFrameHeader(buffer, offset);
+    if (frame) {
+      break;
+    }
+  }
+  if (!frame) {
+    return undefined;
+  }
+
+  // Xing/Info header position depends on version and channel mode
+  let sideInfo;
+  if (frame.version === 1) {
+    sideInfo = frame.mono ? 17 : 32;
+  } else {
+    sideInfo = frame.mono ? 9 : 17;
+  }
+  const xing = offset + 4 + sideInfo;
+  const xingId = buffer.toString('latin1', xing, xing + 4);
+  if ((xingId === 'Xing' || xingId === 'Info') && buffer[xing + 7] & 0x01) {
+    const frames = buffer.readUInt32BE(xing + 8);
+    return (frames * frame.samplesPerFrame) / frame.sampleRate;
+  }
+
+  const vbri = offset + 4 + 32;
+  if (buffer.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+    const frames = buffer.readUInt32BE(vbri + 14);
+    return (frames * frame.samplesPerFrame) / frame.sampleRate;
+  }
+
+  // No VBR header - assume a constant bitrate
+  const audioBytes = audioEnd - (audioStart + offset);
+  return (audioBytes * 8) / (frame.bitrate * 1000);
+};
+
+/**
+ * Read ID3 tags and duration from an MP3 (or ID3-tagged AAC) file
+ * @param {Object} reader - File reader
+ * @param {string} ext - File extension
+ * @returns {Promise<Object>} Tags
+ */
+const readMpegTags = async (reader, ext) => {
+  const head = await reader.read(0, HEAD_BYTES);
+  let id3 = parseId3v2(head);
+  // Tags bigger than the head read (e.g. large cover art) are read in full
+  if (id3 && id3.size > head.length && id3.size <= MAX_MOOV_BYTES) {
+    id3 = parseId3v2(await reader.read(0, id3.size));
+  }
+
+  const v1 =
+    reader.size >= 128
+      ? parseId3v1(await reader.read(reader.size - 128, 128))
+      : null;
+
+  const tags = { ...(v1 || {}), ...(id3 ? id3.tags : {}) };
+  if (ext === 'mp3' && !tags.duration) {
+    tags.duration = await getMp3Duration(
+      reader,
+      id3 ? id3.size : 0,
+      reader.size - (v1 ? 128 : 0),
+    );
+  }
+  return compact(tags);
+};
+
+/* ------------------------------------------------------------------ */
+/* Vorbis comments (FLAC, Ogg Vorbis, Opus)                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Parse a Vorbis comment block (little-endian lengths)
+ * Stops quietly if the block is truncated
+ * @param {Buffer} buffer - Block data starting at the vendor length
+ * @returns {Object} Tags
+ */
+const parseVorbisComments = (buffer) => {
+  const fields = {};
+  let offset = 0;
+
+  const readString = () => {
+    if (offset + 4 > buffer.length) {
+      return null;
+    }
+    const length = buffer.readUInt32LE(offset);
+    offset += 4;
+    if (offset + length > buffer.length) {
+      return null;
+    }
+    const value = buffer.toString('utf8', offset, offset + length);
+    offset += length;
+    return value;
+  };
+
+  // Vendor string
+  if (readString() === null || offset + 4 > buffer.length) {
+    return {};
+  }
+  const count = buffer.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count; i++) {
+    const comment = readString();
+    if (comment === null) {
+      break;
+    }
+    const separator = comment.indexOf('=');
+    if (separator > 0) {
+      const key = comment.slice(0, separator).toUpperCase();
+      if (!fields[key]) {
+        fields[key] = comment.slice(separator + 1);
+      }
+    }
+  }
+
+  return compact({
+    title: fields.TITLE,
+    artist: fields.ARTIST || fields.ALBUMARTIST,
+    album: fields.ALBUM,
+    genre: fields.GENRE,
+    year: parseYear(fields.DATE || fields.YEAR),
+    trackNumber: parseTrackNumber(fields.TRACKNUMBER),
+  });
+};
+
+/**
+ * Read STREAMINFO and VORBIS_COMMENT blocks from a FLAC file
+ * @param {Object} reader - File reader
+ * @returns {Promise<Object>} Tags
+ */
+const readFlacTags = async (reader) => {
+  const head = await reader.read(0, HEAD_BYTES);
+  // Some taggers put an ID3v2 tag in front of the stream
+  const id3 = parseId3v2(head);
+  let offset = id3 ? id3.size : 0;
+
+  const marker = await reader.read(offset, 4);
+  if (marker.toString('latin1') !== 'fLaC') {
+    return {};
+  }
+  offset += 4;
+
+  const tags = {};
+  let last = false;
+  while (!last && offset + 4 <= reader.size) {
+    const header = await reader.read(offset, 4);
+    last = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = header.readUIntBE(1, 3);
+    offset += 4;
+
+    if (type === 0 && length >= 18) {
+      const info = await reader.read(offset, length);
+      const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+      // 36-bit total sample count
+      const totalSamples = (info[13] & 0x0f) * 2 ** 32 + info.readUInt32BE(14);
+      if (sampleRate > 0 && totalSamples > 0) {
+        tags.duration = totalSamples / sampleRate;
+      }
+    } else if (type === 4) {
+      Object.assign(
+        tags,
+        parseVorbisComments(await reader.read(offset, length)),
+      );
+    }
+
+    offset += length;
+  }
+
+  return compact({ ...(id3 ? id3.tags : {}), ...tags });
+};
+
+/**
+ * Split the start of an Ogg stream into packets
+ * @param {Buffer} buffer - Data starting at the first page
+ * @param {number} maxPackets - Stop after this many packets
+ * @returns {Array<Buffer>} Complete packets (a truncated last packet is kept)
+ */
+const readOggPackets = (buffer, maxPackets) => {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+
+  while (
+    packets.length < maxPackets &&
+    offset + 27 <= buffer.length &&
+    buffer.toString('latin1', offset, offset + 4) === 'OggS'
+  ) {
+    const segments = buffer[offset + 26];
+    const table = buffer.subarray(offset + 27, offset + 27 + segments);
+    let dataOffset = offset + 27 + segments;
+
+    for (let i = 0; i < table.length; i++) {
+      current.push(buffer.subarray(dataOffset, dataOffset + table[i]));
+      dataOffset += table[i];
+      // A segment shorter than 255 bytes ends the packet
+      if (table[i] < 255) {
+        packets.push(Buffer.concat(current));
+        current = [];
+      }
+    }
+    offset = dataOffset;
+  }
+
+  if (current.length > 0 && packets.length < maxPackets) {
+    packets.push(Buffer.concat(current));
+  }
+  return packets;
+};
+
+/**
+ * Read Vorbis or Opus comments and the duration from an Ogg file
+ * @param {Object} reader - File reader
+ * @returns {Promise<Object>} Tags
+ */
+const readOggTags = async (reader) => {
+  const [identification, comments] = readOggPackets(
+    await reader.read(0, HEAD_BYTES),
+    2,
+  );
+  if (!identification) {
+    return {};
+  }
+
+  let sampleRate;
+  let preSkip = 0;
+  let tags = {};
+
+  if (identification.toString('latin1', 1, 7) === 'vorbis') {
+    sampleRate = identification.readUInt32LE(12);
+    if (comments && comments.toString('latin1', 1, 7) === 'vorbis') {
+      tags = parseVorbisComments(comments.subarray(7));
+    }
+  } else if (identification.toString('latin1', 0, 8) === 'OpusHead') {
+    // Opus granule positions always count 48 kHz samples
+    sampleRate = 48000;
+    preSkip = identification.readUInt16LE(10);
+    if (comments && comments.toString('latin1', 0, 8) === 'OpusTags') {
+      tags = parseVorbisComments(comments.subarray(8));
+    }
+  } else {
+    return {};
+  }
+
+  // The granule position of the last page is the total sample count
+  const tail = await reader.read(reader.size - OGG_TAIL_BYTES, OGG_TAIL_BYTES);
+  const lastPage = tail.lastIndexOf('OggS');
+  if (lastPage >= 0 && lastPage + 14 <= tail.length && sampleRate > 0) {
+    const granule = Number(tail.readBigUInt64LE(lastPage + 6));
+    if (granule > preSkip) {
+      tags.duration = (granule - preSkip) / sampleRate;
+    }
+  }
+
+  return compact(tags);
+};
+
+/* ------------------------------------------------------------------ */
+/* MP4 / M4A                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Iterate the atoms in a buffer
+ * @param {Buffer} buffer - Atom data
+ * @param {number} [start] - Offset of the first atom
+ * @param {number} [end] - End of the atom list
+ * @returns {Array<Object>} - [{ type, start, end }] content offsets
+ */
+const listAtoms = (buffer, start = 0, end = buffer.length) => {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerLength = 8;
+
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerLength = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerLength || offset + size > end) {
+      break;
+    }
+
+    atoms.push({ type, start: offset + headerLength, end: offset + size });
+    offset += size;
+  }
+
+  return atoms;
+};
+
+/**
+ * Find a child atom by path, e.g. ['udta', 'meta', 'ilst']
+ * @param {Buffer} buffer - Atom data
+ * @param {Object} parent - { start, end } of the parent's content
+ * @param {Array<string>} types - Atom types to descend through
+ * @returns {Object|null} Atom, or null if missing
+ */
+const findAtom = (buffer, parent, types) => {
+  let atom = parent;
+  for (const type of types) {
+    let start = atom.start;
+    // 'meta' is a full box (version + flags) in MP4 but not in QuickTime
+    if (
+      atom.type === 'meta' &&
+      buffer.toString('latin1', start + 4, start + 8) !== 'hdlr'
+    ) {
+      start += 4;
+    }
+    atom = listAtoms(buffer, start, atom.end).find(
+      (child) => child.type === type,
+    );
+    if (!atom) {
+      return null;
+    }
+  }
+  return atom;
+};
+
+// iTunes metadata item atoms mapped to tag names
+const MP4_ITEMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  aART: 'albumArtist',
+  '©alb': 'album',
+  '©gen': 'genre',
+  '©day': 'year',
+  gnre: 'genreIndex',
+  trkn: 'trackNumber',
+};
+
+/**
+ * Read iTunes metadata and the duration from an MP4/M4A file
+ * @param {Object} reader - File reader
+ * @returns {Promise<Object>} Tags
+ */
+const readMp4Tags = async (reader) => {
+  // Walk the top-level atoms to find moov (often after mdat)
+  let offset = 0;
+  let moov = null;
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+    } else if (size === 0) {
+      size = reader.size - offset;
+    }
+    if (size < 8) {
+      break;
+    }
+    if (type === 'moov') {
+      if (size <= MAX_MOOV_BYTES) {
+        moov = await reader.read(offset, size);
+      }
+      break;
+    }
+    offset += size;
+  }
+  if (!moov) {
+    return {};
+  }
+
+  const [root] = listAtoms(moov);
+  const tags = {};
+
+  const mvhd = findAtom(moov, root, ['mvhd']);
+  if (mvhd) {
+    const version = moov[mvhd.start];
+    const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration =
+      version === 1
+        ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+        : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale > 0) {
+      tags.duration = duration / timescale;
+    }
+  }
+
+  const ilst = findAtom(moov, root, ['udta', 'meta', 'ilst']);
+  const raw = {};
+  if (ilst) {
+    listAtoms(moov, ilst.start, ilst.end).forEach((item) => {
+      const name = MP4_ITEMS[item.type];
+      const data = listAtoms(moov, item.start, item.end).find(
+        (child) => child.type === 'data',
+      );
+      if (!name || !data || data.end - data.start < 8) {
+        return;
+      }
+      // data atom: 4 bytes type indicator, 4 bytes locale, then the value
+      const value = moov.subarray(data.start + 8, data.end);
+      if (name === 'trackNumber') {
+        raw[name] = value.length >= 4 ? value.readUInt16BE(2) : undefined;
+      } else if (name === 'genreIndex') {
+        raw[name] = value.length >= 2 ? value.readUInt16BE(0) : undefined;
+      } else {
+        raw[name] = value.toString('utf8');
+      }
+    });
+  }
+
+  return compact({
+    ...tags,
+    title: raw.title,
+    artist: raw.artist || raw.albumArtist,
+    album: raw.album,
+    // gnre holds the ID3v1 genre index plus one
+    genre: raw.genre || ID3_GENRES[raw.genreIndex - 1],
+    year: parseYear(raw.year),
+    trackNumber: raw.trackNumber,
+  });
+};
+
+/* ------------------------------------------------------------------ */
+/* WAV                                                                  */
+/* ------------------------------------------------------------------ */
+
+// RIFF INFO chunk IDs mapped to tag names
+const RIFF_INFO = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  IGNR: 'genre',
+  ICRD: 'year',
+  ITRK: 'trackNumber',
+  IPRT: 'trackNumber',
+};
+
+/**
+ * Read LIST/INFO tags and the duration from a WAV file
+ * @param {Object} reader - File reader
+ * @returns {Promise<Object>} Tags
+ */
+const readWavTags = async (reader) => {
+  const header = await reader.read(0, 12);
+  if (
+    header.toString('latin1', 0, 4) !== 'RIFF' ||
+    header.toString('latin1', 8, 12) !== 'WAVE'
+  ) {
+    return {};
+  }
+
+  const raw = {};
+  let byteRate = 0;
+  let dataSize = 0;
+  let offset = 12;
+
+  while (offset + 8 <= reader.size) {
+    const chunk = await reader.read(offset, 8);
+    const id = chunk.toString('latin1', 0, 4);
+    const size = chunk.readUInt32LE(4);
+    const start = offset + 8;
+
+    if (id === 'fmt ') {
+      const fmt = await reader.read(start, 16);
+      byteRate = fmt.readUInt32LE(8);
+    } else if (id === 'data') {
+      dataSize = Math.min(size, reader.size - start);
+    } else if (id === 'LIST' && size <= HEAD_BYTES) {
+      const list = await reader.read(start, size);
+      if (list.toString('latin1', 0, 4) === 'INFO') {
+        let pos = 4;
+        while (pos + 8 <= list.length) {
+          const key = list.toString('latin1', pos, pos + 4);
+          const length = list.readUInt32LE(pos + 4);
+          const name = RIFF_INFO[key];
+          if (name && !raw[name]) {
+            raw[name] = list
+              .toString('utf8', pos + 8, pos + 8 + length)
+              .replace(/\u0000+$/, '');
+          }
+          // Sub-chunks are padded to an even length
+          pos += 8 + length + (length % 2);
+        }
+      }
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  return compact({
+    title: raw.title,
+    artist: raw.artist,
+    album: raw.album,
+    genre: raw.genre,
+    year: parseYear(raw.year),
+    trackNumber: parseTrackNumber(raw.trackNumber),
+    duration: byteRate > 0 ? dataSize / byteRate : undefined,
+  });
+};
+
+/* ------------------------------------------------------------------ */
+/* Public API                                                           */
+/* ------------------------------------------------------------------ */
+
+// Reader for each supported extension
+const READERS = {
+  mp3: readMpegTags,
+  aac: readMpegTags,
+  flac: readFlacTags,
+  ogg: readOggTags,
+  oga: readOggTags,
+  opus: readOggTags,
+  m4a: readMp4Tags,
+  mp4: readMp4Tags,
+  wav: readWavTags,
+};
+
+/**
+ * Read the embedded tags of an audio file
+ * Never throws: unreadable or unsupported files give an empty object
+ * @param {string} filePath - Path to the audio file
+ * @returns {Promise<Object>} - { title, artist, album, genre, year,
+ * trackNumber, duration } with only the values that were found
+ */
+const readTags = async (filePath) => {
+  const ext = path.extname(filePath).replace('.', '').toLowerCase();
+  const reader = READERS[ext];
+  if (!reader) {
+    return {};
+  }
+
+  let handle;
+  try {
+    const fullPath = path.resolve(filePath);
+    const stats = await fs.promises.stat(fullPath);
+
+    const cached = tagCache.get(fullPath);
+    if (
+      cached &&
+      cached.mtimeMs === stats.mtimeMs &&
+      cached.size === stats.size
+    ) {
+      return cached.tags;
+    }
+
+    handle = await fs.promises.open(fullPath, 'r');
+    const tags = await reader(createReader(handle, stats.size), ext);
+    if (tags.duration) {
+      // Two decimals is plenty for a track length
+      tags.duration = Math.round(tags.duration * 100) / 100;
+    }
+
+    tagCache.set(fullPath, { mtimeMs: stats.mtimeMs, size: stats.size, tags });
+    return tags;
+  } catch (error) {
+    return {};
+  } finally {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+  }
+};
+
+/**
+ * Forget cached tags (all of them, or for one file)
+ * @param {string} [filePath] - File to forget
+ */
+const clearTagCache = (filePath) => {
+  if (filePath) {
+    tagCache.del(path.resolve(filePath));
+  } else {
+    tagCache.flushAll();
+  }
+};
+
+module.exports = {
+  readTags,
+  clearTagCache,
+  parseId3v2,
+  parseVorbisComments,
+};
@@ -0,0 +1,81 @@
+/**
+ * Audit trail for privileged (admin) actions
+ * Every admin mutation records who did what to which record, with a field
+ * level diff of the change
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Turn a document or plain object into something safe to compare and store
+ * @param {Object|null} value - Mongoose document or plain object
+ * @returns {Object} Plain object (empty when no value)
+ */
+const toPlain = (value) => {
+  if (!value) {
+    return {};
+  }
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Work out which top-level fields differ between two snapshots
+ * @param {Object|null} before - State before the change
+ * @param {Object|null} after - State after the change
+ * @returns {Object} - { field: { from, to } } for every changed field
+ */
+const diff = (before, after) => {
+  const from = toPlain(before);
+  const to = toPlain(after);
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach((key) => {
+    if (key === '__v') {
+      return;
+    }
+    if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) {
+      changes[key] = {
+        from: from[key] === undefined ? null : from[key],
+        to: to[key] === undefined ? null : to[key],
+      };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record an admin action. Failures are logged rather than thrown so an action
+ * that has already been applied still reports success to the caller
+ * @param {Object} req - Express request (provides the actor, IP and user agent)
+ * @param {Object} event - { action, targetType, targetId, before, after, metadata }
+ * @returns {Promise<Object|null>} The stored audit event, or null on failure
+ */
+const recordAudit = async (
+  req,
+  { action, targetType, targetId, before, after, metadata },
+) => {
+  try {
+    return await AuditEvent.create({
+      // Staff impersonating a user act under their own name
+      actorId: req.impersonator ? req.impersonator.id : req.userId,
+      actorRole: req.impersonator ? req.impersonator.role : req.role,
+      action,
+      targetType,
+      targetId: targetId !== undefined ? String(targetId) : undefined,
+      changes: before || after ? diff(before, after) : undefined,
+      metadata,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+  } catch (err) {
+    console.error('Error recording audit event:', err);
+    return null;
+  }
+};
+
+module.exports = {
+  diff,
+  recordAudit,
+};
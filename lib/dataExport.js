@@ -0,0 +1,281 @@
+/**
+ * Personal data export
+ * Collects everything stored about a user into a gzipped JSON archive,
+ * built in the background after the request has been answered
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const User = require('../models/User');
+const PlayEvent = require('../models/PlayEvent');
+const LoginEvent = require('../models/LoginEvent');
+const Hit = require('../models/Hit');
+const ExportJob = require('../models/ExportJob');
+
+const gzip = promisify(zlib.gzip);
+
+// Where archives are written (from env or a directory in the OS temp dir)
+const EXPORT_DIR =
+  process.env.EXPORT_DIR || path.join(os.tmpdir(), 'mystichits-exports');
+// How long an archive stays available (from env or default 7 days)
+const EXPORT_TTL = process.env.EXPORT_TTL
+  ? parseInt(process.env.EXPORT_TTL, 10)
+  : 7 * 24 * 60 * 60 * 1000; // 7 days in ms
+// How long a job may stay queued or running before it counts as abandoned,
+// e.g. after a crash or restart (from env or default 15 minutes)
+const EXPORT_STALE_AFTER = process.env.EXPORT_STALE_AFTER
+  ? parseInt(process.env.EXPORT_STALE_AFTER, 10)
+  : 15 * 60 * 1000; // 15 minutes in ms
+
+/**
+ * Gather every record tied to a user
+ * @param {string} userId - User to export
+ * @returns {Promise<Object|null>} Export document, or null if the user is gone
+ */
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).select(User.PRIVATE_FIELDS).lean();
+  if (!user) {
+    return null;
+  }
+
+  const [playEvents, loginEvents, hits] = await Promise.all([
+    PlayEvent.find({ userId }).sort({ createdAt: 1 }).lean(),
+    LoginEvent.find({ userId }).sort({ at: 1 }).lean(),
+    Hit.find({ userId }).sort({ firstHitAt: 1 }).lean(),
+  ]);
+
+  const { folders = [], ...profile } = user;
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    folders,
+    playEvents,
+    loginEvents,
+    hits,
+  };
+};
+
+/**
+ * Remove a file, ignoring files that are already gone
+ * @param {string} filePath - File to remove
+ */
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+};
+
+/**
+ * Build the archive for a job and record the outcome on the job
+ * @param {string} jobId - Export job to run
+ * @returns {Promise<void>}
+ */
+const processExportJob = async (jobId) => {
+  const job = await ExportJob.findOneAndUpdate(
+    { _id: jobId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true },
+  );
+  if (!job) {
+    return;
+  }
+
+  try {
+    const data = await collectUserData(job.userId);
+    if (!data) {
+      throw new Error('User not found');
+    }
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `${job._id}.json.gz`);
+    const archive = await gzip(JSON.stringify(data, null, 2));
+    await fs.promises.writeFile(filePath, archive);
+
+    job.status = 'completed';
+    job.filePath = filePath;
+    job.size = archive.length;
+    job.completedAt = new Date();
+    await job.save();
+  } catch (err) {
+    console.error('Error building data export:', err);
+    job.status = 'failed';
+    job.error = err.message;
+    job.completedAt = new Date();
+    await job.save();
+  }
+};
+
+// Archive file names: <job id>.json.gz
+const ARCHIVE_PATTERN = /^([0-9a-f]{24})\.json\.gz$/;
+
+/**
+ * Delete expired exports, archive first and then the job, so a job is never
+ * gone while its archive is still on disk. Archives without a job (e.g. left
+ * behind by a crash) are removed as well. Runs hourly from server.js
+ * @returns {Promise<number>} Number of archives removed
+ */
+const removeExpiredExports = async () => {
+  let removed = 0;
+
+  const expired = await ExportJob.find({
+    expiresAt: { $lte: new Date() },
+  }).select('filePath');
+  for (const job of expired) {
+    if (job.filePath) {
+      await removeFile(job.filePath);
+      removed += 1;
+    }
+  }
+  if (expired.length > 0) {
+    await ExportJob.deleteMany({ _id: { $in: expired.map((job) => job._id) } });
+  }
+
+  let files;
+  try {
+    files = await fs.promises.readdir(EXPORT_DIR);
+  } catch (err) {
+    return removed;
+  }
+
+  const archives = files
+    .map((file) => ({ file, match: file.match(ARCHIVE_PATTERN) }))
+    .filter(({ match }) => match);
+  const existing = await ExportJob.find({
+    _id: { $in: archives.map(({ match }) => match[1]) },
+  }).select('_id');
+  const jobIds = new Set(existing.map((job) => job._id.toString()));
+
+  for (const { file, match } of archives) {
+    if (!jobIds.has(match[1])) {
+      await removeFile(path.join(EXPORT_DIR, file));
+      removed += 1;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Mark jobs that were queued or started too long ago as failed
+ * Jobs only run inside the process that queued them, so one that outlived
+ * EXPORT_STALE_AFTER was lost (crash, restart) and would otherwise block new
+ * exports for the user until it expires
+ * @param {Object} [filter] - Extra conditions (e.g. { userId })
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+const failStaleExports = async (filter = {}) => {
+  const cutoff = new Date(Date.now() - EXPORT_STALE_AFTER);
+  const result = await ExportJob.updateMany(
+    {
+      ...filter,
+      status: { $in: ['pending', 'processing'] },
+      $or: [
+        { startedAt: { $lte: cutoff } },
+        // Still queued (or started before startedAt was recorded)
+        { startedAt: null, createdAt: { $lte: cutoff } },
+      ],
+    },
+    {
+      $set: {
+        status: 'failed',
+        error: 'Export was interrupted, please try again',
+        completedAt: new Date(),
+      },
+    },
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Queue an export for a user; the archive is built in the background
+ * A job that is already queued or running is returned instead of a new one
+ * (unless it has been abandoned, see failStaleExports)
+ * @param {string} userId - User whose data is exported
+ * @param {string} requestedBy - User (or admin) asking for the export
+ * @returns {Promise<Object>} - { job, created }
+ */
+const startExportJob = async (userId, requestedBy) => {
+  await failStaleExports({ userId });
+
+  const running = await ExportJob.findOne({
+    userId,
+    status: { $in: ['pending', 'processing'] },
+  });
+  if (running) {
+    return { job: running, created: false };
+  }
+
+  const job = await ExportJob.create({
+    userId,
+    requestedBy,
+    expiresAt: new Date(Date.now() + EXPORT_TTL),
+  });
+
+  // Build the archive after the response has gone out
+  setImmediate(() => {
+    processExportJob(job._id).catch((err) =>
+      console.error('Error running data export:', err),
+    );
+  });
+
+  return { job, created: true };
+};
+
+/**
+ * Delete every export (jobs and archives) for a user
+ * @param {string} userId - User whose exports are removed
+ * @returns {Promise<number>} Number of jobs removed
+ */
+const removeExportsForUser = async (userId) => {
+  const jobs = await ExportJob.find({ userId }).select('filePath');
+  await Promise.all(
+    jobs.filter((job) => job.filePath).map((job) => removeFile(job.filePath)),
+  );
+  const result = await ExportJob.deleteMany({ userId });
+  return result.deletedCount;
+};
+
+/**
+ * Shape an export job for a response (never exposes the file path)
+ * @param {Object} job - ExportJob document
+ * @returns {Object} Job summary
+ */
+const describeJob = (job) => ({
+  id: job._id,
+  userId: job.userId,
+  status: job.status,
+  size: job.size,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+});
+
+/**
+ * File name offered when an archive is downloaded
+ * @param {Object} job - ExportJob document
+ * @returns {string} Download file name
+ */
+const getDownloadName = (job) =>
+  `mystichits-export-${job.userId}-${job.createdAt
+    .toISOString()
+    .slice(0, 10)}.json.gz`;
+
+module.exports = {
+  EXPORT_DIR,
+  collectUserData,
+  processExportJob,
+  removeExpiredExports,
+  failStaleExports,
+  startExportJob,
+  removeExportsForUser,
+  describeJob,
+  getDownloadName,
+};
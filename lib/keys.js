@@ -0,0 +1,246 @@
+/**
+ * JWT signing keys
+ * Tokens are signed with asymmetric keys identified by a `kid` so other
+ * services can verify them from the public JWKS. Several keys can be loaded
+ * at once: the newest active key signs, every non-retired key verifies.
+ *
+ * Keys come from (first match wins):
+ * - JWT_KEYS_DIR: a directory of PEM private keys. An optional keys.json in
+ *   the same directory schedules rotation:
+ *   [{ "kid": "2025-06", "file": "2025-06.pem",
+ *      "activateAt": "2025-06-01T00:00:00Z", "retireAt": "2025-09-01T00:00:00Z" }]
+ *   Without it every *.pem file is loaded, named after the file, and the most
+ *   recently modified file signs.
+ * - JWT_PRIVATE_KEY: a single PEM private key (JWT_KEY_ID sets its kid)
+ * - NODE_ENV=test only: an ephemeral key generated at startup
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Signing algorithm for each supported key type
+const EC_CURVE_ALGORITHMS = {
+  prime256v1: 'ES256',
+  secp384r1: 'ES384',
+  secp521r1: 'ES512',
+};
+const MIN_RSA_KEY_BITS = 2048;
+
+let loadedKeys = null;
+
+/**
+ * Work out the JWS algorithm for a private key
+ * @param {crypto.KeyObject} privateKey - Private key
+ * @returns {string} JWS algorithm name
+ * @throws {Error} When the key type is not supported
+ */
+const getAlgorithm = (privateKey) => {
+  const { asymmetricKeyType: type, asymmetricKeyDetails: details = {} } =
+    privateKey;
+
+  if (type === 'rsa') {
+    if (details.modulusLength < MIN_RSA_KEY_BITS) {
+      throw new Error(`RSA keys must be at least ${MIN_RSA_KEY_BITS} bits`);
+    }
+    return 'RS256';
+  }
+  if (type === 'ec' && EC_CURVE_ALGORITHMS[details.namedCurve]) {
+    return EC_CURVE_ALGORITHMS[details.namedCurve];
+  }
+  // jsonwebtoken cannot sign or verify EdDSA tokens yet
+  throw new Error(
+    `Unsupported JWT key type: ${type}${
+      details.namedCurve ? ` (${details.namedCurve})` : ''
+    }. Use an RSA or EC (P-256/P-384/P-521) key`,
+  );
+};
+
+/**
+ * Default key ID: the RFC 7638 thumbprint of the public key
+ * @param {crypto.KeyObject} publicKey - Public key
+ * @returns {string} base64url thumbprint
+ */
+const getThumbprint = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  // Required members only, in lexicographic order
+  const members =
+    jwk.kty === 'RSA'
+      ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+      : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(members))
+    .digest('base64url');
+};
+
+/**
+ * Build a key entry from a PEM private key
+ * @param {string|Buffer} pem - PEM encoded private key
+ * @param {Object} [meta] - { kid, activateAt, retireAt }
+ * @returns {Object} - { kid, alg, privateKey, publicKey, activateAt, retireAt }
+ */
+const createKey = (pem, { kid, activateAt, retireAt } = {}) => {
+  const privateKey = crypto.createPrivateKey(pem);
+  const publicKey = crypto.createPublicKey(privateKey);
+
+  return {
+    kid: kid || getThumbprint(publicKey),
+    alg: getAlgorithm(privateKey),
+    privateKey,
+    publicKey,
+    activateAt: activateAt ? new Date(activateAt) : null,
+    retireAt: retireAt ? new Date(retireAt) : null,
+  };
+};
+
+/**
+ * Load every key in a directory, using keys.json for the schedule if present
+ * @param {string} dir - Directory holding PEM files
+ * @returns {Array<Object>} Key entries
+ */
+const loadKeysFromDir = (dir) => {
+  const manifestPath = path.join(dir, 'keys.json');
+
+  if (fs.existsSync(manifestPath)) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return manifest.map((entry) =>
+      createKey(fs.readFileSync(path.join(dir, entry.file)), entry),
+    );
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.pem'))
+    .map((file) => {
+      const filePath = path.join(dir, file);
+      return createKey(fs.readFileSync(filePath), {
+        kid: path.basename(file, '.pem'),
+        activateAt: fs.statSync(filePath).mtime,
+      });
+    });
+};
+
+/**
+ * Generate a throwaway key for the test suite
+ * @returns {Object} Key entry
+ */
+const createEphemeralKey = () => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'prime256v1',
+  });
+  return createKey(privateKey.export({ format: 'pem', type: 'pkcs8' }), {
+    kid: 'test',
+  });
+};
+
+/**
+ * Load the configured keys (cached after the first call)
+ * Called at startup so a misconfigured server refuses to boot
+ * @returns {Array<Object>} Key entries
+ * @throws {Error} When no usable key is configured
+ */
+const loadKeys = () => {
+  if (loadedKeys) {
+    return loadedKeys;
+  }
+
+  let keys = [];
+  if (process.env.JWT_KEYS_DIR) {
+    keys = loadKeysFromDir(process.env.JWT_KEYS_DIR);
+  } else if (process.env.JWT_PRIVATE_KEY) {
+    // Allow the PEM to be stored on one line with escaped newlines
+    const pem = process.env.JWT_PRIVATE_KEY.replace(/\\n/g, '\n');
+    keys = [createKey(pem, { kid: process.env.JWT_KEY_ID })];
+  } else if (process.env.NODE_ENV === 'test') {
+    keys = [createEphemeralKey()];
+  }
+
+  if (keys.length === 0) {
+    throw new Error(
+      'No JWT signing keys configured. Set JWT_KEYS_DIR or JWT_PRIVATE_KEY',
+    );
+  }
+
+  const kids = keys.map((key) => key.kid);
+  if (new Set(kids).size !== kids.length) {
+    throw new Error('JWT key IDs must be unique');
+  }
+
+  loadedKeys = keys;
+  // Fail now rather than on the first login if no key is active yet
+  getSigningKey();
+  return loadedKeys;
+};
+
+/**
+ * Forget the cached keys so the next call reads the configuration again
+ */
+const reloadKeys = () => {
+  loadedKeys = null;
+  return loadKeys();
+};
+
+/**
+ * Check whether a key has been retired
+ * @param {Object} key - Key entry
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the key may no longer be used at all
+ */
+const isRetired = (key, now) => !!key.retireAt && key.retireAt <= now;
+
+/**
+ * Get the key new tokens are signed with: the most recently activated key
+ * that is not retired
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Key entry
+ * @throws {Error} When no key is active
+ */
+const getSigningKey = (now = Date.now()) => {
+  const active = loadKeys().filter(
+    (key) => (!key.activateAt || key.activateAt <= now) && !isRetired(key, now),
+  );
+
+  if (active.length === 0) {
+    throw new Error('No active JWT signing key');
+  }
+
+  return active.reduce((newest, key) =>
+    (key.activateAt || 0) >= (newest.activateAt || 0) ? key : newest,
+  );
+};
+
+/**
+ * Find the key that verifies a token
+ * Keys scheduled for the future are accepted so instances that rotate first
+ * do not lock out the others
+ * @param {string} kid - Key ID from the token header
+ * @param {number} [now] - Current time in ms
+ * @returns {Object|null} Key entry, or null if unknown or retired
+ */
+const getVerificationKey = (kid, now = Date.now()) =>
+  loadKeys().find((key) => key.kid === kid && !isRetired(key, now)) || null;
+
+/**
+ * Public keys in JSON Web Key Set format
+ * @param {number} [now] - Current time in ms
+ * @returns {{ keys: Array<Object> }} JWKS document
+ */
+const getJwks = (now = Date.now()) => ({
+  keys: loadKeys()
+    .filter((key) => !isRetired(key, now))
+    .map((key) => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig',
+    })),
+});
+
+module.exports = {
+  loadKeys,
+  reloadKeys,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+};
@@ -0,0 +1,222 @@
+/**
+ * Login anomaly detection
+ * Flags logins from devices the user has not signed in from recently and
+ * logins that are physically impossible given the previous one, and builds
+ * the admin feed of suspicious login activity
+ */
+
+const LoginEvent = require('../models/LoginEvent');
+
+// How far back a device counts as known (login history is kept for 30 days)
+const KNOWN_DEVICE_WINDOW = 30 * 24 * 60 * 60 * 1000; // 30 days in ms
+// Successful logins checked when looking for a known device
+const HISTORY_LIMIT = 50;
+// Anything faster than a long-haul flight is treated as impossible travel
+const MAX_TRAVEL_SPEED = process.env.LOGIN_MAX_TRAVEL_KMH
+  ? parseInt(process.env.LOGIN_MAX_TRAVEL_KMH, 10)
+  : 1000; // km/h
+// Short hops are ignored: IP geolocation is only accurate to a city or so
+const MIN_TRAVEL_DISTANCE = 300; // km
+// Distinct accounts seen from one IP before it shows up in the admin feed
+const SHARED_IP_THRESHOLD = process.env.LOGIN_SHARED_IP_THRESHOLD
+  ? parseInt(process.env.LOGIN_SHARED_IP_THRESHOLD, 10)
+  : 5;
+
+// Location headers set by the proxy/CDN in front of the API, in priority order
+const GEO_HEADERS = [
+  {
+    country: 'cf-ipcountry',
+    city: 'cf-ipcity',
+    lat: 'cf-iplatitude',
+    lon: 'cf-iplongitude',
+  },
+  {
+    country: 'x-vercel-ip-country',
+    city: 'x-vercel-ip-city',
+    lat: 'x-vercel-ip-latitude',
+    lon: 'x-vercel-ip-longitude',
+  },
+];
+
+/**
+ * Decode a header value some proxies URL-encode (e.g. city names)
+ * @param {string} value - Raw header value
+ * @returns {string} Decoded value, or the raw value if it is not encoded
+ */
+const decodeHeader = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * Read the client location from proxy geolocation headers
+ * @param {Object} headers - Request headers
+ * @returns {Object} - { country, city, location: { lat, lon } }, fields are
+ * undefined when the proxy did not provide them
+ */
+const getGeo = (headers = {}) => {
+  const names = GEO_HEADERS.find((set) => headers[set.country]) || {};
+  const lat = parseFloat(headers[names.lat]);
+  const lon = parseFloat(headers[names.lon]);
+
+  return {
+    // Cloudflare reports XX for unknown and T1 for Tor
+    country: ['XX', 'T1'].includes(headers[names.country])
+      ? undefined
+      : headers[names.country],
+    city: headers[names.city] ? decodeHeader(headers[names.city]) : undefined,
+    location:
+      Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : undefined,
+  };
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lon } in degrees
+ * @param {Object} b - { lat, lon } in degrees
+ * @returns {number} Distance in km
+ */
+const distanceKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Check whether getting from one login to the next needs an impossible speed
+ * @param {Object} previous - Earlier login { location, at }
+ * @param {Object} current - Later login { location, at }
+ * @returns {Object|null} - { distanceKm, speedKmh } if impossible, else null
+ */
+const checkTravel = (previous, current) => {
+  if (!previous || !previous.location || !current.location) {
+    return null;
+  }
+
+  const distance = distanceKm(previous.location, current.location);
+  if (distance < MIN_TRAVEL_DISTANCE) {
+    return null;
+  }
+
+  const hours = Math.max(
+    (new Date(current.at) - new Date(previous.at)) / (60 * 60 * 1000),
+    1 / 60, // treat simultaneous logins as a minute apart
+  );
+  const speed = distance / hours;
+
+  return speed > MAX_TRAVEL_SPEED
+    ? { distanceKm: Math.round(distance), speedKmh: Math.round(speed) }
+    : null;
+};
+
+/**
+ * Compare a login with the user's recent history
+ * Must run before the login itself is recorded
+ * @param {string} userId - User logging in
+ * @param {Object} login - { ip, userAgent, location, at }
+ * @returns {Promise<Array<string>>} Anomalies: 'new_device', 'impossible_travel'
+ */
+const detectLoginAnomalies = async (userId, login) => {
+  const at = login.at || new Date();
+  const history = await LoginEvent.find({
+    userId,
+    success: { $ne: false },
+    at: { $gte: new Date(at - KNOWN_DEVICE_WINDOW) },
+  })
+    .sort({ at: -1 })
+    .limit(HISTORY_LIMIT)
+    .select('ip userAgent location at')
+    .lean();
+
+  // Nothing to compare the very first login with
+  if (history.length === 0) {
+    return [];
+  }
+
+  const anomalies = [];
+
+  const knownDevice = history.some(
+    (event) => event.ip === login.ip && event.userAgent === login.userAgent,
+  );
+  if (!knownDevice) {
+    anomalies.push('new_device');
+  }
+
+  const lastLocated = history.find((event) => event.location);
+  if (checkTravel(lastLocated, { location: login.location, at })) {
+    anomalies.push('impossible_travel');
+  }
+
+  return anomalies;
+};
+
+/**
+ * Suspicious login activity for the admin feed
+ * @param {Date} since - Start of the window
+ * @returns {Promise<Object>} - { sharedIps, impossibleTravel, newDevices }
+ */
+const getSuspiciousLogins = async (since) => {
+  const [sharedIps, flagged] = await Promise.all([
+    // Many different accounts (or attempted emails) from one IP
+    LoginEvent.aggregate([
+      { $match: { at: { $gte: since }, ip: { $ne: null } } },
+      {
+        $group: {
+          _id: '$ip',
+          accounts: { $addToSet: { $ifNull: ['$userId', '$email'] } },
+          successes: {
+            $sum: { $cond: [{ $eq: ['$success', false] }, 0, 1] },
+          },
+          failures: { $sum: { $cond: [{ $eq: ['$success', false] }, 1, 0] } },
+          lastAt: { $max: '$at' },
+        },
+      },
+      { $addFields: { accountCount: { $size: '$accounts' } } },
+      { $match: { accountCount: { $gte: SHARED_IP_THRESHOLD } } },
+      { $sort: { accountCount: -1, lastAt: -1 } },
+      { $limit: 100 },
+      {
+        $project: {
+          _id: 0,
+          ip: '$_id',
+          accountCount: 1,
+          successes: 1,
+          failures: 1,
+          lastAt: 1,
+        },
+      },
+    ]),
+    LoginEvent.find({ at: { $gte: since }, 'anomalies.0': { $exists: true } })
+      .sort({ at: -1 })
+      .limit(200)
+      .populate('userId', 'username email')
+      .select('userId ip userAgent deviceType country city anomalies at')
+      .lean(),
+  ]);
+
+  return {
+    sharedIps,
+    impossibleTravel: flagged.filter((event) =>
+      event.anomalies.includes('impossible_travel'),
+    ),
+    newDevices: flagged.filter((event) =>
+      event.anomalies.includes('new_device'),
+    ),
+  };
+};
+
+module.exports = {
+  SHARED_IP_THRESHOLD,
+  getGeo,
+  distanceKm,
+  checkTravel,
+  detectLoginAnomalies,
+  getSuspiciousLogins,
+};
@@ -0,0 +1,206 @@
+/**
+ * Brute-force protection for logins
+ * Tracks failed attempts per account (on the User document) and per IP
+ * (in memory), applies progressive delays and temporarily locks accounts
+ */
+
+const NodeCache = require('node-cache');
+const User = require('../models/User');
+
+// Failures that can be retried straight away; from this many on, the next
+// attempt has to wait
+const FREE_ATTEMPTS = 3;
+// Failures before the account is locked (from env or default 10)
+const MAX_ACCOUNT_ATTEMPTS = process.env.LOGIN_MAX_ATTEMPTS
+  ? parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10)
+  : 10;
+// How long an account stays locked (from env or default 15 minutes)
+const LOCK_DURATION = process.env.LOGIN_LOCK_DURATION
+  ? parseInt(process.env.LOGIN_LOCK_DURATION, 10)
+  : 15 * 60 * 1000; // 15 minutes in ms
+// Longest progressive delay between attempts
+const MAX_DELAY = 60 * 1000; // 1 minute in ms
+// Failures from one IP (across all accounts) before it is blocked
+const MAX_IP_ATTEMPTS = process.env.LOGIN_MAX_IP_ATTEMPTS
+  ? parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10)
+  : 50;
+// Window for per-IP counters
+const IP_WINDOW = 15 * 60; // 15 minutes in seconds
+
+// Per-IP failure counters: { count, lastFailedAt, firstFailedAt }
+const ipFailures = new NodeCache({ stdTTL: IP_WINDOW, checkperiod: 60 });
+
+/**
+ * Delay required after a number of consecutive failures
+ * 1s after the 3rd failure (FREE_ATTEMPTS), doubling with each further
+ * failure up to MAX_DELAY
+ * @param {number} failures - Consecutive failed attempts
+ * @returns {number} Delay in ms
+ */
+const getProgressiveDelay = (failures) => {
+  if (failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY);
+};
+
+/**
+ * Work out whether a login attempt has to wait
+ * @param {number} failures - Consecutive failed attempts
+ * @param {Date|number} lastFailedAt - Time of the last failure
+ * @returns {number} Seconds to wait (0 if the attempt may proceed)
+ */
+const getRetryAfter = (failures, lastFailedAt) => {
+  const delay = getProgressiveDelay(failures);
+  if (!delay || !lastFailedAt) {
+    return 0;
+  }
+  const waitUntil = new Date(lastFailedAt).getTime() + delay;
+  return Math.max(0, Math.ceil((waitUntil - Date.now()) / 1000));
+};
+
+/**
+ * Check whether an IP may attempt a login
+ * @param {string} ip - Client IP address
+ * @returns {{ blocked: boolean, retryAfter: number }}
+ */
+const checkIp = (ip) => {
+  const entry = ipFailures.get(ip);
+  if (!entry) {
+    return { blocked: false, retryAfter: 0 };
+  }
+
+  if (entry.count >= MAX_IP_ATTEMPTS) {
+    const ttl = ipFailures.getTtl(ip);
+    return {
+      blocked: true,
+      retryAfter: ttl ? Math.ceil((ttl - Date.now()) / 1000) : IP_WINDOW,
+    };
+  }
+
+  return {
+    blocked: false,
+    retryAfter: getRetryAfter(entry.count, entry.lastFailedAt),
+  };
+};
+
+/**
+ * Record a failed login from an IP
+ * @param {string} ip - Client IP address
+ */
+const recordIpFailure = (ip) => {
+  const now = Date.now();
+  const entry = ipFailures.get(ip) || { count: 0, firstFailedAt: now };
+  entry.count += 1;
+  entry.lastFailedAt = now;
+  ipFailures.set(ip, entry);
+};
+
+/**
+ * Forget failures for an IP (admin action)
+ * @param {string} ip - Client IP address
+ * @returns {boolean} True if the IP was being tracked
+ */
+const clearIp = (ip) => ipFailures.del(ip) > 0;
+
+/**
+ * List every IP with recorded failures
+ * @returns {Array<Object>} - { ip, failedAttempts, blocked, firstFailedAt, lastFailedAt }
+ */
+const listIpFailures = () =>
+  ipFailures.keys().map((ip) => {
+    const entry = ipFailures.get(ip);
+    return {
+      ip,
+      failedAttempts: entry.count,
+      blocked: entry.count >= MAX_IP_ATTEMPTS,
+      firstFailedAt: new Date(entry.firstFailedAt),
+      lastFailedAt: new Date(entry.lastFailedAt),
+    };
+  });
+
+/**
+ * Check whether an account may attempt a login
+ * @param {Object} user - User document
+ * @returns {{ locked: boolean, retryAfter: number }}
+ */
+const checkAccount = (user) => {
+  if (user.isLocked()) {
+    return {
+      locked: true,
+      retryAfter: Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000),
+    };
+  }
+
+  return {
+    locked: false,
+    retryAfter: getRetryAfter(user.failedLoginAttempts, user.lastFailedLoginAt),
+  };
+};
+
+/**
+ * Record a failed login against an account, locking it when the limit is hit
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { user, justLocked } with the updated user
+ */
+const recordAccountFailure = async (user) => {
+  // Start counting again if a previous lock has run out
+  const previousLockExpired = user.lockUntil && !user.isLocked();
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    previousLockExpired
+      ? {
+          $set: { failedLoginAttempts: 1, lastFailedLoginAt: new Date() },
+          $unset: { lockUntil: 1 },
+        }
+      : {
+          $inc: { failedLoginAttempts: 1 },
+          $set: { lastFailedLoginAt: new Date() },
+        },
+    { new: true },
+  );
+
+  if (
+    updated.failedLoginAttempts >= MAX_ACCOUNT_ATTEMPTS &&
+    !updated.isLocked()
+  ) {
+    updated.lockUntil = new Date(Date.now() + LOCK_DURATION);
+    await updated.save();
+    return { user: updated, justLocked: true };
+  }
+
+  return { user: updated, justLocked: false };
+};
+
+/**
+ * Clear failed attempts and any lock on an account
+ * @param {string} userId - User to reset
+ * @returns {Promise<Object>} - MongoDB update result
+ */
+const clearAccount = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: {
+        lastFailedLoginAt: 1,
+        lockUntil: 1,
+        unlockToken: 1,
+        unlockTokenExpires: 1,
+      },
+    },
+  );
+
+module.exports = {
+  FREE_ATTEMPTS,
+  MAX_ACCOUNT_ATTEMPTS,
+  getProgressiveDelay,
+  checkIp,
+  recordIpFailure,
+  clearIp,
+  listIpFailures,
+  checkAccount,
+  recordAccountFailure,
+  clearAccount,
+};
@@ -0,0 +1,87 @@
+/**
+ * Role and permission definitions
+ * Every staff role maps to the permissions it grants; admin routes declare
+ * the permission they need with the requirePermission middleware
+ */
+
+// Roles a user can hold ('user' is a regular listener with no staff access)
+const ROLES = ['user', 'admin', 'moderator', 'analyst', 'support'];
+
+// Roles allowed into the admin router at all
+const STAFF_ROLES = ROLES.filter((role) => role !== 'user');
+
+// Every permission checked somewhere in the API
+const PERMISSIONS = [
+  'users:read',
+  'users:delete',
+  'users:suspend',
+  'users:impersonate',
+  'users:roles',
+  'users:sessions',
+  'users:export',
+  'security:lockouts',
+  'security:logins',
+  'settings:manage',
+  'invitations:manage',
+  'audit:read',
+  'stats:read',
+  'analytics:read',
+  'errors:read',
+  'health:read',
+  'messages:read',
+  'messages:write',
+  'folders:read',
+  'folders:manage',
+  'hits:clear',
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  // Admins can do everything, including anything added later
+  admin: PERMISSIONS,
+  moderator: [
+    'users:read',
+    'users:sessions',
+    'users:suspend',
+    'stats:read',
+    'messages:read',
+    'messages:write',
+    'folders:read',
+    'folders:manage',
+  ],
+  analyst: ['stats:read', 'analytics:read', 'errors:read'],
+  support: [
+    'users:read',
+    'users:impersonate',
+    'security:lockouts',
+    'security:logins',
+    'messages:read',
+    'messages:write',
+    'folders:read',
+  ],
+};
+
+/**
+ * Get the permissions granted by a role
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permission names (empty for unknown roles)
+ */
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if the role has the permission
+ */
+const hasPermission = (role, permission) =>
+  getPermissionsForRole(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission,
+};
@@ -0,0 +1,348 @@
+/**
+ * Playlist file formats
+ * Renders a track list ({ title, url, duration?, artist? }) as M3U8, PLS or
+ * XSPF so it can be opened directly in VLC, foobar2000, car stereos etc.,
+ * and parses those files back into entries when a playlist is imported
+ */
+
+const cheerio = require('cheerio');
+
+const FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+  // Plain .m3u gets the same UTF-8 output; modern players all accept it
+  m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u' },
+  pls: { contentType: 'audio/x-scpls; charset=utf-8', extension: 'pls' },
+  xspf: {
+    contentType: 'application/xspf+xml; charset=utf-8',
+    extension: 'xspf',
+  },
+};
+
+// Media types recognised in the Accept header, mapped to a format
+const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'audio/x-mpegurl': 'm3u8',
+  'audio/mpegurl': 'm3u8',
+  'application/x-mpegurl': 'm3u8',
+  'application/vnd.apple.mpegurl': 'm3u8',
+  'audio/x-scpls': 'pls',
+  'application/xspf+xml': 'xspf',
+};
+
+/**
+ * Work out which format the client asked for
+ * `?format=` wins over the Accept header; JSON is the default
+ * @param {Object} req - Express request object
+ * @returns {string|null} Format key, 'json', or null if ?format is unknown
+ */
+const negotiateFormat = (req) => {
+  const { format } = req.query;
+  if (format) {
+    const key = String(format).toLowerCase();
+    return key === 'json' || FORMATS[key] ? key : null;
+  }
+
+  // JSON is listed first so */* and missing Accept headers keep getting JSON
+  const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+  return accepted ? ACCEPT_TYPES[accepted] : 'json';
+};
+
+/**
+ * Track duration in whole seconds, or -1 when unknown (M3U/PLS convention)
+ * @param {Object} track - Track object
+ * @returns {number} Duration in seconds
+ */
+const getSeconds = (track) =>
+  Number.isFinite(track.duration) && track.duration > 0
+    ? Math.round(track.duration)
+    : -1;
+
+/**
+ * Single-line display name for a track
+ * @param {Object} track - Track object
+ * @returns {string} "Artist - Title" or just the title
+ */
+const getDisplayTitle = (track) =>
+  (track.artist ? `${track.artist} - ${track.title}` : track.title || '')
+    .replace(/[\r\n]+/g, ' ')
+    .trim();
+
+/**
+ * Escape text for an XML element
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Render an extended M3U playlist
+ * @param {Array<Object>} tracks - Track list
+ * @param {string} [title] - Playlist title
+ * @returns {string} Playlist file contents
+ */
+const toM3u = (tracks, title) => {
+  const lines = ['#EXTM3U'];
+  if (title) {
+    lines.push(`#PLAYLIST:${title.replace(/[\r\n]+/g, ' ')}`);
+  }
+  tracks.forEach((track) => {
+    lines.push(`#EXTINF:${getSeconds(track)},${getDisplayTitle(track)}`);
+    lines.push(track.url);
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Render a PLS playlist
+ * @param {Array<Object>} tracks - Track list
+ * @returns {string} Playlist file contents
+ */
+const toPls = (tracks) => {
+  const lines = ['[playlist]'];
+  tracks.forEach((track, i) => {
+    lines.push(`File${i + 1}=${track.url}`);
+    lines.push(`Title${i + 1}=${getDisplayTitle(track)}`);
+    lines.push(`Length${i + 1}=${getSeconds(track)}`);
+  });
+  lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Render an XSPF playlist
+ * @param {Array<Object>} tracks - Track list
+ * @param {string} [title] - Playlist title
+ * @returns {string} Playlist file contents
+ */
+const toXspf = (tracks, title) => {
+  const items = tracks.map((track) => {
+    const fields = [`      <location>${escapeXml(track.url)}</location>`];
+    if (track.title) {
+      fields.push(`      <title>${escapeXml(track.title)}</title>`);
+    }
+    if (track.artist) {
+      fields.push(`      <creator>${escapeXml(track.artist)}</creator>`);
+    }
+    if (track.album) {
+      fields.push(`      <album>${escapeXml(track.album)}</album>`);
+    }
+    if (getSeconds(track) > 0) {
+      // XSPF durations are in milliseconds
+      fields.push(
+        `      <duration>${Math.round(track.duration * 1000)}</duration>`,
+      );
+    }
+    return `    <track>\n${fields.join('\n')}\n    </track>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    ...(title ? [`  <title>${escapeXml(title)}</title>`] : []),
+    '  <trackList>',
+    ...items,
+    '  </trackList>',
+    '</playlist>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Render a track list in a playlist format
+ * @param {string} format - Format key (m3u8, m3u, pls, xspf)
+ * @param {Array<Object>} tracks - Track list
+ * @param {string} [title] - Playlist title
+ * @returns {string} Playlist file contents
+ */
+const renderPlaylist = (format, tracks, title) => {
+  switch (format) {
+    case 'm3u8':
+    case 'm3u':
+      return toM3u(tracks, title);
+    case 'pls':
+      return toPls(tracks);
+    case 'xspf':
+      return toXspf(tracks, title);
+    default:
+      throw new Error(`Unsupported playlist format: ${format}`);
+  }
+};
+
+/**
+ * Send a track list as a playlist file download
+ * @param {Object} res - Express response object
+ * @param {string} format - Format key
+ * @param {Array<Object>} tracks - Track list
+ * @param {string} [title] - Playlist title (also used for the file name)
+ */
+const sendPlaylist = (res, format, tracks, title) => {
+  const { contentType, extension } = FORMATS[format];
+  const fileName =
+    String(title || 'playlist')
+      .replace(/[^\w\s.-]+/g, '')
+      .trim()
+      .replace(/\s+/g, '-') || 'playlist';
+
+  res.set('Content-Type', contentType);
+  res.set(
+    'Content-Disposition',
+    `attachment; filename="${fileName}.${extension}"`,
+  );
+  res.status(200).send(renderPlaylist(format, tracks, title));
+};
+
+/**
+ * Guess the format of a playlist file from its contents
+ * @param {string} text - File contents
+ * @returns {string} 'xspf', 'pls' or 'm3u'
+ */
+const detectFormat = (text) => {
+  const start = text.trimStart().slice(0, 200).toLowerCase();
+  if (start.startsWith('<?xml') || start.startsWith('<playlist')) {
+    return 'xspf';
+  }
+  if (start.startsWith('[playlist]')) {
+    return 'pls';
+  }
+  return 'm3u';
+};
+
+/**
+ * Split an "Artist - Title" display name (as written by toM3u/toPls)
+ * @param {string} name - Display name
+ * @returns {Object} - { title, artist? }
+ */
+const splitDisplayTitle = (name) => {
+  const match = name.match(/^(.+?) - (.+)$/);
+  return match ? { artist: match[1], title: match[2] } : { title: name };
+};
+
+/**
+ * Parse an (extended) M3U/M3U8 playlist
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Entries
+ */
+const parseM3u = (text) => {
+  const entries = [];
+  let info = {};
+
+  text.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!line) {
+      return;
+    }
+
+    // #EXTINF:<seconds> [attributes],<display name>
+    const extinf = line.match(/^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i);
+    if (extinf) {
+      const seconds = parseFloat(extinf[1]);
+      info = {
+        ...splitDisplayTitle(extinf[2].trim()),
+        duration: seconds > 0 ? seconds : undefined,
+      };
+      return;
+    }
+    if (line.startsWith('#')) {
+      return;
+    }
+
+    entries.push({ location: line, ...info });
+    info = {};
+  });
+
+  return entries;
+};
+
+/**
+ * Parse a PLS playlist
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Entries, in FileN order
+ */
+const parsePls = (text) => {
+  const byIndex = {};
+
+  text.split(/\r?\n/).forEach((raw) => {
+    const match = raw.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!match) {
+      return;
+    }
+    const [, key, index, value] = match;
+    byIndex[index] = byIndex[index] || {};
+    byIndex[index][key.toLowerCase()] = value.trim();
+  });
+
+  return Object.keys(byIndex)
+    .sort((a, b) => a - b)
+    .filter((index) => byIndex[index].file)
+    .map((index) => {
+      const { file, title, length } = byIndex[index];
+      const seconds = parseFloat(length);
+      return {
+        location: file,
+        ...(title ? splitDisplayTitle(title) : {}),
+        duration: seconds > 0 ? seconds : undefined,
+      };
+    });
+};
+
+/**
+ * Parse an XSPF playlist
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Entries
+ */
+const parseXspf = (text) => {
+  const $ = cheerio.load(text, { xmlMode: true });
+
+  return $('trackList > track')
+    .toArray()
+    .map((element) => {
+      const track = $(element);
+      const field = (name) => track.children(name).first().text().trim();
+      const ms = parseInt(field('duration'), 10);
+      return {
+        location: field('location'),
+        title: field('title') || undefined,
+        artist: field('creator') || undefined,
+        album: field('album') || undefined,
+        duration: ms > 0 ? ms / 1000 : undefined,
+      };
+    })
+    .filter((entry) => entry.location);
+};
+
+/**
+ * Parse a playlist file into entries
+ * Locations are returned as written; the caller resolves and validates them
+ * @param {string} text - File contents
+ * @param {string} [format] - Format key; detected from the contents if omitted
+ * @returns {Object} - { format, entries: [{ location, title?, artist?, duration? }] }
+ */
+const parsePlaylist = (text, format) => {
+  const key = format ? String(format).toLowerCase() : detectFormat(text);
+
+  switch (key) {
+    case 'm3u8':
+    case 'm3u':
+      return { format: 'm3u', entries: parseM3u(text) };
+    case 'pls':
+      return { format: 'pls', entries: parsePls(text) };
+    case 'xspf':
+      return { format: 'xspf', entries: parseXspf(text) };
+    default:
+      throw new Error(`Unsupported playlist format: ${format}`);
+  }
+};
+
+module.exports = {
+  FORMATS,
+  negotiateFormat,
+  renderPlaylist,
+  sendPlaylist,
+  parsePlaylist,
+};
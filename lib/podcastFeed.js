@@ -0,0 +1,273 @@
+/**
+ * Podcast feeds
+ * Turns RSS 2.0 and Atom feeds into track lists: every entry with an audio
+ * enclosure becomes a track carrying the episode details and the identity of
+ * the feed it came from, newest episode first
+ */
+
+const cheerio = require('cheerio');
+
+// Content types feeds are served with (many servers just say XML)
+const FEED_TYPES = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/xml',
+  'text/xml',
+];
+
+// Enclosures without a usable type are recognised by their extension
+const AUDIO_EXTENSIONS = /\.(mp3|m4a|aac|ogg|oga|opus|flac|wav|mp4)$/i;
+
+/**
+ * Check whether a response body is an RSS or Atom feed
+ * @param {string} text - Response body
+ * @returns {boolean} True for feeds
+ */
+const isFeed = (text) => {
+  if (typeof text !== 'string') {
+    return false;
+  }
+  // Skip the XML declaration, stylesheet instructions, comments and doctype
+  const start = text
+    .slice(0, 4096)
+    .replace(/^(\s*(<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>))*\s*/i, '');
+  return /^<(rss|feed)[\s>]/i.test(start);
+};
+
+/**
+ * Parse an iTunes duration: seconds, "MM:SS" or "HH:MM:SS"
+ * @param {string} value - Duration text
+ * @returns {number|undefined} Seconds
+ */
+const parseDuration = (value) => {
+  const parts = String(value || '')
+    .trim()
+    .split(':');
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) {
+    return undefined;
+  }
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds > 0 ? seconds : undefined;
+};
+
+/**
+ * Parse a feed date (RFC 822 for RSS, ISO 8601 for Atom)
+ * @param {string} value - Date text
+ * @returns {string|undefined} ISO date
+ */
+const parseDate = (value) => {
+  const date = new Date(String(value || '').trim());
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * Resolve an enclosure or image URL against the feed URL
+ * @param {string} value - URL from the feed
+ * @param {string} feedUrl - URL of the feed
+ * @returns {string|undefined} Absolute http(s) URL
+ */
+const resolveUrl = (value, feedUrl) => {
+  if (!value) {
+    return undefined;
+  }
+  try {
+    const url = new URL(value.trim(), feedUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Check whether an enclosure is playable audio
+ * @param {string} url - Enclosure URL
+ * @param {string} [type] - Declared media type
+ * @returns {boolean} True for audio
+ */
+const isAudioEnclosure = (url, type) => {
+  if (type && /^audio\//i.test(type)) {
+    return true;
+  }
+  // Many feeds leave the type out or use a generic one
+  return (
+    (!type || /octet-stream|^video\/mp4/i.test(type)) &&
+    AUDIO_EXTENSIONS.test(new URL(url).pathname)
+  );
+};
+
+/**
+ * Read the episodes of an RSS 2.0 feed
+ * @param {Function} $ - Cheerio document
+ * @param {string} feedUrl - URL of the feed
+ * @returns {Object} - { title, artwork, author, episodes }
+ */
+const readRss = ($, feedUrl) => {
+  const channel = $('channel').first();
+  const text = (element, name) =>
+    element.children(name).first().text().trim() || undefined;
+
+  const feed = {
+    title: text(channel, 'title'),
+    author: text(channel, 'itunes\\:author'),
+    artwork: resolveUrl(
+      channel.children('itunes\\:image').attr('href') ||
+        channel.children('image').children('url').text(),
+      feedUrl,
+    ),
+  };
+
+  feed.episodes = $('item')
+    .toArray()
+    .map((element) => {
+      const item = $(element);
+
+      // Prefer <enclosure>, fall back to Media RSS
+      const enclosure = item
+        .children('enclosure, media\\:content')
+        .toArray()
+        .map((node) => ({
+          url: resolveUrl($(node).attr('url'), feedUrl),
+          type: $(node).attr('type'),
+        }))
+        .find(({ url, type }) => url && isAudioEnclosure(url, type));
+      if (!enclosure) {
+        return null;
+      }
+
+      return {
+        ...enclosure,
+        title: text(item, 'title') || text(item, 'itunes\\:title'),
+        guid: text(item, 'guid'),
+        publishedAt: parseDate(text(item, 'pubDate')),
+        duration: parseDuration(text(item, 'itunes\\:duration')),
+        author: text(item, 'itunes\\:author'),
+        artwork: resolveUrl(
+          item.children('itunes\\:image').attr('href') ||
+            item.children('media\\:thumbnail').attr('url'),
+          feedUrl,
+        ),
+      };
+    });
+
+  return feed;
+};
+
+/**
+ * Read the episodes of an Atom feed
+ * @param {Function} $ - Cheerio document
+ * @param {string} feedUrl - URL of the feed
+ * @returns {Object} - { title, artwork, author, episodes }
+ */
+const readAtom = ($, feedUrl) => {
+  const root = $('feed').first();
+  const text = (element, name) =>
+    element.children(name).first().text().trim() || undefined;
+
+  const feed = {
+    title: text(root, 'title'),
+    author: text(root.children('author').first(), 'name'),
+    artwork: resolveUrl(
+      root.children('itunes\\:image').attr('href') ||
+        text(root, 'logo') ||
+        text(root, 'icon'),
+      feedUrl,
+    ),
+  };
+
+  feed.episodes = root
+    .children('entry')
+    .toArray()
+    .map((element) => {
+      const entry = $(element);
+
+      const enclosure = entry
+        .children('link[rel="enclosure"]')
+        .toArray()
+        .map((node) => ({
+          url: resolveUrl($(node).attr('href'), feedUrl),
+          type: $(node).attr('type'),
+        }))
+        .find(({ url, type }) => url && isAudioEnclosure(url, type));
+      if (!enclosure) {
+        return null;
+      }
+
+      return {
+        ...enclosure,
+        title: text(entry, 'title'),
+        guid: text(entry, 'id'),
+        publishedAt: parseDate(
+          text(entry, 'published') || text(entry, 'updated'),
+        ),
+        duration: parseDuration(text(entry, 'itunes\\:duration')),
+        author: text(entry.children('author').first(), 'name'),
+        artwork: resolveUrl(
+          entry.children('itunes\\:image').attr('href'),
+          feedUrl,
+        ),
+      };
+    });
+
+  return feed;
+};
+
+/**
+ * Parse a podcast feed into tracks
+ * @param {string} xml - Feed contents
+ * @param {string} feedUrl - URL the feed was fetched from
+ * @returns {Object} - { title, artwork, tracks } with tracks ordered newest
+ * first; each track has { title, url, mime, duration?, publishedAt?,
+ * artwork?, artist?, album, episodeGuid, feedUrl, feedTitle }
+ */
+const parseFeed = (xml, feedUrl) => {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const feed =
+    $('feed').length > 0 ? readAtom($, feedUrl) : readRss($, feedUrl);
+  const feedTitle = feed.title || new URL(feedUrl).hostname;
+
+  const tracks = feed.episodes
+    .filter(Boolean)
+    .map((episode, index) => ({
+      index,
+      track: {
+        title: episode.title || feedTitle,
+        url: episode.url,
+        mime:
+          episode.type && /^audio\//i.test(episode.type)
+            ? episode.type.toLowerCase()
+            : 'audio/*',
+        duration: episode.duration,
+        publishedAt: episode.publishedAt,
+        artwork: episode.artwork || feed.artwork,
+        artist: episode.author || feed.author,
+        album: feedTitle,
+        // Episodes without a guid are identified by their enclosure
+        episodeGuid: episode.guid || episode.url,
+        feedUrl,
+        feedTitle,
+      },
+    }))
+    // Newest first; undated episodes keep their feed order at the end
+    .sort((a, b) => {
+      const dateA = a.track.publishedAt || '';
+      const dateB = b.track.publishedAt || '';
+      if (dateA !== dateB) {
+        return dateA < dateB ? 1 : -1;
+      }
+      return a.index - b.index;
+    })
+    .map(({ track }) =>
+      Object.fromEntries(
+        Object.entries(track).filter(([, value]) => value !== undefined),
+      ),
+    );
+
+  return { title: feedTitle, artwork: feed.artwork, tracks };
+};
+
+module.exports = {
+  FEED_TYPES,
+  isFeed,
+  parseDuration,
+  parseFeed,
+};
@@ -0,0 +1,306 @@
+/**
+ * Safe fetching of user-supplied URLs
+ * Playlist sources and imported tracks point wherever users like, so every
+ * request (and every redirect hop) may only reach public http(s) addresses.
+ * The address check runs in the socket's DNS lookup, which means the address
+ * that was checked is the one connected to, and a hostname cannot be switched
+ * to an internal address between the check and the request. Responses are
+ * also limited in time, size and content type.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// Whole request, including redirects and the body
+const DEFAULT_TIMEOUT = 10000; // 10 seconds in ms
+// Largest response body we will read
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+const MAX_REDIRECTS = 5;
+
+// Content types for directory listings and for playable files
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const AUDIO_TYPES = [
+  'audio/*',
+  'video/mp4',
+  'video/webm',
+  'application/ogg',
+  // Plenty of static file servers don't know audio extensions
+  'application/octet-stream',
+];
+
+// Private, loopback, link-local (incl. cloud metadata), shared, multicast,
+// documentation and other reserved ranges. IPv4 and IPv6 use separate lists:
+// a combined BlockList matches IPv4 addresses against IPv6 rules too
+const BLOCKED_IPV4 = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) =>
+  BLOCKED_IPV4.addSubnet(network, prefix, 'ipv4'),
+);
+
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['::', 128],
+  ['::1', 128],
+  // NAT64 and 6to4 addresses can reach IPv4 ranges through a gateway
+  ['64:ff9b::', 96],
+  ['2002::', 16],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) =>
+  BLOCKED_IPV6.addSubnet(network, prefix, 'ipv6'),
+);
+
+/**
+ * IPv4 address embedded in an IPv4-mapped IPv6 address
+ * @param {string} address - IPv6 address, e.g. "::ffff:10.0.0.1" or
+ * "::ffff:a00:1"
+ * @returns {string|null} IPv4 address, or null if not IPv4-mapped
+ */
+const getMappedIpv4 = (address) => {
+  const match = address.toLowerCase().match(/^::ffff:(.+)$/);
+  if (!match) {
+    return null;
+  }
+  if (net.isIPv4(match[1])) {
+    return match[1];
+  }
+
+  const hex = match[1].match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!hex) {
+    return null;
+  }
+  const high = parseInt(hex[1], 16);
+  const low = parseInt(hex[2], 16);
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+};
+
+/**
+ * Check whether an IP address is private or reserved
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if requests to it must be refused
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return BLOCKED_IPV4.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    const mapped = getMappedIpv4(address);
+    return mapped
+      ? BLOCKED_IPV4.check(mapped, 'ipv4')
+      : BLOCKED_IPV6.check(address, 'ipv6');
+  }
+  return true;
+};
+
+/**
+ * Error for a request that would reach a blocked address
+ * @param {string} host - Host name or address
+ * @returns {Error} Error
+ */
+const blockedError = (host) => {
+  const error = new Error(
+    `Requests to private or reserved addresses are not allowed (${host})`,
+  );
+  error.code = 'EADDRBLOCKED';
+  return error;
+};
+
+/**
+ * dns.lookup replacement used for every connection
+ * Fails if any address of the host is blocked, so a host cannot mix public
+ * and internal records and hope for the right one
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - Lookup options from the HTTP agent
+ * @param {Function} callback - (err, address, family)
+ */
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+    if (
+      addresses.length === 0 ||
+      addresses.some(({ address }) => isBlockedAddress(address))
+    ) {
+      return callback(blockedError(hostname));
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check a URL before requesting it
+ * Host names are checked when the connection is made (see safeLookup); IP
+ * literals never go through a lookup, so they are checked here
+ * @param {URL} url - URL of the next request
+ * @throws {Error} If the URL may not be fetched
+ */
+const assertUrlAllowed = (url) => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('URL must use HTTP or HTTPS protocol');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw blockedError(host);
+  }
+};
+
+/**
+ * Check a Content-Type header against a list of allowed media types
+ * @param {string} contentType - Content-Type header
+ * @param {Array<string>} allowedTypes - Media types, "audio/*" style allowed
+ * @returns {boolean} True if allowed
+ */
+const isAllowedType = (contentType, allowedTypes) => {
+  const type = String(contentType || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+  return allowedTypes.some((allowed) =>
+    allowed.endsWith('/*')
+      ? type.startsWith(allowed.slice(0, -1))
+      : type === allowed,
+  );
+};
+
+/**
+ * Close a streamed response body we are not going to read
+ * @param {Object} response - Axios response
+ */
+const discardBody = (response) => {
+  if (response.data && typeof response.data.destroy === 'function') {
+    response.data.destroy();
+  }
+};
+
+/**
+ * Fetch a user-supplied URL
+ * Redirects are followed manually so each hop is checked again
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - 'GET' (default) or 'HEAD'
+ * @param {Object} [options.headers] - Request headers
+ * @param {number} [options.timeout] - Time limit for the whole request in ms
+ * @param {number} [options.maxBytes] - Largest body to accept
+ * @param {Array<string>} [options.allowedTypes] - Accepted content types for
+ * successful responses (any type if omitted)
+ * @param {string} [options.responseType] - 'text' (default) or 'stream'
+ * @param {Function} [options.validateStatus] - Statuses to accept; others
+ * throw (default: 2xx)
+ * @returns {Promise<Object>} - { status, headers, data, url } where url is the
+ * final URL after redirects
+ * @throws {Error} If the request is blocked, fails or breaks a limit
+ */
+const safeFetch = async (url, options = {}) => {
+  const {
+    method = 'GET',
+    headers = {},
+    timeout = DEFAULT_TIMEOUT,
+    maxBytes = DEFAULT_MAX_BYTES,
+    allowedTypes,
+    responseType = 'text',
+    validateStatus = (status) => status >= 200 && status < 300,
+  } = options;
+
+  const send = method === 'HEAD' ? axios.head : axios.get;
+  const deadline = Date.now() + timeout;
+  let current = new URL(url);
+
+  for (let redirects = 0; ; redirects++) {
+    assertUrlAllowed(current);
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new Error(`Timed out after ${timeout}ms`);
+    }
+
+    let response;
+    try {
+      response = await send(current.href, {
+        headers,
+        responseType,
+        // `timeout` only covers socket inactivity; the signal caps the total
+        timeout: remaining,
+        signal: AbortSignal.timeout(remaining),
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        lookup: safeLookup,
+        // A proxy would do its own DNS lookup and bypass the address check
+        proxy: false,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      if (['ECONNABORTED', 'ETIMEDOUT', 'ERR_CANCELED'].includes(error.code)) {
+        throw new Error(`Timed out after ${timeout}ms`);
+      }
+      if (/maxContentLength/.test(error.message)) {
+        throw new Error(`Response is larger than ${maxBytes} bytes`);
+      }
+      throw error;
+    }
+
+    const responseHeaders = response.headers || {};
+    const { status } = response;
+
+    if (status >= 300 && status < 400 && responseHeaders.location) {
+      discardBody(response);
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+      }
+      current = new URL(responseHeaders.location, current);
+      continue;
+    }
+
+    if (!validateStatus(status)) {
+      discardBody(response);
+      throw new Error(`Request failed with status code ${status}`);
+    }
+
+    if (
+      allowedTypes &&
+      status >= 200 &&
+      status < 300 &&
+      !isAllowedType(responseHeaders['content-type'], allowedTypes)
+    ) {
+      discardBody(response);
+      throw new Error(
+        `Unexpected content type: ${responseHeaders['content-type'] || 'none'}`,
+      );
+    }
+
+    return {
+      status,
+      headers: responseHeaders,
+      data: response.data,
+      url: current.href,
+    };
+  }
+};
+
+module.exports = {
+  HTML_TYPES,
+  AUDIO_TYPES,
+  isBlockedAddress,
+  safeLookup,
+  safeFetch,
+};
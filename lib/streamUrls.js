@@ -0,0 +1,123 @@
+/**
+ * Signed stream URLs
+ * Players (<audio> elements, VLC, saved M3U/PLS/XSPF files) cannot send an
+ * Authorization header, so local tracks handed to a signed-in user carry a
+ * signature instead: ?exp=<unix time>&sig=<HMAC>. A signature is only valid
+ * for one file and until its expiry, and only the streaming route accepts
+ * it, so a leaked link gives read access to that one track and nothing else.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+// How long a signed link stays valid (long enough for saved playlists)
+const STREAM_URL_TTL = process.env.STREAM_URL_TTL
+  ? parseInt(process.env.STREAM_URL_TTL, 10)
+  : 7 * 24 * 60 * 60; // 7 days in seconds
+// Shortest secret accepted from STREAM_URL_SECRET
+const MIN_SECRET_LENGTH = 32;
+
+let secret;
+
+/**
+ * Key the signatures are made with
+ * Outside production a random key is used when none is configured, so links
+ * stop working when the server restarts
+ * @returns {string|Buffer} HMAC key
+ * @throws {Error} If STREAM_URL_SECRET is missing in production or too short
+ */
+const getSecret = () => {
+  if (secret) {
+    return secret;
+  }
+
+  const configured = process.env.STREAM_URL_SECRET;
+  if (configured) {
+    if (configured.length < MIN_SECRET_LENGTH) {
+      throw new Error(
+        `STREAM_URL_SECRET must be at least ${MIN_SECRET_LENGTH} characters`,
+      );
+    }
+    secret = configured;
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('STREAM_URL_SECRET must be set in production');
+  } else {
+    secret = crypto.randomBytes(32);
+  }
+  return secret;
+};
+
+/**
+ * Normalise a track path relative to the music root so the signing and the
+ * checking side agree on it
+ * @param {string} trackPath - "/"-separated path
+ * @returns {string} Path without leading, trailing or repeated slashes
+ */
+const normalizeTrackPath = (trackPath) =>
+  path.posix
+    .normalize(`/${String(trackPath).replace(/\\/g, '/')}`)
+    .replace(/^\/+|\/+$/g, '');
+
+/**
+ * HMAC over the expiry and the track path
+ * @param {string} trackPath - Normalised track path
+ * @param {number} expires - Expiry, unix time in seconds
+ * @returns {string} base64url signature
+ */
+const computeSignature = (trackPath, expires) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    // The expiry is digits only, so it can't run into the path
+    .update(`stream\n${expires}\n${trackPath}`)
+    .digest('base64url');
+
+/**
+ * Query string that lets the holder stream one track
+ * @param {string} trackPath - Track path relative to the music root
+ * @param {number} [now] - Current time in ms (for tests)
+ * @returns {string} "exp=...&sig=..."
+ */
+const signStreamPath = (trackPath, now = Date.now()) => {
+  const expires = Math.floor(now / 1000) + STREAM_URL_TTL;
+  const sig = computeSignature(normalizeTrackPath(trackPath), expires);
+  return `exp=${expires}&sig=${sig}`;
+};
+
+/**
+ * Check the signature on a stream request
+ * @param {string} trackPath - Requested path relative to the music root
+ * @param {Object} query - Request query ({ exp, sig })
+ * @param {number} [now] - Current time in ms (for tests)
+ * @returns {boolean} True if the link is genuine, for this track and unexpired
+ */
+const verifyStreamSignature = (trackPath, query, now = Date.now()) => {
+  const { exp, sig } = query;
+  if (
+    typeof exp !== 'string' ||
+    typeof sig !== 'string' ||
+    !/^\d+$/.test(exp)
+  ) {
+    return false;
+  }
+
+  const expires = parseInt(exp, 10);
+  if (expires * 1000 <= now) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    computeSignature(normalizeTrackPath(trackPath), expires),
+  );
+  const actual = Buffer.from(sig);
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+module.exports = {
+  STREAM_URL_TTL,
+  getSecret,
+  signStreamPath,
+  verifyStreamSignature,
+};
@@ -0,0 +1,309 @@
+/**
+ * Token and session helpers shared by the auth controller and middleware
+ * Access tokens are short-lived JWTs tied to a server-side session; refresh
+ * tokens are opaque, rotated on every use and stored only as hashes
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { getSigningKey, getVerificationKey } = require('./keys');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+// Refresh token lifetime (from env or default 30 days)
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL
+  ? parseInt(process.env.REFRESH_TOKEN_TTL, 10)
+  : 30 * 24 * 60 * 60 * 1000; // 30 days in ms
+// Time allowed to enter a 2FA code after the password step
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+// Impersonation sessions are short and cannot be refreshed
+const IMPERSONATION_TTL = 15 * 60 * 1000; // 15 minutes in ms
+// Minimum gap between lastSeenAt writes for the same session
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000; // 5 minutes in ms
+
+/**
+ * Hash an opaque token for storage or lookup
+ * @param {string} token - Plaintext token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a JWT with the current signing key
+ * @param {Object} payload - Token claims
+ * @param {Object} [options] - Extra jsonwebtoken sign options (e.g. expiresIn)
+ * @returns {string} Signed JWT
+ */
+const signJwt = (payload, options = {}) => {
+  const key = getSigningKey();
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.alg,
+    keyid: key.kid,
+  });
+};
+
+/**
+ * Verify a JWT against the key named in its header
+ * @param {string} token - Signed JWT
+ * @param {Object} [options] - Extra jsonwebtoken verify options
+ * @returns {Object} Decoded payload
+ * @throws {Error} JsonWebTokenError / TokenExpiredError when invalid
+ */
+const verifyJwt = (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const key = getVerificationKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    ...options,
+    algorithms: [key.alg],
+  });
+};
+
+/**
+ * Sign an access token for a user session
+ * @param {Object} user - User document
+ * @param {string} sessionId - ID of the backing session
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, sessionId) =>
+  signJwt(
+    {
+      userId: user._id,
+      email: user.email,
+      isAdmin: user.isAdmin || false,
+      sid: sessionId,
+    },
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN },
+  );
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT from the Authorization header
+ * @param {Object} [options] - Extra jsonwebtoken verify options
+ * @returns {Object} Decoded payload
+ * @throws {Error} JsonWebTokenError / TokenExpiredError when invalid
+ */
+const verifyAccessToken = (token, options = {}) => {
+  const decoded = verifyJwt(token, options);
+
+  // Purpose-bound tokens (e.g. 2FA challenges) never grant API access
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign a short-lived token proving the first login factor was passed
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+const signChallengeToken = (user) =>
+  signJwt(
+    { userId: user._id, purpose: '2fa' },
+    { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN },
+  );
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Token returned by login
+ * @returns {Object|null} Decoded payload, or null if invalid/expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = verifyJwt(token);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Build a refresh token from a session ID and a fresh random secret
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {{ refreshToken: string, refreshTokenHash: string }}
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret),
+  };
+};
+
+/**
+ * Create a new session and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} meta - Client details
+ * @param {string} [meta.ip] - Client IP address
+ * @param {string} [meta.userAgent] - Client user agent
+ * @returns {Promise<Object>} - { token, refreshToken, session }
+ */
+const createSession = async (user, { ip, userAgent } = {}) => {
+  const session = new Session({
+    userId: user._id,
+    ip,
+    userAgent,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+  });
+
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(session._id);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    session,
+  };
+};
+
+/**
+ * Start a read-only session that lets a staff member see what a user sees
+ * The access token carries an RFC 8693 `act` claim naming the staff member
+ * and no refresh token is issued, so it simply expires
+ * @param {Object} user - User being impersonated
+ * @param {Object} actor - Staff member: { id, role }
+ * @param {Object} meta - { reason, ip, userAgent }
+ * @returns {Promise<Object>} - { token, session }
+ */
+const createImpersonationSession = async (
+  user,
+  actor,
+  { reason, ip, userAgent } = {},
+) => {
+  const session = await Session.create({
+    userId: user._id,
+    // Never handed out, so the session cannot be refreshed
+    refreshTokenHash: hashToken(crypto.randomBytes(32).toString('hex')),
+    ip,
+    userAgent,
+    expiresAt: new Date(Date.now() + IMPERSONATION_TTL),
+    impersonatorId: actor.id,
+    impersonationReason: reason,
+  });
+
+  const token = signJwt(
+    {
+      userId: user._id,
+      email: user.email,
+      isAdmin: false,
+      sid: session._id,
+      act: { sub: String(actor.id), role: actor.role },
+    },
+    { expiresIn: Math.floor(IMPERSONATION_TTL / 1000) },
+  );
+
+  return { token, session };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Presenting an already-rotated token is treated as theft and revokes the session
+ * @param {string} refreshToken - Refresh token issued by createSession or a previous rotation
+ * @returns {Promise<Object|null>} - { refreshToken, session } or null when the token is not valid
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const presentedHash = hashToken(secret);
+  const next = generateRefreshToken(session._id);
+
+  // Only rotate if the presented token is still the current one
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        lastSeenAt: new Date(),
+      },
+    },
+    { new: true },
+  );
+
+  if (!rotated) {
+    // Token reuse - someone is replaying an old refresh token
+    session.revokedAt = new Date();
+    session.revokedReason = 'refresh_token_reuse';
+    await session.save();
+    return null;
+  }
+
+  return { refreshToken: next.refreshToken, session: rotated };
+};
+
+/**
+ * Check that the session behind an access token is still active
+ * Every access token names its session; one without a sid could never be
+ * revoked, so it is refused
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>} True if the token may be used
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) {
+    return false;
+  }
+
+  const session = await Session.findById(decoded.sid).select(
+    'userId revokedAt expiresAt',
+  );
+
+  return (
+    !!session &&
+    session.isActive() &&
+    session.userId.toString() === String(decoded.userId)
+  );
+};
+
+/**
+ * Record activity on a session, at most once every few minutes
+ * @param {string} sessionId - Session to update
+ * @param {string} [ip] - IP address the request came from
+ * @returns {Promise<Object>} - MongoDB update result
+ */
+const touchSession = (sessionId, ip) => {
+  const threshold = new Date(Date.now() - SESSION_TOUCH_INTERVAL);
+  const update = { lastSeenAt: new Date() };
+  if (ip) {
+    update.ip = ip;
+  }
+
+  return Session.updateOne(
+    { _id: sessionId, lastSeenAt: { $lt: threshold } },
+    { $set: update },
+  );
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  hashToken,
+  signJwt,
+  verifyJwt,
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  createImpersonationSession,
+  rotateRefreshToken,
+  isSessionActive,
+  touchSession,
+};
@@ -0,0 +1,180 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ * Compatible with Google Authenticator, Authy, 1Password etc. (SHA-1, 6 digits, 30s)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP = 30; // seconds
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} - If the string contains invalid characters
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random base32 secret
+ * @returns {string} 160-bit secret encoded as base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step counter for a moment in time
+ * @param {number} time - Unix time in ms (defaults to now)
+ * @param {number} step - Step size in seconds
+ * @returns {number} Counter value
+ */
+const getTimeStep = (time = Date.now(), step = DEFAULT_STEP) =>
+  Math.floor(time / 1000 / step);
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+const generateHOTP = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Generate the TOTP code for a moment in time
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Unix time in ms (defaults to now)
+ * @param {Object} options - { step, digits }
+ * @returns {string} Zero-padded code
+ */
+const generateTOTP = (secret, time = Date.now(), options = {}) => {
+  const { step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = options;
+  return generateHOTP(secret, getTimeStep(time, step), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window, time, step, digits }
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+const verifyTOTP = (secret, code, options = {}) => {
+  const {
+    window = 1,
+    time = Date.now(),
+    step = DEFAULT_STEP,
+    digits = DEFAULT_DIGITS,
+  } = options;
+
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(secret, current + offset, digits);
+    if (
+      crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))
+    ) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.label - Account label, e.g. the user's email
+ * @param {string} [options.issuer] - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpAuthUri = ({ secret, label, issuer = 'MysticHits' }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP),
+  });
+
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(
+    label,
+  )}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUri,
+};
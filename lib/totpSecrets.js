@@ -0,0 +1,110 @@
+/**
+ * Encryption of stored TOTP secrets
+ * A TOTP secret is as good as a second factor, so it is kept encrypted with
+ * AES-256-GCM under a server-side key (TOTP_ENCRYPTION_KEY) and a database
+ * dump alone cannot generate codes. Stored values look like
+ * "v1:<iv>:<auth tag>:<ciphertext>" (base64url).
+ *
+ * Secrets saved before encryption was added are plain base32; they are still
+ * read as-is until migrations/encryptTotpSecrets.js has been run.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+// Bytes in a key (AES-256)
+const KEY_LENGTH = 32;
+// Bytes in a GCM nonce
+const IV_LENGTH = 12;
+
+let key;
+
+/**
+ * Key the secrets are encrypted with
+ * Read from TOTP_ENCRYPTION_KEY (32 bytes, hex-encoded). Only the test suite
+ * may run without one and gets a throwaway key.
+ * @returns {Buffer} AES-256 key
+ * @throws {Error} If the key is missing or malformed
+ */
+const getKey = () => {
+  if (key) {
+    return key;
+  }
+
+  const configured = process.env.TOTP_ENCRYPTION_KEY;
+  if (configured) {
+    if (!/^[0-9a-f]{64}$/i.test(configured)) {
+      throw new Error(
+        `TOTP_ENCRYPTION_KEY must be ${KEY_LENGTH} bytes, hex-encoded (${
+          KEY_LENGTH * 2
+        } characters)`,
+      );
+    }
+    key = Buffer.from(configured, 'hex');
+  } else if (process.env.NODE_ENV === 'test') {
+    key = crypto.randomBytes(KEY_LENGTH);
+  } else {
+    throw new Error('TOTP_ENCRYPTION_KEY must be set');
+  }
+  return key;
+};
+
+/**
+ * Whether a stored value is already encrypted
+ * @param {string} value - Stored secret
+ * @returns {boolean} True for "v1:..." values
+ */
+const isEncrypted = (value) =>
+  typeof value === 'string' && value.startsWith(`${VERSION}:`);
+
+/**
+ * Encrypt a base32 TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} Encrypted value
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(secret, 'utf8'),
+    cipher.final(),
+  ]);
+  return [
+    VERSION,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url'),
+  ].join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} value - Encrypted value (or a legacy plaintext secret)
+ * @returns {string} Base32 secret
+ * @throws {Error} If the value was tampered with or encrypted with another key
+ */
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, iv, tag, ciphertext] = value.split(':');
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getKey(),
+    Buffer.from(iv, 'base64url'),
+  );
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+};
+
+module.exports = {
+  getKey,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+};
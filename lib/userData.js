@@ -0,0 +1,163 @@
+/**
+ * Helpers for data that belongs to a user across collections
+ */
+
+const User = require('../models/User');
+const PlayEvent = require('../models/PlayEvent');
+const LoginEvent = require('../models/LoginEvent');
+const Hit = require('../models/Hit');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { removeExportsForUser } = require('./dataExport');
+
+// How long a soft-deleted account can be restored (from env or default 30 days)
+const RESTORE_WINDOW = process.env.ACCOUNT_RESTORE_DAYS
+  ? parseInt(process.env.ACCOUNT_RESTORE_DAYS, 10) * 24 * 60 * 60 * 1000
+  : 30 * 24 * 60 * 60 * 1000; // 30 days in ms
+
+/**
+ * Delete a user together with their listening history, login history,
+ * page hits, sessions, API tokens and data exports
+ * @param {string} userId - User to delete
+ * @returns {Promise<Object>} - Number of records removed per collection
+ */
+const deleteUserData = async (userId) => {
+  const [playEvents, loginEvents, hits, sessions, apiTokens, exports] =
+    await Promise.all([
+      PlayEvent.deleteMany({ userId }),
+      LoginEvent.deleteMany({ userId }),
+      Hit.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      ApiToken.deleteMany({ userId }),
+      removeExportsForUser(userId),
+    ]);
+
+  const user = await User.findByIdAndDelete(userId);
+
+  return {
+    user: user ? 1 : 0,
+    playEvents: playEvents.deletedCount,
+    loginEvents: loginEvents.deletedCount,
+    hits: hits.deletedCount,
+    sessions: sessions.deletedCount,
+    apiTokens: apiTokens.deletedCount,
+    exports,
+  };
+};
+
+/**
+ * Log a user out everywhere: revoke their sessions and personal API tokens
+ * @param {string} userId - User to log out
+ * @param {string} reason - Why the sessions were revoked
+ * @returns {Promise<Object>} - { sessions, apiTokens } revoked counts
+ */
+const revokeAccess = async (userId, reason) => {
+  const [sessions, apiTokens] = await Promise.all([
+    Session.revokeAllForUser(userId, reason),
+    ApiToken.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+    ),
+  ]);
+  return {
+    sessions: sessions.modifiedCount,
+    apiTokens: apiTokens.modifiedCount,
+  };
+};
+
+/**
+ * Soft-delete a user: block access now and purge once the restore window ends
+ * @param {string} userId - User to delete
+ * @returns {Promise<Object|null>} Updated user, or null if not found
+ */
+const softDeleteUser = async (userId) => {
+  const now = Date.now();
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletedAt: null },
+    {
+      $set: {
+        deletedAt: new Date(now),
+        purgeAfter: new Date(now + RESTORE_WINDOW),
+      },
+    },
+    { new: true },
+  );
+
+  if (user) {
+    await revokeAccess(userId, 'account_deleted');
+  }
+  return user;
+};
+
+/**
+ * Undo a soft delete while the restore window is open
+ * @param {string} userId - User to restore
+ * @returns {Promise<Object|null>} Restored user, or null if not restorable
+ */
+const restoreUser = (userId) =>
+  User.findOneAndUpdate(
+    { _id: userId, deletedAt: { $ne: null }, purgeAfter: { $gt: new Date() } },
+    { $unset: { deletedAt: 1, purgeAfter: 1 } },
+    { new: true },
+  );
+
+/**
+ * Permanently remove a user. Listening history is kept for the charts but
+ * anonymized; everything else tied to the user is deleted
+ * @param {string} userId - User to purge
+ * @returns {Promise<Object>} - Number of records affected per collection
+ */
+const purgeUser = async (userId) => {
+  const [playEvents, loginEvents, hits, sessions, apiTokens, exports] =
+    await Promise.all([
+      PlayEvent.updateMany(
+        { userId },
+        {
+          $set: { anonymous: true },
+          $unset: { userId: 1, ipAddress: 1, userAgent: 1, sessionId: 1 },
+        },
+      ),
+      LoginEvent.deleteMany({ userId }),
+      Hit.updateMany({ userId }, { $set: { userId: null } }),
+      Session.deleteMany({ userId }),
+      ApiToken.deleteMany({ userId }),
+      removeExportsForUser(userId),
+    ]);
+
+  const user = await User.findByIdAndDelete(userId);
+
+  return {
+    user: user ? 1 : 0,
+    playEventsAnonymized: playEvents.modifiedCount,
+    loginEvents: loginEvents.deletedCount,
+    hitsAnonymized: hits.modifiedCount,
+    sessions: sessions.deletedCount,
+    apiTokens: apiTokens.deletedCount,
+    exports,
+  };
+};
+
+/**
+ * Purge every soft-deleted user whose restore window has ended
+ * @returns {Promise<number>} Number of users purged
+ */
+const purgeExpiredUsers = async () => {
+  const users = await User.find({
+    deletedAt: { $ne: null },
+    purgeAfter: { $lte: new Date() },
+  }).select('_id');
+
+  for (const user of users) {
+    await purgeUser(user._id);
+  }
+  return users.length;
+};
+
+module.exports = {
+  deleteUserData,
+  revokeAccess,
+  softDeleteUser,
+  restoreUser,
+  purgeUser,
+  purgeExpiredUsers,
+};
@@ -1,7 +1,8 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
+const Setting = require('../models/Setting');
+const { STAFF_ROLES, getPermissionsForRole } = require('../lib/permissions');
+const { verifyAccessToken, isSessionActive } = require('../lib/tokens');
+const { rejectBlockedAccount } = require('../lib/accountStatus');
 
 module.exports = async function (req, res, next) {
   // Check for JWT token in headers
@@ -14,24 +15,56 @@ module.exports = async function (req, res, next) {
 
   try {
     // Verify the token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     req.userId = decoded.userId;
 
-    // Check if user exists and is an admin
+    // Impersonation tokens only ever act as a regular user
+    if (decoded.act) {
+      return res
+        .status(403)
+        .json({ error: 'Impersonation tokens cannot access admin routes' });
+    }
+
+    // Reject tokens whose session has been logged out or revoked
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+
+    // Check if user exists and holds a staff role
     const user = await User.findById(req.userId);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    if (!user.isAdmin) {
+    // Suspended or deleted staff lose access straight away
+    if (rejectBlockedAccount(user, res)) {
+      return;
+    }
+
+    const role = user.getRole();
+    if (!STAFF_ROLES.includes(role)) {
       return res
         .status(403)
         .json({ error: 'Access denied. Admin privileges required' });
     }
 
-    // User is authenticated and is an admin - set the flag
-    req.isAdmin = true;
+    // Staff may be required to protect their account with 2FA
+    const requireAdmin2FA = await Setting.getValue(
+      'requireAdmin2FA',
+      process.env.ADMIN_REQUIRE_2FA === 'true',
+    );
+    if (requireAdmin2FA && !(user.twoFactor && user.twoFactor.enabled)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is required for admin access',
+        code: 'TWO_FACTOR_REQUIRED',
+      });
+    }
+
+    // User is authenticated staff - routes check individual permissions
+    req.role = role;
+    req.permissions = getPermissionsForRole(role);
+    req.isAdmin = role === 'admin';
     next();
   } catch (err) {
     if (err.name === 'JsonWebTokenError') {
@@ -1,50 +1,193 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const {
+  verifyAccessToken,
+  isSessionActive,
+  touchSession,
+} = require('../lib/tokens');
+const {
+  isApiToken,
+  findActiveApiToken,
+  touchApiToken,
+} = require('../lib/apiTokens');
+const {
+  ACCOUNT_STATUS_FIELDS,
+  rejectBlockedAccount,
+} = require('../lib/accountStatus');
+const { recordAudit } = require('../lib/audit');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
+// Requests an impersonation session may make (it is read-only)
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
-module.exports = async function (req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).json({ error: 'No token provided' });
+/**
+ * Enforce the read-only rule on impersonated requests
+ * Blocked writes are recorded in the audit log
+ * @param {Object} req - Express request object (req.impersonator set)
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectImpersonatedWrite = async (req, res) => {
+  if (READ_ONLY_METHODS.includes(req.method)) {
+    return false;
   }
 
-  if (!authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Invalid token format' });
+  await recordAudit(req, {
+    action: 'user.impersonate.write_blocked',
+    targetType: 'user',
+    targetId: req.userId,
+    metadata: { method: req.method, path: req.originalUrl },
+  });
+
+  res.status(403).json({
+    error: 'Impersonation sessions are read-only',
+    code: 'IMPERSONATION_READ_ONLY',
+  });
+  return true;
+};
+
+/**
+ * Authenticate a request made with a personal API token
+ * Tokens only reach routes that opted in with auth.withScope, and never
+ * carry admin rights
+ * @param {string} token - Plaintext token
+ * @param {string|null} scope - Scope the route requires, or null if the
+ * route does not accept API tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateApiToken = async (token, scope, req, res, next) => {
+  if (!scope) {
+    return res
+      .status(403)
+      .json({ error: 'API tokens cannot access this endpoint' });
   }
 
-  const token = authHeader.split(' ')[1];
+  const apiToken = await findActiveApiToken(token);
+  if (!apiToken) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
 
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+  if (!apiToken.scopes.includes(scope)) {
+    return res
+      .status(403)
+      .json({ error: 'Token is missing a required scope', scope });
+  }
 
-    req.userId = decoded.userId;
+  const user = await User.findById(apiToken.userId).select(
+    `emailVerified ${ACCOUNT_STATUS_FIELDS}`,
+  );
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
 
-    // Get user information to check if admin
-    const user = await User.findById(req.userId).select('isAdmin');
+  if (rejectBlockedAccount(user, res)) {
+    return;
+  }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  // Keep "last used" details fresh for the token list without blocking
+  touchApiToken(apiToken._id, req.ip).catch((err) =>
+    console.error('Failed to update API token:', err),
+  );
 
-    // Add isAdmin flag to request object
-    req.isAdmin = user.isAdmin || false;
+  req.userId = user._id.toString();
+  req.apiTokenId = apiToken._id;
+  req.isAdmin = false;
+  req.role = 'user';
+  req.emailVerified = user.emailVerified || false;
 
-    next();
-  } catch (err) {
-    console.error('Auth middleware error details:', {
-      name: err.name,
-      message: err.message,
-      stack: err.stack,
-    });
+  next();
+};
 
-    if (err.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+/**
+ * Build the auth middleware
+ * @param {string|null} scope - API token scope the route accepts (null for
+ * JWT-only routes)
+ * @returns {Function} Express middleware
+ */
+const createAuth = (scope) =>
+  async function (req, res, next) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'No token provided' });
     }
-    if (err.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
+
+    if (!authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Invalid token format' });
     }
 
-    return res.status(401).json({ error: 'Invalid or expired token' });
-  }
-};
+    const token = authHeader.split(' ')[1];
+
+    try {
+      if (isApiToken(token)) {
+        return await authenticateApiToken(token, scope, req, res, next);
+      }
+
+      const decoded = verifyAccessToken(token);
+
+      req.userId = decoded.userId;
+
+      // Reject tokens whose session has been logged out or revoked
+      if (!(await isSessionActive(decoded))) {
+        return res.status(401).json({ error: 'Session revoked' });
+      }
+
+      if (decoded.sid) {
+        req.sessionId = decoded.sid;
+        // Keep "last seen" details fresh for the device list without blocking
+        touchSession(decoded.sid, req.ip).catch((err) =>
+          console.error('Failed to update session:', err),
+        );
+      }
+
+      // Get user information to check if admin
+      const user = await User.findById(req.userId).select(
+        `isAdmin role emailVerified ${ACCOUNT_STATUS_FIELDS}`,
+      );
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Suspended or deleted accounts are blocked on every request
+      if (rejectBlockedAccount(user, res)) {
+        return;
+      }
+
+      // Add isAdmin flag to request object
+      req.isAdmin = user.isAdmin || false;
+      req.role = user.getRole();
+      req.emailVerified = user.emailVerified || false;
+
+      // Staff viewing the account as the user (see POST /users/:id/impersonate)
+      if (decoded.act) {
+        req.impersonator = { id: decoded.act.sub, role: decoded.act.role };
+        res.set('X-Impersonated-By', decoded.act.sub);
+        if (await rejectImpersonatedWrite(req, res)) {
+          return;
+        }
+      }
+
+      next();
+    } catch (err) {
+      console.error('Auth middleware error details:', {
+        name: err.name,
+        message: err.message,
+        stack: err.stack,
+      });
+
+      if (err.name === 'JsonWebTokenError') {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired' });
+      }
+
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+  };
+
+// Plain `auth` accepts session JWTs only
+module.exports = createAuth(null);
+
+// `auth.withScope(scope)` also accepts personal API tokens holding that scope
+module.exports.withScope = (scope) => createAuth(scope);
@@ -5,21 +5,32 @@ const cache = new NodeCache({ stdTTL: 600 });
 
 /**
  * Middleware to cache responses
+ * The content type is cached with the body, and the Accept header is part of
+ * the key, so negotiated formats (e.g. playlist files) are not mixed up
  * @param {number} duration - Cache duration in seconds
  */
 function cacheMiddleware(duration) {
   return (req, res, next) => {
-    // Only cache GET requests
-    if (req.method !== 'GET') {
+    // Only cache GET requests, and never responses made for a signed-in
+    // user (they can hold per-user data such as signed stream links)
+    if (req.method !== 'GET' || req.userId) {
       return next();
     }
 
-    // Use URL as cache key
-    const key = req.originalUrl;
+    // Use URL and requested media types as cache key
+    const key = `${req.originalUrl}|${req.get('Accept') || ''}`;
     const cachedResponse = cache.get(key);
 
+    res.vary('Accept');
+
     if (cachedResponse) {
-      return res.send(cachedResponse);
+      if (cachedResponse.contentType) {
+        res.set('Content-Type', cachedResponse.contentType);
+      }
+      if (cachedResponse.contentDisposition) {
+        res.set('Content-Disposition', cachedResponse.contentDisposition);
+      }
+      return res.send(cachedResponse.body);
     }
 
     // Store original send function
@@ -27,7 +38,15 @@ function cacheMiddleware(duration) {
 
     // Override send function to cache the response
     res.send = function (body) {
-      cache.set(key, body, duration);
+      cache.set(
+        key,
+        {
+          body,
+          contentType: res.get('Content-Type'),
+          contentDisposition: res.get('Content-Disposition'),
+        },
+        duration,
+      );
       originalSend.call(this, body);
     };
 
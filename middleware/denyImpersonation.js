@@ -0,0 +1,25 @@
+const { recordAudit } = require('../lib/audit');
+
+/**
+ * Middleware to keep impersonation sessions out of a user's most private
+ * records (data export archives, the device list), reads included
+ * Must run after the auth middleware. Blocked attempts are recorded in the
+ * audit log, like blocked writes.
+ */
+module.exports = async function (req, res, next) {
+  if (!req.impersonator) {
+    return next();
+  }
+
+  await recordAudit(req, {
+    action: 'user.impersonate.access_blocked',
+    targetType: 'user',
+    targetId: req.userId,
+    metadata: { method: req.method, path: req.originalUrl },
+  });
+
+  return res.status(403).json({
+    error: 'Not available while impersonating a user',
+    code: 'IMPERSONATION_FORBIDDEN',
+  });
+};
@@ -0,0 +1,24 @@
+const { hasPermission } = require('../lib/permissions');
+
+/**
+ * Middleware factory that only lets through staff whose role grants every
+ * listed permission. Must run after adminMiddleware, which sets req.role.
+ * @param {...string} permissions - Permissions the route needs
+ * @returns {Function} Express middleware
+ */
+module.exports = function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.role, permission),
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access denied. Missing permission',
+        missing,
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,21 @@
+/**
+ * Middleware to block users who have not verified their email address
+ * Must run after the auth middleware. Only enforced when
+ * REQUIRE_EMAIL_VERIFICATION=true so existing accounts keep working until
+ * verification is switched on.
+ */
+module.exports = function (req, res, next) {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  // Admins are never locked out of the app by this check
+  if (req.emailVerified || req.isAdmin) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: 'Email verification required',
+    code: 'EMAIL_NOT_VERIFIED',
+  });
+};
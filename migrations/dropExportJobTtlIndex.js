@@ -0,0 +1,43 @@
+/**
+ * Migration script to drop the TTL index on export jobs
+ *
+ * Expired export jobs used to be deleted by a TTL index, which could remove a
+ * job before its archive was deleted and leave the archive on disk for good.
+ * They are now removed together with their archive by removeExpiredExports,
+ * so the index has to go. Archives orphaned by the old index are cleaned up
+ * by the next sweep.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mystichits')
+  .then(async () => {
+    try {
+      const collection = mongoose.connection.db.collection('exportjobs');
+      const indexes = await collection.indexes();
+      const ttlIndex = indexes.find(
+        (index) =>
+          index.key.expiresAt === 1 && index.expireAfterSeconds !== undefined,
+      );
+
+      if (ttlIndex) {
+        await collection.dropIndex(ttlIndex.name);
+        console.log(`Dropped TTL index ${ttlIndex.name} on exportjobs`);
+      } else {
+        console.log('No TTL index on exportjobs');
+      }
+    } catch (error) {
+      console.error('Error dropping export job TTL index:', error);
+    } finally {
+      // Close the connection
+      await mongoose.connection.close();
+      process.exit(0);
+    }
+  })
+  .catch((err) => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,57 @@
+/**
+ * Migration script to encrypt stored TOTP secrets
+ *
+ * Two-factor secrets (and secrets of enrollments that were never confirmed)
+ * used to be stored as plain base32. This encrypts every one that is not
+ * encrypted yet with TOTP_ENCRYPTION_KEY, so it can be run more than once.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { isEncrypted, encryptSecret } = require('../lib/totpSecrets');
+
+const FIELDS = ['secret', 'pendingSecret'];
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mystichits')
+  .then(async () => {
+    try {
+      const collection = mongoose.connection.db.collection('users');
+      const cursor = collection.find(
+        {
+          $or: FIELDS.map((field) => ({
+            [`twoFactor.${field}`]: { $exists: true, $not: /^v1:/ },
+          })),
+        },
+        { projection: { twoFactor: 1 } },
+      );
+
+      let updated = 0;
+      for await (const user of cursor) {
+        const $set = {};
+        FIELDS.forEach((field) => {
+          const value = user.twoFactor[field];
+          if (value && !isEncrypted(value)) {
+            $set[`twoFactor.${field}`] = encryptSecret(value);
+          }
+        });
+        if (Object.keys($set).length) {
+          await collection.updateOne({ _id: user._id }, { $set });
+          updated += 1;
+        }
+      }
+
+      console.log(`Encrypted TOTP secrets for ${updated} users`);
+    } catch (error) {
+      console.error('Error encrypting TOTP secrets:', error);
+    } finally {
+      // Close the connection
+      await mongoose.connection.close();
+      process.exit(0);
+    }
+  })
+  .catch((err) => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
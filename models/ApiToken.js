@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const apiTokenSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  // SHA-256 hash of the full token - the token itself is shown only once
+  tokenHash: { type: String, required: true, unique: true },
+  // First characters of the token so users can tell their tokens apart
+  prefix: { type: String, required: true },
+  scopes: [{ type: String }],
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date },
+  lastUsedIp: { type: String },
+  revokedAt: { type: Date },
+});
+
+apiTokenSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Check whether the token can still be used
+ * @returns {boolean} True if the token is neither revoked nor expired
+ */
+apiTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const auditEventSchema = new Schema({
+  actorId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  actorRole: { type: String },
+  action: { type: String, required: true }, // e.g. 'user.delete', 'user.role'
+  targetType: { type: String, required: true }, // e.g. 'user', 'message'
+  targetId: { type: String }, // ObjectId, IP address or setting key
+  // Fields that changed: { field: { from, to } }
+  changes: { type: Schema.Types.Mixed },
+  // Extra context that is not a field change (e.g. counts)
+  metadata: { type: Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  at: { type: Date, default: Date.now },
+});
+
+// No TTL index - the audit trail is kept indefinitely
+auditEventSchema.index({ at: -1 });
+auditEventSchema.index({ actorId: 1, at: -1 });
+auditEventSchema.index({ action: 1, at: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, at: -1 });
+
+const appendOnlyError = () => new Error('Audit events are append-only');
+
+// Audit events can be created but never changed or removed
+auditEventSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : appendOnlyError());
+});
+
+auditEventSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: true, query: true },
+  function (next) {
+    next(appendOnlyError());
+  },
+);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const exportJobSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  // Who asked for the export (the user themselves or an admin)
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending',
+  },
+  filePath: { type: String }, // gzipped JSON archive on disk
+  size: { type: Number }, // archive size in bytes
+  error: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date }, // when the archive started building
+  completedAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+});
+
+// Expired jobs are deleted together with their archive by
+// removeExpiredExports (lib/dataExport.js). There is deliberately no TTL
+// index: it would drop the job, and with it the archive's path, first
+exportJobSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Check whether the archive can be downloaded
+ * @returns {boolean} True if the job finished and has not expired
+ */
+exportJobSchema.methods.isDownloadable = function () {
+  return (
+    this.status === 'completed' &&
+    !!this.filePath &&
+    this.expiresAt > new Date()
+  );
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { ROLES } = require('../lib/permissions');
+
+const invitationSchema = new Schema({
+  code: { type: String, required: true, unique: true, uppercase: true },
+  note: { type: String, trim: true }, // who or what the invite is for
+  maxUses: { type: Number, default: 1, min: 1 },
+  uses: { type: Number, default: 0 },
+  expiresAt: { type: Date }, // no expiry when unset
+  // Preset applied to accounts created with this invitation
+  role: { type: String, enum: ROLES, default: 'user' },
+  folders: [
+    {
+      _id: false,
+      label: { type: String, required: true },
+      path: { type: String, required: true },
+    },
+  ],
+  usedBy: [
+    {
+      _id: false,
+      userId: { type: Schema.Types.ObjectId, ref: 'User' },
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+});
+
+/**
+ * Check whether the invitation can still be used to sign up
+ * @returns {boolean} True if not revoked, expired or used up
+ */
+invitationSchema.methods.isUsable = function () {
+  return (
+    !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    this.uses < this.maxUses
+  );
+};
+
+/**
+ * Atomically take one use of an invitation
+ * @param {string} code - Invitation code entered at signup
+ * @returns {Promise<Object|null>} The invitation, or null if not usable
+ */
+invitationSchema.statics.redeem = function (code) {
+  return this.findOneAndUpdate(
+    {
+      code: String(code).trim().toUpperCase(),
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $expr: { $lt: ['$uses', '$maxUses'] } },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { new: true },
+  );
+};
+
+/**
+ * Give back a use taken by redeem (e.g. when account creation fails)
+ * @param {string} invitationId - Invitation to release
+ * @returns {Promise<Object>} - MongoDB update result
+ */
+invitationSchema.statics.release = function (invitationId) {
+  return this.updateOne(
+    { _id: invitationId, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } },
+  );
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
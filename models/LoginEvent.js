@@ -2,8 +2,30 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
 const loginSchema = new Schema({
-  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    // Failed attempts for unknown emails have no user
+    required: function () {
+      return this.success !== false;
+    },
+  },
+  success: { type: Boolean, default: true },
+  email: { type: String }, // email that was tried (failed attempts only)
+  reason: { type: String }, // why a failed attempt was rejected
   ip: { type: String },
+  userAgent: { type: String },
+  deviceType: { type: String },
+  sessionId: { type: Schema.Types.ObjectId, ref: 'Session' },
+  // Location from proxy geolocation headers, when available
+  country: { type: String },
+  city: { type: String },
+  location: {
+    lat: { type: Number },
+    lon: { type: Number },
+  },
+  // What looked unusual about a successful login (see lib/loginAnomalies)
+  anomalies: { type: [String], default: undefined },
   at: { type: Date, default: Date.now },
 });
 
@@ -14,5 +36,11 @@ loginSchema.index({ at: 1 }, { expireAfterSeconds: 2592000 });
 loginSchema.index({ at: 1, userId: 1 });
 // Add userId and at index for BE-4 spec
 loginSchema.index({ userId: 1, at: 1 });
+// Failed attempts per IP for brute-force monitoring
+loginSchema.index({ success: 1, ip: 1, at: -1 });
+// Look up the login that started a session
+loginSchema.index({ sessionId: 1 });
+// Admin feed of suspicious logins
+loginSchema.index({ anomalies: 1, at: -1 });
 
 module.exports = mongoose.model('LoginEvent', loginSchema);
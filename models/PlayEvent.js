@@ -61,6 +61,11 @@ const PlayEventSchema = new mongoose.Schema(
     genre: String,
     year: Number,
 
+    // Podcast episodes keep the identity of their feed
+    feedUrl: { type: String, trim: true },
+    feedTitle: { type: String, trim: true },
+    episodeGuid: { type: String, trim: true },
+
     // Playback context
     source: String,
     playlistId: String,
@@ -135,6 +140,7 @@ PlayEventSchema.index({ timestamp: -1 });
 PlayEventSchema.index({ day: 1 });
 PlayEventSchema.index({ sessionId: 1 });
 PlayEventSchema.index({ isAggregated: 1, userId: 1, trackId: 1, day: 1 });
+PlayEventSchema.index({ feedUrl: 1, episodeGuid: 1 }, { sparse: true });
 
 /**
  * Static method to track plays with extreme throttling to prevent DB flooding
@@ -159,6 +165,9 @@ PlayEventSchema.statics.logPlay = async function (playData) {
     album,
     genre,
     year,
+    feedUrl,
+    feedTitle,
+    episodeGuid,
     storeDetailedMetrics = false, // Default to NOT storing detailed metrics
   } = playData;
 
@@ -208,6 +217,23 @@ PlayEventSchema.statics.logPlay = async function (playData) {
       },
     };
 
+    // Track metadata (e.g. from embedded tags) and the podcast feed an
+    // episode came from are stored when the client has them
+    const metadata = {
+      artist,
+      album,
+      genre,
+      year,
+      feedUrl,
+      feedTitle,
+      episodeGuid,
+    };
+    Object.keys(metadata).forEach((key) => {
+      if (metadata[key] !== undefined && metadata[key] !== null) {
+        update.$setOnInsert[key] = metadata[key];
+      }
+    });
+
     // Only conditionally add duration data if it's available and valid
     if (playData.duration && typeof playData.duration === 'number') {
       update.$inc['playMetrics.totalDuration'] = playData.duration;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const sessionSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  // SHA-256 hash of the current refresh token secret (rotated on every refresh)
+  refreshTokenHash: { type: String, required: true },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  // Staff member viewing the account through an impersonation session
+  impersonatorId: { type: Schema.Types.ObjectId, ref: 'User' },
+  impersonationReason: { type: String },
+  // SHA-256 hash of the "this wasn't me" link sent in a new sign-in alert
+  alertTokenHash: { type: String },
+});
+
+// Remove sessions from the collection once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ alertTokenHash: 1 }, { sparse: true });
+
+/**
+ * Check whether the session can still be used
+ * @returns {boolean} True if the session is neither revoked nor expired
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Revoke every active session belonging to a user
+ * @param {string} userId - Owner of the sessions
+ * @param {string} reason - Why the sessions were revoked
+ * @param {string} [exceptId] - Session to leave untouched (e.g. the current one)
+ * @returns {Promise<Object>} - MongoDB update result
+ */
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptId) {
+  const filter = { userId, revokedAt: null };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const cache = require('../lib/cache');
+
+// Cache settings briefly - they are read on hot paths such as admin requests
+const SETTING_CACHE_TTL = 60; // seconds
+
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true },
+);
+
+/**
+ * Read a runtime setting, falling back to a default when it has never been set
+ * @param {string} key - Setting name
+ * @param {*} fallback - Value used when the setting is not stored
+ * @returns {Promise<*>} Setting value
+ */
+settingSchema.statics.getValue = async function (key, fallback) {
+  const cacheKey = `setting:${key}`;
+  const cached = cache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key }).lean();
+  const value = setting ? setting.value : fallback;
+  cache.set(cacheKey, { value }, SETTING_CACHE_TTL);
+  return value;
+};
+
+/**
+ * Store a runtime setting
+ * @param {string} key - Setting name
+ * @param {*} value - New value
+ * @param {string} [updatedBy] - ID of the admin making the change
+ * @returns {Promise<Object>} - The stored setting document
+ */
+settingSchema.statics.setValue = async function (key, value, updatedBy) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true },
+  );
+  cache.del(`setting:${key}`);
+  return setting;
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,10 +1,32 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { ROLES } = require('../lib/permissions');
+
+// A track stored in an imported playlist
+const playlistTrackSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    title: { type: String },
+    artist: { type: String },
+    duration: { type: Number }, // seconds
+    mime: { type: String },
+  },
+  { _id: false },
+);
 
 const folderSchema = new mongoose.Schema(
   {
     label: { type: String, required: true },
-    path: { type: String, required: true }, // local sub-path OR remote URL
+    // 'folder' reads tracks from `path`; 'playlist' stores its own tracks
+    type: { type: String, enum: ['folder', 'playlist'], default: 'folder' },
+    // local sub-path OR remote URL (folders only)
+    path: {
+      type: String,
+      required: function () {
+        return this.type !== 'playlist';
+      },
+    },
+    tracks: { type: [playlistTrackSchema], default: undefined },
     created: { type: Date, default: Date.now },
   },
   { _id: true },
@@ -34,31 +56,185 @@ const userSchema = new mongoose.Schema(
     resetPasswordExpires: {
       type: Date,
     },
+    magicLinkToken: {
+      type: String,
+    },
+    magicLinkExpires: {
+      type: Date,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // New address waiting to be confirmed (replaces email once verified)
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    emailVerificationToken: {
+      type: String,
+    },
+    emailVerificationExpires: {
+      type: Date,
+    },
     isAdmin: {
       type: Boolean,
       default: false,
     },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'user',
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    unlockToken: {
+      type: String,
+    },
+    unlockTokenExpires: {
+      type: Date,
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String }, // base32 TOTP secret
+      pendingSecret: { type: String }, // set during enrollment until confirmed
+      recoveryCodes: [{ type: String }], // SHA-256 hashes of one-time codes
+      lastUsedStep: { type: Number }, // prevents replaying the same code
+      enabledAt: { type: Date },
+    },
+    // Set while an admin has blocked the account
+    suspension: {
+      reason: { type: String },
+      at: { type: Date },
+      until: { type: Date }, // no end date when unset
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+    // Soft delete - the account can be restored until purgeAfter
+    deletedAt: {
+      type: Date,
+    },
+    purgeAfter: {
+      type: Date,
+    },
     folders: [folderSchema],
   },
   { timestamps: true },
 );
 
+/**
+ * Generate a random token and its SHA-256 hash
+ * Only the hash is stored; the plaintext token is sent to the user
+ * @param {number} expiresIn - Lifetime in ms
+ * @returns {{ token: string, hashedToken: string, expires: number }}
+ */
+const generateHashedToken = (expiresIn) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return { token, hashedToken, expires: Date.now() + expiresIn };
+};
+
 // Instance method to create a password reset token
 userSchema.methods.createPasswordReset = function () {
-  // Generate a random token
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  // Hash the token and set to resetPasswordToken
-  this.resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
   // Set expiration (from env or default 1 hour)
   const expiresIn = process.env.RESET_TOKEN_EXPIRES
     ? parseInt(process.env.RESET_TOKEN_EXPIRES, 10)
     : 60 * 60 * 1000; // 1 hour in ms
-  this.resetPasswordExpires = Date.now() + expiresIn;
+  const { token, hashedToken, expires } = generateHashedToken(expiresIn);
+  this.resetPasswordToken = hashedToken;
+  this.resetPasswordExpires = expires;
   // Return the plaintext token
-  return resetToken;
+  return token;
 };
 
-module.exports = mongoose.model('User', userSchema);
+// Instance method to create a one-time login (magic link) token
+userSchema.methods.createMagicLink = function () {
+  // Set expiration (from env or default 15 minutes)
+  const expiresIn = process.env.MAGIC_LINK_EXPIRES
+    ? parseInt(process.env.MAGIC_LINK_EXPIRES, 10)
+    : 15 * 60 * 1000; // 15 minutes in ms
+  const { token, hashedToken, expires } = generateHashedToken(expiresIn);
+  this.magicLinkToken = hashedToken;
+  this.magicLinkExpires = expires;
+  // Return the plaintext token
+  return token;
+};
+
+// Instance method to create an email verification token
+userSchema.methods.createEmailVerification = function () {
+  // Set expiration (from env or default 24 hours)
+  const expiresIn = process.env.VERIFY_TOKEN_EXPIRES
+    ? parseInt(process.env.VERIFY_TOKEN_EXPIRES, 10)
+    : 24 * 60 * 60 * 1000; // 24 hours in ms
+  const { token, hashedToken, expires } = generateHashedToken(expiresIn);
+  this.emailVerificationToken = hashedToken;
+  this.emailVerificationExpires = expires;
+  // Return the plaintext token
+  return token;
+};
+
+// Instance method to create an account unlock token
+userSchema.methods.createAccountUnlock = function () {
+  // Valid for as long as a lock could reasonably last (24 hours)
+  const { token, hashedToken, expires } = generateHashedToken(
+    24 * 60 * 60 * 1000,
+  );
+  this.unlockToken = hashedToken;
+  this.unlockTokenExpires = expires;
+  // Return the plaintext token
+  return token;
+};
+
+// Instance method to get the effective role
+// Accounts flagged isAdmin before roles existed are treated as admins
+userSchema.methods.getRole = function () {
+  return this.isAdmin ? 'admin' : this.role || 'user';
+};
+
+// Instance method to check whether an admin suspension is in force
+userSchema.methods.isSuspended = function () {
+  return (
+    !!this.suspension &&
+    !!this.suspension.at &&
+    (!this.suspension.until || this.suspension.until > Date.now())
+  );
+};
+
+// Instance method to check whether the account has been (soft) deleted
+userSchema.methods.isDeleted = function () {
+  return !!this.deletedAt;
+};
+
+// Instance method to check whether the account is temporarily locked
+userSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+const User = mongoose.model('User', userSchema);
+
+// Projection that strips secrets before a user is sent to a client
+User.PRIVATE_FIELDS = [
+  '-password',
+  '-resetPasswordToken',
+  '-resetPasswordExpires',
+  '-magicLinkToken',
+  '-magicLinkExpires',
+  '-emailVerificationToken',
+  '-emailVerificationExpires',
+  '-unlockToken',
+  '-unlockTokenExpires',
+  '-twoFactor.secret',
+  '-twoFactor.pendingSecret',
+  '-twoFactor.recoveryCodes',
+  '-twoFactor.lastUsedStep',
+].join(' ');
+
+module.exports = User;
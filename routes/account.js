@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const denyImpersonation = require('../middleware/denyImpersonation');
+const accountController = require('../controllers/accountController');
+
+// All routes act on the signed-in user
+router.use(auth);
+
+// GET /api/user/me
+router.get('/', accountController.getProfile);
+
+// PATCH /api/user/me
+router.patch('/', accountController.updateProfile);
+
+// DELETE /api/user/me
+router.delete('/', accountController.deleteAccount);
+
+// POST /api/user/me/password
+router.post('/password', accountController.changePassword);
+
+// POST /api/user/me/email
+router.post('/email', accountController.changeEmail);
+
+// POST /api/user/me/exports
+router.post('/exports', accountController.requestExport);
+
+// GET /api/user/me/exports
+router.get('/exports', accountController.listExports);
+
+// GET /api/user/me/exports/:id
+router.get('/exports/:id', accountController.getExport);
+
+// GET /api/user/me/exports/:id/download (never to staff impersonating the user)
+router.get(
+  '/exports/:id/download',
+  denyImpersonation,
+  accountController.downloadExport,
+);
+
+module.exports = router;
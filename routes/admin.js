@@ -2,10 +2,28 @@ const express = require('express');
 const router = express.Router();
 const { adminLimiter } = require('../middleware/rateLimiter');
 const adminMiddleware = require('../middleware/adminMiddleware');
+const requirePermission = require('../middleware/requirePermission');
 const {
   getUsers,
   deleteUser,
   changeUserRole,
+  forceLogoutUser,
+  impersonateUser,
+  suspendUser,
+  unsuspendUser,
+  restoreUser,
+  purgeUser,
+  exportUserData,
+  getExportJob,
+  downloadExportJob,
+  getLockouts,
+  clearUserLockout,
+  clearIpLockout,
+  getSuspiciousLogins,
+  getSettings,
+  updateSettings,
+  getRoles,
+  getAuditLog,
   getStats,
   getMessages,
   getMessage,
@@ -35,41 +53,153 @@ const {
   adminGetUserFolders,
   adminBulkAddFolders,
 } = require('../controllers/folderController');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+} = require('../controllers/invitationController');
 const ErrorEvent = require('../models/ErrorEvent');
 
-// Apply admin middleware to all routes
+// Apply admin middleware to all routes (lets in any staff role); each route
+// then declares the permission it needs
 router.use(adminMiddleware);
 router.use(adminLimiter);
 
 // GET all users - protected for admins only
-router.get('/users', getUsers);
+router.get('/users', requirePermission('users:read'), getUsers);
 
 // DELETE a user by ID - protected for admins only
-router.delete('/users/:id', deleteUser);
+router.delete('/users/:id', requirePermission('users:delete'), deleteUser);
 
 // PATCH change user role - protected for admins only
-router.patch('/users/:id/role', changeUserRole);
+router.patch(
+  '/users/:id/role',
+  requirePermission('users:roles'),
+  changeUserRole,
+);
+
+// POST force-logout a user from every device - protected for admins only
+router.post(
+  '/users/:id/logout',
+  requirePermission('users:sessions'),
+  forceLogoutUser,
+);
+
+// POST start a read-only session as the user (support troubleshooting)
+router.post(
+  '/users/:id/impersonate',
+  requirePermission('users:impersonate'),
+  impersonateUser,
+);
+
+// Account suspension - blocks logins and API access until lifted or expired
+router.post(
+  '/users/:id/suspend',
+  requirePermission('users:suspend'),
+  suspendUser,
+);
+router.post(
+  '/users/:id/unsuspend',
+  requirePermission('users:suspend'),
+  unsuspendUser,
+);
+
+// Soft-deleted users can be restored until they are purged
+router.post(
+  '/users/:id/restore',
+  requirePermission('users:delete'),
+  restoreUser,
+);
+router.post('/users/:id/purge', requirePermission('users:delete'), purgeUser);
+
+// Personal data exports - same archive a user can request for themselves
+router.post(
+  '/users/:id/exports',
+  requirePermission('users:export'),
+  exportUserData,
+);
+router.get('/exports/:id', requirePermission('users:export'), getExportJob);
+router.get(
+  '/exports/:id/download',
+  requirePermission('users:export'),
+  downloadExportJob,
+);
+
+// Login lockouts (brute-force protection)
+router.get('/lockouts', requirePermission('security:lockouts'), getLockouts);
+router.delete(
+  '/lockouts/users/:id',
+  requirePermission('security:lockouts'),
+  clearUserLockout,
+);
+router.delete(
+  '/lockouts/ips/:ip',
+  requirePermission('security:lockouts'),
+  clearIpLockout,
+);
+
+// Suspicious login activity (shared IPs, impossible travel, new devices)
+router.get(
+  '/security/suspicious-logins',
+  requirePermission('security:logins'),
+  getSuspiciousLogins,
+);
+
+// Runtime settings (e.g. require 2FA for all admins)
+router.get('/settings', requirePermission('settings:manage'), getSettings);
+router.patch('/settings', requirePermission('settings:manage'), updateSettings);
+
+// Invitation codes for invite-only signup
+router.get(
+  '/invitations',
+  requirePermission('invitations:manage'),
+  getInvitations,
+);
+router.post(
+  '/invitations',
+  requirePermission('invitations:manage'),
+  createInvitation,
+);
+router.delete(
+  '/invitations/:id',
+  requirePermission('invitations:manage'),
+  revokeInvitation,
+);
+
+// Audit trail of admin actions
+router.get('/audit', requirePermission('audit:read'), getAuditLog);
+
+// Roles and the permissions they grant
+router.get('/roles', requirePermission('users:roles'), getRoles);
 
 // GET system statistics - protected for admins only
-router.get('/stats', getStats);
+router.get('/stats', requirePermission('stats:read'), getStats);
 
 // NEW ENDPOINTS - User data aggregation
 // GET daily/weekly active user counts
-router.get('/stats/dau', getDailyActiveUsers);
+router.get('/stats/dau', requirePermission('stats:read'), getDailyActiveUsers);
 
 // GET top tracks with customizable parameters
-router.get('/stats/top-tracks', getTopTracks);
+router.get('/stats/top-tracks', requirePermission('stats:read'), getTopTracks);
 // Alternative route path as specified in BE-6 ticket
-router.get('/top-tracks', getTopTracks);
+router.get('/top-tracks', requirePermission('stats:read'), getTopTracks);
 
 // Contact message management routes
-router.get('/messages', getMessages);
-router.get('/messages/:id', getMessage);
-router.patch('/messages/:id', updateMessage);
-router.delete('/messages/:id', deleteMessage);
+router.get('/messages', requirePermission('messages:read'), getMessages);
+router.get('/messages/:id', requirePermission('messages:read'), getMessage);
+router.patch(
+  '/messages/:id',
+  requirePermission('messages:write'),
+  updateMessage,
+);
+router.delete(
+  '/messages/:id',
+  requirePermission('messages:write'),
+  deleteMessage,
+);
 
 // Add new route to retrieve error logs (BE-11)
-router.get('/errors', async (req, res) => {
+router.get('/errors', requirePermission('errors:read'), async (req, res) => {
   try {
     const { days = 7, limit = 100, page = 1 } = req.query;
 
@@ -105,60 +235,112 @@ router.get('/errors', async (req, res) => {
   }
 });
 
-router.get('/stats/pageviews', adminMiddleware, getPageViewsStats);
+router.get(
+  '/stats/pageviews',
+  requirePermission('stats:read'),
+  getPageViewsStats,
+);
 
 // GET user activity summary (new users, logins per day)
 router.get(
   '/stats/user-activity-summary',
-  adminMiddleware,
+  requirePermission('stats:read'),
   getUserActivitySummary,
 );
 
 // Add this new route - alternative URL that doesn't trigger ad blockers
-router.get('/metrics/daily-activity', adminMiddleware, getDailyPageViews);
+router.get(
+  '/metrics/daily-activity',
+  requirePermission('stats:read'),
+  getDailyPageViews,
+);
 
 // Also keep the original route in case you want to use it directly
-router.get('/stats/pageviews/daily', adminMiddleware, getDailyPageViews);
+router.get(
+  '/stats/pageviews/daily',
+  requirePermission('stats:read'),
+  getDailyPageViews,
+);
 
 // GET top pages statistics
-router.get('/stats/top-pages', adminMiddleware, getTopPages);
+router.get('/stats/top-pages', requirePermission('stats:read'), getTopPages);
 
 // Replace seed endpoint with clear endpoint
-router.delete('/clear/hit-data', clearHitData);
+router.delete('/clear/hit-data', requirePermission('hits:clear'), clearHitData);
 
 // Add real analytics endpoint
-router.get('/analytics/hits', getHitAnalytics);
+router.get('/analytics/hits', requirePermission('stats:read'), getHitAnalytics);
 
 // NEW LISTENING ANALYTICS ENDPOINTS
 // GET comprehensive listening analytics overview
-router.get('/listening-analytics/overview', getListeningAnalyticsOverview);
+router.get(
+  '/listening-analytics/overview',
+  requirePermission('analytics:read'),
+  getListeningAnalyticsOverview,
+);
 
 // GET detailed user listening behavior analytics
-router.get('/listening-analytics/user-behavior', getUserListeningBehavior);
+router.get(
+  '/listening-analytics/user-behavior',
+  requirePermission('analytics:read'),
+  getUserListeningBehavior,
+);
 
 // GET listening patterns analysis (time of day, frequency)
-router.get('/listening-analytics/patterns', getListeningPatterns);
+router.get(
+  '/listening-analytics/patterns',
+  requirePermission('analytics:read'),
+  getListeningPatterns,
+);
 
 // GET geographic listening analytics
-router.get('/listening-analytics/geographic', getGeographicListeningAnalytics);
+router.get(
+  '/listening-analytics/geographic',
+  requirePermission('analytics:read'),
+  getGeographicListeningAnalytics,
+);
 
 // GET playlist usage analytics
-router.get('/listening-analytics/playlists', getPlaylistAnalytics);
+router.get(
+  '/listening-analytics/playlists',
+  requirePermission('analytics:read'),
+  getPlaylistAnalytics,
+);
 
 // GET user engagement and retention analytics
-router.get('/listening-analytics/engagement', getUserEngagementAnalytics);
+router.get(
+  '/listening-analytics/engagement',
+  requirePermission('analytics:read'),
+  getUserEngagementAnalytics,
+);
 
 // ADMIN FOLDER MANAGEMENT ROUTES
 // Add folder to specific user
-router.post('/users/:uid/folders', adminAddFolderToUser);
+router.post(
+  '/users/:uid/folders',
+  requirePermission('folders:manage'),
+  adminAddFolderToUser,
+);
 
 // Remove folder from specific user
-router.delete('/users/:uid/folders/:folderId', adminRemoveFolderFromUser);
+router.delete(
+  '/users/:uid/folders/:folderId',
+  requirePermission('folders:manage'),
+  adminRemoveFolderFromUser,
+);
 
 // Get all folders for specific user
-router.get('/users/:uid/folders', adminGetUserFolders);
+router.get(
+  '/users/:uid/folders',
+  requirePermission('folders:read'),
+  adminGetUserFolders,
+);
 
 // Bulk add folders to multiple users
-router.post('/folders/bulk-add', adminBulkAddFolders);
+router.post(
+  '/folders/bulk-add',
+  requirePermission('folders:manage'),
+  adminBulkAddFolders,
+);
 
 module.exports = router;
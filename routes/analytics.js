@@ -10,47 +10,51 @@ const {
 } = require('../controllers/analyticsController');
 const auth = require('../middleware/auth');
 const adminMiddleware = require('../middleware/adminMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+
+// Listening data is for staff allowed to read analytics (not every staff role)
+const canReadAnalytics = [adminMiddleware, requirePermission('analytics:read')];
 
 /**
  * @route   GET /api/analytics/listening-overview
  * @desc    Get listening analytics overview
- * @access  Private (Admin only)
+ * @access  Private (Staff with analytics:read)
  */
-router.get('/listening-overview', auth, adminMiddleware, getOverview);
+router.get('/listening-overview', auth, canReadAnalytics, getOverview);
 
 /**
  * @route   GET /api/analytics/user-listening-behavior
  * @desc    Get user behavior analytics
- * @access  Private (Admin only)
+ * @access  Private (Staff with analytics:read)
  */
-router.get('/user-listening-behavior', auth, adminMiddleware, getUserBehavior);
+router.get('/user-listening-behavior', auth, canReadAnalytics, getUserBehavior);
 
 /**
  * @route   GET /api/analytics/listening-patterns
  * @desc    Get listening patterns analytics
- * @access  Private (Admin only)
+ * @access  Private (Staff with analytics:read)
  */
-router.get('/listening-patterns', auth, adminMiddleware, getPatterns);
+router.get('/listening-patterns', auth, canReadAnalytics, getPatterns);
 
 /**
  * @route   GET /api/analytics/geographic-listening
  * @desc    Get geographic analytics
- * @access  Private (Admin only)
+ * @access  Private (Staff with analytics:read)
  */
-router.get('/geographic-listening', auth, adminMiddleware, getGeographic);
+router.get('/geographic-listening', auth, canReadAnalytics, getGeographic);
 
 /**
  * @route   GET /api/analytics/playlist-analytics
  * @desc    Get playlist analytics
- * @access  Private (Admin only)
+ * @access  Private (Staff with analytics:read)
  */
-router.get('/playlist-analytics', auth, adminMiddleware, getPlaylistAnalytics);
+router.get('/playlist-analytics', auth, canReadAnalytics, getPlaylistAnalytics);
 
 /**
  * @route   GET /api/analytics/user-engagement
  * @desc    Get engagement analytics
- * @access  Private (Admin only)
+ * @access  Private (Staff with analytics:read)
  */
-router.get('/user-engagement', auth, adminMiddleware, getEngagement);
+router.get('/user-engagement', auth, canReadAnalytics, getEngagement);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const apiTokenController = require('../controllers/apiTokenController');
+
+// Managing tokens needs a signed-in session - API tokens cannot mint more tokens
+router.use(auth);
+
+// GET /api/user/tokens
+router.get('/', apiTokenController.listTokens);
+
+// POST /api/user/tokens
+router.post('/', apiTokenController.createToken);
+
+// DELETE /api/user/tokens/:id
+router.delete('/:id', apiTokenController.revokeToken);
+
+module.exports = router;
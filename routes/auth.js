@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const auth = require('../middleware/auth');
+const denyImpersonation = require('../middleware/denyImpersonation');
 
 // POST /api/auth/signup
 router.post('/signup', authController.signup);
@@ -8,13 +10,62 @@ router.post('/signup', authController.signup);
 // POST /api/auth/login
 router.post('/login', authController.login);
 
+// POST /api/auth/magic-link (email a one-time login link)
+router.post('/magic-link', authController.requestMagicLink);
+
+// POST /api/auth/magic-link/:token
+router.post('/magic-link/:token', authController.redeemMagicLink);
+
+// POST /api/auth/verify-email/:token
+router.post('/verify-email/:token', authController.verifyEmail);
+
+// POST /api/auth/resend-verification
+router.post('/resend-verification', auth, authController.resendVerification);
+
+// POST /api/auth/2fa/verify (second step of login when 2FA is enabled)
+router.post('/2fa/verify', authController.verifyTwoFactor);
+
+// POST /api/auth/2fa/setup
+router.post('/2fa/setup', auth, authController.setupTwoFactor);
+
+// POST /api/auth/2fa/confirm
+router.post('/2fa/confirm', auth, authController.confirmTwoFactor);
+
+// POST /api/auth/2fa/disable
+router.post('/2fa/disable', auth, authController.disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes
+router.post(
+  '/2fa/recovery-codes',
+  auth,
+  authController.regenerateRecoveryCodes,
+);
+
+// POST /api/auth/unlock/:token
+router.post('/unlock/:token', authController.unlockAccount);
+
+// POST /api/auth/revoke-access/:token ("this wasn't me" link in sign-in alerts)
+router.post('/revoke-access/:token', authController.revokeAccessFromAlert);
+
 // POST /api/auth/forgot-password
 router.post('/forgot-password', authController.forgotPassword);
 
 // POST /api/auth/reset-password/:token
 router.post('/reset-password/:token', authController.resetPassword);
 
+// POST /api/auth/refresh
+router.post('/refresh', authController.refresh);
+
 // POST /api/auth/logout
 router.post('/logout', authController.logoutUser);
 
+// GET /api/auth/sessions (never to staff impersonating the user)
+router.get('/sessions', auth, denyImpersonation, authController.listSessions);
+
+// DELETE /api/auth/sessions (all sessions except the current one)
+router.delete('/sessions', auth, authController.revokeOtherSessions);
+
+// DELETE /api/auth/sessions/:id
+router.delete('/sessions/:id', auth, authController.revokeSession);
+
 module.exports = router;
@@ -2,20 +2,52 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const adminMiddleware = require('../middleware/adminMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const folderController = require('../controllers/folderController');
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication (and a verified email when enforced).
+// Personal API tokens need folders:read for reads and folders:write for changes
+const readAuth = auth.withScope('folders:read');
+const writeAuth = auth.withScope('folders:write');
+router.use((req, res, next) =>
+  (req.method === 'GET' ? readAuth : writeAuth)(req, res, next),
+);
+router.use(requireVerifiedEmail);
 
 // Regular user routes
 router.get('/', folderController.listFolders);
 router.post('/', folderController.addFolder);
+// Playlist files can be uploaded as the raw body or pasted inside JSON
+router.post(
+  '/import',
+  express.text({
+    type: [
+      'text/plain',
+      'audio/x-mpegurl',
+      'audio/mpegurl',
+      'application/x-mpegurl',
+      'application/vnd.apple.mpegurl',
+      'audio/x-scpls',
+      'application/xspf+xml',
+      'application/xml',
+      'text/xml',
+    ],
+    limit: '1mb',
+  }),
+  folderController.importPlaylist,
+);
 router.patch('/:id', folderController.updateFolder);
 router.delete('/:id', folderController.deleteFolder);
 router.get('/:id/playlist', folderController.playFolder);
 router.put('/reorder', folderController.reorderFolders);
 
 // Admin routes - view any user's folders
-router.get('/user/:uid', adminMiddleware, folderController.listFolders);
+router.get(
+  '/user/:uid',
+  adminMiddleware,
+  requirePermission('folders:read'),
+  folderController.listFolders,
+);
 
 module.exports = router;
@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const adminMiddleware = require('../middleware/adminMiddleware');
+const requirePermission = require('../middleware/requirePermission');
 const auth = require('../middleware/auth');
 const { getMetrics } = require('../middleware/requestMetrics');
 const os = require('os');
 
+// Server details are for staff allowed to see them (not every staff role)
+const canReadHealth = [adminMiddleware, requirePermission('health:read')];
+
 // Public health check endpoint
 router.get('/status', (req, res) => {
   res.json({
@@ -16,7 +20,7 @@ router.get('/status', (req, res) => {
 });
 
 // Protect the health endpoint with admin middleware
-router.get('/', adminMiddleware, async (req, res) => {
+router.get('/', canReadHealth, async (req, res) => {
   const start = Date.now();
   let dbOK = false,
     latency = null;
@@ -71,7 +75,7 @@ router.get('/', adminMiddleware, async (req, res) => {
  * @desc    Detailed API performance metrics
  * @access  Private/Admin
  */
-router.get('/metrics', auth, adminMiddleware, async (req, res) => {
+router.get('/metrics', auth, canReadHealth, async (req, res) => {
   // Collect metrics from real system data if available
   const metrics = {
     apiLatency: {
@@ -122,7 +126,7 @@ router.get('/metrics', auth, adminMiddleware, async (req, res) => {
 });
 
 // Get system resource information
-router.get('/system', auth, adminMiddleware, async (req, res) => {
+router.get('/system', auth, canReadHealth, async (req, res) => {
   try {
     const cpuUsage = process.cpuUsage();
     const memUsage = process.memoryUsage();
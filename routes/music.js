@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { streamTrack } = require('../controllers/musicController');
+const { verifyStreamSignature } = require('../lib/streamUrls');
+
+const requireAuth = auth.withScope('music:read');
+
+/**
+ * Let signed stream links through, and require normal authentication
+ * (Authorization header) for everything else. Access tokens are never
+ * accepted in the query string
+ */
+const signedLinkOrAuth = (req, res, next) => {
+  const { exp, sig } = req.query;
+  if (exp === undefined && sig === undefined) {
+    return requireAuth(req, res, next);
+  }
+
+  // Express decodes each path segment
+  const trackPath = [].concat(req.params.path || []).join('/');
+  if (!verifyStreamSignature(trackPath, req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired stream link' });
+  }
+  next();
+};
+
+/**
+ * @route   GET /public/music/*
+ * @desc    Stream a track from the local music library (supports Range,
+ *          ETag and If-None-Match)
+ * @access  Private (signed stream link from a playlist, or authentication;
+ *          API tokens need music:read)
+ */
+router.get('/*path', signedLinkOrAuth, streamTrack);
+
+module.exports = router;
@@ -28,7 +28,7 @@ router.get('/track/:trackId/details', getTrackDetails);
  * @desc    Get user's personal play summary
  * @access  Private
  */
-router.get('/user/summary', auth, getUserSummary);
+router.get('/user/summary', auth.withScope('playmetrics:read'), getUserSummary);
 
 /**
  * @route   GET /api/playmetrics/user/top-tracks
@@ -37,7 +37,11 @@ router.get('/user/summary', auth, getUserSummary);
  * @query   limit (default: 10, max: 50)
  * @query   timeframe (all, week, month, year)
  */
-router.get('/user/top-tracks', auth, getUserTopTracks);
+router.get(
+  '/user/top-tracks',
+  auth.withScope('playmetrics:read'),
+  getUserTopTracks,
+);
 
 /**
  * @route   GET /api/playmetrics/trending
@@ -9,6 +9,7 @@ const {
   getUserLikes,
 } = require('../controllers/playlistController');
 const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const rateLimit = require('express-rate-limit');
 const { cacheMiddleware } = require('../middleware/cache');
 
@@ -34,12 +35,28 @@ const readRateLimiter = rateLimit({
   skip: (req, res) => whitelist.includes(req.ip),
 });
 
+/**
+ * Authenticate the request if it carries credentials, otherwise continue
+ * anonymously. Signed-in callers get signed stream links for local tracks
+ */
+const optionalAuth = (req, res, next) =>
+  req.headers.authorization
+    ? auth.withScope('music:read')(req, res, next)
+    : next();
+
 /**
  * @route   GET /api/playlist
  * @desc    Get playlist from remote URL or local folder
- * @access  Public
+ * @access  Public (local tracks are only playable, and remote listings only
+ *          crawled recursively, when authenticated)
  */
-router.get('/', readRateLimiter, cacheMiddleware(300), getPlaylist);
+router.get(
+  '/',
+  readRateLimiter,
+  optionalAuth,
+  cacheMiddleware(300),
+  getPlaylist,
+);
 
 /**
  * @route   POST /api/playlist/plays
@@ -47,7 +64,13 @@ router.get('/', readRateLimiter, cacheMiddleware(300), getPlaylist);
  * @access  Private (requires authentication)
  * @note    Use batch-update for multiple events instead of calling this repeatedly
  */
-router.post('/plays', auth, writeRateLimiter, logPlay);
+router.post(
+  '/plays',
+  auth.withScope('plays:write'),
+  requireVerifiedEmail,
+  writeRateLimiter,
+  logPlay,
+);
 
 /**
  * @route   PUT /api/playlist/plays/:playEventId
@@ -55,7 +78,13 @@ router.post('/plays', auth, writeRateLimiter, logPlay);
  * @access  Private (requires authentication)
  * @note    Use batch-update for multiple updates instead of calling this repeatedly
  */
-router.put('/plays/:playEventId', auth, writeRateLimiter, updatePlayEvent);
+router.put(
+  '/plays/:playEventId',
+  auth.withScope('plays:write'),
+  requireVerifiedEmail,
+  writeRateLimiter,
+  updatePlayEvent,
+);
 
 /**
  * @route   POST /api/playlist/plays/batch-update
@@ -64,7 +93,8 @@ router.put('/plays/:playEventId', auth, writeRateLimiter, updatePlayEvent);
  */
 router.post(
   '/plays/batch-update',
-  auth,
+  auth.withScope('plays:write'),
+  requireVerifiedEmail,
   writeRateLimiter,
   batchUpdatePlayEvents,
 );
@@ -74,13 +104,23 @@ router.post(
  * @desc    Log user interactions (like, share, repeat)
  * @access  Private (requires authentication)
  */
-router.post('/interactions', auth, logInteraction);
+router.post(
+  '/interactions',
+  auth.withScope('plays:write'),
+  requireVerifiedEmail,
+  logInteraction,
+);
 
 /**
  * @route   GET /api/playlist/likes
  * @desc    Get user's liked tracks
  * @access  Private (requires authentication)
  */
-router.get('/likes', auth, readRateLimiter, getUserLikes);
+router.get(
+  '/likes',
+  auth.withScope('plays:read'),
+  readRateLimiter,
+  getUserLikes,
+);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../lib/keys');
+
+// GET /.well-known/jwks.json - public keys other services use to verify our tokens
+router.get('/jwks.json', (req, res) => {
+  // Short cache so newly scheduled keys are picked up well before they sign
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// Generate a JWT signing key and schedule it in JWT_KEYS_DIR/keys.json
+// Usage: node scripts/generateJwtKey.js <kid> [activateAt ISO date] [rsa|ec]
+// Set retireAt on the previous key by hand once its tokens have expired
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const [kid, activateAt, type = 'rsa'] = process.argv.slice(2);
+const dir = process.env.JWT_KEYS_DIR;
+
+if (!kid || !dir) {
+  console.error(
+    'Usage: JWT_KEYS_DIR=<dir> node scripts/generateJwtKey.js <kid> [activateAt] [rsa|ec]',
+  );
+  process.exit(1);
+}
+
+const { privateKey } =
+  type === 'ec'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+fs.mkdirSync(dir, { recursive: true });
+const file = `${kid}.pem`;
+fs.writeFileSync(
+  path.join(dir, file),
+  privateKey.export({ format: 'pem', type: 'pkcs8' }),
+  { mode: 0o600 },
+);
+
+// Add the key to the rotation schedule
+const manifestPath = path.join(dir, 'keys.json');
+const manifest = fs.existsSync(manifestPath)
+  ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+  : [];
+manifest.push({
+  kid,
+  file,
+  activateAt: new Date(activateAt || Date.now()).toISOString(),
+});
+fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+console.log(`Key ${kid} written to ${path.join(dir, file)}`);
@@ -0,0 +1,17 @@
+// Purge soft-deleted users whose restore window has ended
+// Usage: node scripts/purgeDeletedUsers.js
+// The server does this hourly; run it by hand to purge straight away
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { purgeExpiredUsers } = require('../lib/userData');
+
+connectDB()
+  .then(purgeExpiredUsers)
+  .then((count) => {
+    console.log(`Purged ${count} deleted user(s)`);
+    return mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error('Purge failed:', err);
+    process.exit(1);
+  });
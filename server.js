@@ -4,6 +4,12 @@ const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
 const connectDB = require('./config/db');
+const { loadKeys } = require('./lib/keys');
+const { getAppUrl } = require('./lib/appLinks');
+const { getSecret: getStreamSecret } = require('./lib/streamUrls');
+const { getKey: getTotpKey } = require('./lib/totpSecrets');
+const { purgeExpiredUsers } = require('./lib/userData');
+const { removeExpiredExports, failStaleExports } = require('./lib/dataExport');
 const {
   globalLimiter,
   authLimiter,
@@ -20,8 +26,38 @@ const adminRoutes = require('./routes/admin');
 const healthRoutes = require('./routes/health');
 const chartsRoutes = require('./routes/charts');
 const folderRoutes = require('./routes/folders');
+const accountRoutes = require('./routes/account');
+const apiTokenRoutes = require('./routes/apiTokens');
+const wellKnownRoutes = require('./routes/wellKnown');
 const analyticsRoutes = require('./routes/analytics');
 const playMetricsRoutes = require('./routes/playMetrics');
+const musicRoutes = require('./routes/music');
+
+// Refuse to start without real JWT signing keys
+try {
+  loadKeys();
+} catch (err) {
+  console.error('JWT key configuration error:', err.message);
+  process.exit(1);
+}
+
+// Emailed links (password reset, magic link, ...) point at the web app, and
+// stream links for local tracks are signed with a server-side secret
+try {
+  getAppUrl();
+  getStreamSecret();
+} catch (err) {
+  console.error('Link configuration error:', err.message);
+  process.exit(1);
+}
+
+// Two-factor secrets are stored encrypted with a server-side key
+try {
+  getTotpKey();
+} catch (err) {
+  console.error('2FA key configuration error:', err.message);
+  process.exit(1);
+}
 
 const app = express();
 
@@ -50,7 +86,7 @@ app.use(
     credentials: true, // Allow credentials (cookies, authorization headers)
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
-    exposedHeaders: ['Access-Control-Allow-Origin'],
+    exposedHeaders: ['Access-Control-Allow-Origin', 'X-Impersonated-By'],
   }),
 );
 
@@ -79,6 +115,7 @@ app.use('/api/auth', authLimiter, authRoutes); // More strict limit on auth rout
 app.use('/api/contact', contactLimiter, contactRoutes); // Strict limit on contact form
 
 // Mount routes
+app.use('/.well-known', wellKnownRoutes);
 app.use('/api/hits', hitsRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/playlist', playlistRoutes);
@@ -86,17 +123,53 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/charts', chartsRoutes);
 app.use('/api/user/folders', folderRoutes);
+app.use('/api/user/me', accountRoutes);
+app.use('/api/user/tokens', apiTokenRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/playmetrics', playMetricsRoutes);
+// Local tracks, at the URLs playlists hand out for them
+app.use('/public/music', musicRoutes);
 
 // Error handling middleware - must be after all routes
 app.use(errorHandler);
 
 const PORT = process.env.PORT || 8000;
+// How often soft-deleted accounts past their restore window are purged (and
+// expired or abandoned data exports cleaned up)
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour in ms
+
 if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
   });
+
+  setInterval(() => {
+    purgeExpiredUsers()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`Purged ${count} deleted user(s)`);
+        }
+      })
+      .catch((err) => console.error('Failed to purge deleted users:', err));
+
+    removeExpiredExports()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`Removed ${count} expired data export(s)`);
+        }
+      })
+      .catch((err) => console.error('Failed to remove expired exports:', err));
+
+    failStaleExports()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`Marked ${count} abandoned data export(s) as failed`);
+        }
+      })
+      .catch((err) =>
+        console.error('Failed to check for abandoned exports:', err),
+      );
+  }, PURGE_INTERVAL).unref();
 }
 
 module.exports = app;
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Keep the auth rate limiter out of the way of local requests
+process.env.RATE_LIMIT_WHITELIST = '127.0.0.1,::1';
+process.env.EXPORT_DIR = path.join(os.tmpdir(), `exports-test-${process.pid}`);
+
+jest.mock('../utils/emailSender', () => ({
+  sendPasswordResetEmail: jest.fn().mockResolvedValue({
+    messageId: 'test-message-id',
+  }),
+  sendVerificationEmail: jest.fn().mockResolvedValue({
+    messageId: 'test-message-id',
+  }),
+}));
+
+// Mock the database connection before importing app
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(true));
+
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PlayEvent = require('../models/PlayEvent');
+const LoginEvent = require('../models/LoginEvent');
+const Hit = require('../models/Hit');
+const ExportJob = require('../models/ExportJob');
+const { EXPORT_DIR, removeExpiredExports } = require('../lib/dataExport');
+const { softDeleteUser } = require('../lib/userData');
+const { sendVerificationEmail } = require('../utils/emailSender');
+
+const TEST_USER = {
+  username: 'accountuser',
+  email: 'account@example.com',
+  password: 'TestPass123!',
+};
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Self-service account management', () => {
+  let signup;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    jest.clearAllMocks();
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send(TEST_USER)
+      .expect(201);
+    signup = res.body;
+  });
+
+  test('GET /api/user/me returns the profile without secrets', async () => {
+    const res = await request(app)
+      .get('/api/user/me')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .expect(200);
+
+    expect(res.body.username).toBe(TEST_USER.username);
+    expect(res.body.email).toBe(TEST_USER.email);
+    expect(res.body.password).toBeUndefined();
+  });
+
+  test('PATCH /api/user/me changes the username', async () => {
+    const res = await request(app)
+      .patch('/api/user/me')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .send({ username: 'renamed' })
+      .expect(200);
+
+    expect(res.body.data.username).toBe('renamed');
+  });
+
+  test('changing the password requires the current password', async () => {
+    await request(app)
+      .post('/api/user/me/password')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .send({ currentPassword: 'wrong', newPassword: 'NewPass456!' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/user/me/password')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .send({ currentPassword: TEST_USER.password, newPassword: 'NewPass456!' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: TEST_USER.email, password: 'NewPass456!' })
+      .expect(200);
+  });
+
+  test('changing the password logs out other sessions', async () => {
+    const other = await request(app)
+      .post('/api/auth/login')
+      .send({ email: TEST_USER.email, password: TEST_USER.password })
+      .expect(200);
+
+    await request(app)
+      .post('/api/user/me/password')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .send({ currentPassword: TEST_USER.password, newPassword: 'NewPass456!' })
+      .expect(200);
+
+    await request(app)
+      .get('/api/user/me')
+      .set('Authorization', `Bearer ${other.body.token}`)
+      .expect(401);
+    await request(app)
+      .get('/api/user/me')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .expect(200);
+  });
+
+  test('a new email only replaces the old one once verified', async () => {
+    await request(app)
+      .post('/api/user/me/email')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .send({ email: 'new@example.com', currentPassword: TEST_USER.password })
+      .expect(200);
+
+    expect(sendVerificationEmail).toHaveBeenLastCalledWith(
+      expect.objectContaining({ email: 'new@example.com' }),
+    );
+
+    let user = await User.findOne({ username: TEST_USER.username });
+    expect(user.email).toBe(TEST_USER.email);
+    expect(user.pendingEmail).toBe('new@example.com');
+
+    const { verifyUrl } = sendVerificationEmail.mock.calls.pop()[0];
+    const token = verifyUrl.split('/').pop();
+    await request(app).post(`/api/auth/verify-email/${token}`).expect(200);
+
+    user = await User.findOne({ username: TEST_USER.username });
+    expect(user.email).toBe('new@example.com');
+    expect(user.pendingEmail).toBeUndefined();
+    expect(user.emailVerified).toBe(true);
+  });
+
+  test('DELETE /api/user/me removes the account and its data', async () => {
+    const userId = signup.userId;
+    await PlayEvent.create({
+      userId,
+      trackId: 'track-1',
+      trackUrl: 'https://example.com/track-1.mp3',
+    });
+    await Hit.create({ page: '/', ip: '127.0.0.1', userId });
+
+    await request(app)
+      .delete('/api/user/me')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .send({ currentPassword: 'wrong' })
+      .expect(400);
+
+    await request(app)
+      .delete('/api/user/me')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .send({ currentPassword: TEST_USER.password })
+      .expect(200);
+
+    expect(await User.findById(userId)).toBeNull();
+    expect(await PlayEvent.countDocuments({ userId })).toBe(0);
+    expect(await LoginEvent.countDocuments({ userId })).toBe(0);
+    expect(await Hit.countDocuments({ userId })).toBe(0);
+    expect(await Session.countDocuments({ userId })).toBe(0);
+  });
+
+  test('signup explains when the email belongs to a deleted account', async () => {
+    await softDeleteUser(signup.userId);
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ ...TEST_USER, username: 'newcomer' })
+      .expect(400);
+
+    expect(res.body.code).toBe('EMAIL_PENDING_DELETION');
+    expect(res.body.error).toMatch(/deleted account/);
+    expect(new Date(res.body.availableAfter).getTime()).toBeGreaterThan(
+      Date.now(),
+    );
+  });
+
+  test('data export produces a downloadable archive', async () => {
+    await request(app)
+      .patch('/api/user/me')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .send({ username: 'exporter' })
+      .expect(200);
+
+    const started = await request(app)
+      .post('/api/user/me/exports')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .expect(202);
+    const exportId = started.body.data.id;
+
+    // The archive is built in the background
+    let status = started.body.data.status;
+    for (let i = 0; i < 50 && status !== 'completed'; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const res = await request(app)
+        .get(`/api/user/me/exports/${exportId}`)
+        .set('Authorization', `Bearer ${signup.token}`)
+        .expect(200);
+      status = res.body.data.status;
+    }
+    expect(status).toBe('completed');
+
+    const download = await request(app)
+      .get(`/api/user/me/exports/${exportId}/download`)
+      .set('Authorization', `Bearer ${signup.token}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    const data = JSON.parse(zlib.gunzipSync(download.body).toString());
+    expect(data.profile.username).toBe('exporter');
+    expect(data.profile.password).toBeUndefined();
+    expect(Array.isArray(data.playEvents)).toBe(true);
+  });
+
+  test('an abandoned export does not block a new one', async () => {
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const stale = await ExportJob.create({
+      userId: signup.userId,
+      requestedBy: signup.userId,
+      status: 'processing',
+      createdAt: hourAgo,
+      startedAt: hourAgo,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    const started = await request(app)
+      .post('/api/user/me/exports')
+      .set('Authorization', `Bearer ${signup.token}`)
+      .expect(202);
+
+    expect(started.body.message).toBe('Export started');
+    expect(started.body.data.id).not.toBe(stale._id.toString());
+    const abandoned = await ExportJob.findById(stale._id);
+    expect(abandoned.status).toBe('failed');
+    expect(abandoned.error).toMatch(/interrupted/);
+  });
+
+  test('the export sweep removes expired archives, their jobs and orphans', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const archive = (job) => path.join(EXPORT_DIR, `${job._id}.json.gz`);
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+
+    const [expired, current] = await Promise.all(
+      [-1000, 60 * 60 * 1000].map(async (offset) => {
+        const job = new ExportJob({
+          userId,
+          requestedBy: userId,
+          status: 'completed',
+          expiresAt: new Date(Date.now() + offset),
+        });
+        job.filePath = archive(job);
+        fs.writeFileSync(job.filePath, 'archive');
+        return job.save();
+      }),
+    );
+    // An archive whose job is already gone
+    const orphan = archive({ _id: new mongoose.Types.ObjectId() });
+    fs.writeFileSync(orphan, 'archive');
+
+    expect(await removeExpiredExports()).toBe(2);
+
+    expect(fs.existsSync(expired.filePath)).toBe(false);
+    expect(fs.existsSync(orphan)).toBe(false);
+    expect(fs.existsSync(current.filePath)).toBe(true);
+    expect(await ExportJob.findById(expired._id)).toBeNull();
+    expect(await ExportJob.findById(current._id)).not.toBeNull();
+  });
+});
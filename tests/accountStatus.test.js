@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Keep the auth rate limiter out of the way of local requests
+process.env.RATE_LIMIT_WHITELIST = '127.0.0.1,::1';
+
+// Mock the database connection before importing app
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(true));
+
+const app = require('../server');
+const User = require('../models/User');
+const PlayEvent = require('../models/PlayEvent');
+const Session = require('../models/Session');
+const { createSession } = require('../lib/tokens');
+
+const TEST_USER = {
+  username: 'statususer',
+  email: 'status@example.com',
+  password: 'TestPass123!',
+};
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Account suspension and soft delete', () => {
+  let adminToken;
+  let userId;
+  let userToken;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await PlayEvent.deleteMany({});
+
+    const admin = await User.create({
+      username: 'statusadmin',
+      email: 'statusadmin@example.com',
+      password: 'password123',
+      isAdmin: true,
+    });
+    adminToken = (await createSession(admin)).token;
+
+    await request(app).post('/api/auth/signup').send(TEST_USER).expect(201);
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: TEST_USER.email, password: TEST_USER.password })
+      .expect(200);
+    userId = login.body.userId;
+    userToken = login.body.token;
+  });
+
+  test('suspension blocks the user until it is lifted', async () => {
+    await request(app)
+      .post(`/api/admin/users/${userId}/suspend`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Spam' })
+      .expect(200);
+
+    // Existing sessions are revoked straight away
+    await request(app)
+      .get('/api/user/me')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(401);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: TEST_USER.email, password: TEST_USER.password })
+      .expect(403);
+    expect(login.body).toMatchObject({
+      code: 'ACCOUNT_SUSPENDED',
+      reason: 'Spam',
+    });
+
+    await request(app)
+      .post(`/api/admin/users/${userId}/unsuspend`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: TEST_USER.email, password: TEST_USER.password })
+      .expect(200);
+  });
+
+  test('a suspension with a past end date is rejected', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${userId}/suspend`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Spam', until: '2000-01-01' })
+      .expect(422);
+    expect(res.body.error).toBe('Suspension end must be a future date');
+  });
+
+  test('an expired suspension no longer blocks the user', async () => {
+    await User.updateOne(
+      { _id: userId },
+      {
+        suspension: {
+          reason: 'Cooling off',
+          at: new Date(Date.now() - 2000),
+          until: new Date(Date.now() - 1000),
+        },
+      },
+    );
+
+    await request(app)
+      .get('/api/user/me')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+  });
+
+  test('deleted users can be restored within the window', async () => {
+    const res = await request(app)
+      .delete(`/api/admin/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(res.body).toHaveProperty('restorableUntil');
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: TEST_USER.email, password: TEST_USER.password })
+      .expect(401);
+    expect(login.body.code).toBe('ACCOUNT_DELETED');
+
+    await request(app)
+      .post(`/api/admin/users/${userId}/restore`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: TEST_USER.email, password: TEST_USER.password })
+      .expect(200);
+  });
+
+  test('purging anonymizes listening history', async () => {
+    await PlayEvent.create({
+      userId,
+      trackId: 'track-1',
+      trackUrl: 'https://example.com/track-1.mp3',
+    });
+
+    // Only soft-deleted users can be purged
+    await request(app)
+      .post(`/api/admin/users/${userId}/purge`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+
+    await request(app)
+      .delete(`/api/admin/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    await request(app)
+      .post(`/api/admin/users/${userId}/purge`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(await User.findById(userId)).toBeNull();
+    const events = await PlayEvent.find({ trackId: 'track-1' });
+    expect(events).toHaveLength(1);
+    expect(events[0].anonymous).toBe(true);
+    expect(events[0].userId).toBeUndefined();
+  });
+});
@@ -1,6 +1,5 @@
 const mongoose = require('mongoose');
 const request = require('supertest');
-const jwt = require('jsonwebtoken');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
 // Mock the database connection before importing app
@@ -10,8 +9,7 @@ const app = require('../server');
 const User = require('../models/User');
 const Hit = require('../models/Hit');
 
-// JWT secret
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
+const { createSession } = require('../lib/tokens');
 
 let mongoServer;
 let regularToken; // Define regularToken globally for the first describe block
@@ -57,8 +55,8 @@ describe('Admin Controller - View All Users', () => {
     await regularUser.save();
 
     // Create tokens
-    adminToken = jwt.sign({ userId: adminUser._id.toString() }, JWT_SECRET); // Ensure ID is string
-    regularToken = jwt.sign({ userId: regularUser._id.toString() }, JWT_SECRET); // Assign to the global var
+    adminToken = (await createSession(adminUser)).token;
+    regularToken = (await createSession(regularUser)).token;
   });
 
   // afterAll for this block is removed, handled by top-level afterAll
@@ -145,7 +143,7 @@ describe('Admin Controller - Delete User', () => {
       isAdmin: false,
     });
     await userToDelete.save();
-    adminToken = jwt.sign({ userId: adminUser._id.toString() }, JWT_SECRET);
+    adminToken = (await createSession(adminUser)).token;
   });
 
   // afterEach is removed as beforeEach clears data
@@ -157,8 +155,10 @@ describe('Admin Controller - Delete User', () => {
 
     expect(response.statusCode).toBe(200);
     expect(response.body.message).toBe('User deleted successfully');
+    // Soft delete - the account stays restorable until it is purged
     const deletedUser = await User.findById(userToDelete._id);
-    expect(deletedUser).toBeNull();
+    expect(deletedUser.deletedAt).toBeInstanceOf(Date);
+    expect(deletedUser.purgeAfter.getTime()).toBeGreaterThan(Date.now());
   });
 
   test('DELETE /api/admin/users/:id should return 404 if user not found', async () => {
@@ -202,7 +202,7 @@ describe('Admin Controller - Delete User', () => {
     // Mock both database operations
     jest.spyOn(User, 'findById').mockResolvedValueOnce(mockUser);
     jest
-      .spyOn(User, 'findByIdAndDelete')
+      .spyOn(User, 'findOneAndUpdate')
       .mockRejectedValueOnce(new Error('Database delete error'));
 
     const response = await request(app)
@@ -261,7 +261,7 @@ describe('Admin Controller - View Stats', () => {
     });
     await hit2.save();
 
-    adminToken = jwt.sign({ userId: adminUser._id.toString() }, JWT_SECRET);
+    adminToken = (await createSession(adminUser)).token;
   });
 
   // afterEach removed
@@ -327,7 +327,7 @@ describe('Admin Controller - Change User Role', () => {
     await regularUser.save();
 
     // Create admin token
-    adminToken = jwt.sign({ userId: adminUser._id.toString() }, JWT_SECRET);
+    adminToken = (await createSession(adminUser)).token;
   });
 
   test('PATCH /api/admin/users/:id/role should promote user to admin', async () => {
@@ -401,4 +401,141 @@ describe('Admin Controller - Change User Role', () => {
     expect(response.statusCode).toBe(404);
     expect(response.body.error).toBe('User not found');
   });
+
+  test('PATCH /api/admin/users/:id/role should assign a staff role', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/users/${regularUser._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'moderator' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data.role).toBe('moderator');
+    expect(response.body.data.isAdmin).toBe(false);
+    expect(response.body.message).toBe('User assigned moderator role');
+  });
+
+  test('Should return 422 for an unknown role', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/users/${regularUser._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'superuser' });
+
+    expect(response.statusCode).toBe(422);
+  });
+
+  test('Should not demote the last admin', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/users/${adminUser._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'user' });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error).toBe('Cannot remove the last admin');
+  });
+
+  test('Staff roles only reach routes their permissions allow', async () => {
+    await User.findByIdAndUpdate(regularUser._id, { role: 'analyst' });
+    const analystToken = (await createSession(regularUser)).token;
+
+    const statsResponse = await request(app)
+      .get('/api/admin/stats')
+      .set('Authorization', `Bearer ${analystToken}`);
+    expect(statsResponse.statusCode).toBe(200);
+
+    const deleteResponse = await request(app)
+      .delete(`/api/admin/users/${adminUser._id}`)
+      .set('Authorization', `Bearer ${analystToken}`);
+    expect(deleteResponse.statusCode).toBe(403);
+    expect(deleteResponse.body.missing).toEqual(['users:delete']);
+  });
+
+  test('Role changes are recorded in the audit log', async () => {
+    await request(app)
+      .patch(`/api/admin/users/${regularUser._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'support' });
+
+    const response = await request(app)
+      .get('/api/admin/audit')
+      .query({ action: 'user.role', targetId: regularUser._id.toString() })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.events).toHaveLength(1);
+    expect(response.body.events[0].changes.role).toEqual({
+      from: 'user',
+      to: 'support',
+    });
+    expect(response.body.pagination.total).toBe(1);
+  });
+});
+
+describe('Staff routes outside /api/admin', () => {
+  const tokens = {};
+  let listener;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    listener = await User.create({
+      username: 'listener',
+      email: 'listener@example.com',
+      password: 'password123',
+    });
+
+    for (const role of ['admin', 'moderator', 'analyst', 'support']) {
+      const staff = await User.create({
+        username: `${role}user`,
+        email: `${role}@example.com`,
+        password: 'password123',
+        role,
+        emailVerified: true,
+      });
+      tokens[role] = (await createSession(staff)).token;
+    }
+  });
+
+  const get = (url, role) =>
+    request(app).get(url).set('Authorization', `Bearer ${tokens[role]}`);
+
+  test('Listening analytics need analytics:read', async () => {
+    for (const role of ['moderator', 'support']) {
+      const response = await get('/api/analytics/listening-overview', role);
+      expect(response.statusCode).toBe(403);
+      expect(response.body.missing).toEqual(['analytics:read']);
+    }
+
+    const response = await get('/api/analytics/listening-overview', 'analyst');
+    expect(response.statusCode).not.toBe(403);
+  });
+
+  test('Health details need health:read', async () => {
+    for (const url of [
+      '/api/health',
+      '/api/health/metrics',
+      '/api/health/system',
+    ]) {
+      const denied = await get(url, 'analyst');
+      expect(denied.statusCode).toBe(403);
+      expect(denied.body.missing).toEqual(['health:read']);
+
+      const allowed = await get(url, 'admin');
+      expect(allowed.statusCode).toBe(200);
+    }
+
+    // The plain status check stays public
+    await request(app).get('/api/health/status').expect(200);
+  });
+
+  test("Another user's folders need folders:read", async () => {
+    const url = `/api/user/folders/user/${listener._id}`;
+
+    const denied = await get(url, 'analyst');
+    expect(denied.statusCode).toBe(403);
+    expect(denied.body.missing).toEqual(['folders:read']);
+
+    const allowed = await get(url, 'support');
+    expect(allowed.statusCode).toBe(200);
+    expect(allowed.body.data).toEqual([]);
+  });
 });
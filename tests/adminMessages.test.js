@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const app = require('../server');
 const ContactMessage = require('../models/ContactMessage');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const { createSession } = require('../lib/tokens');
 
 // Test data
 const TEST_ADMIN = {
@@ -78,11 +78,8 @@ afterAll(async () => {
 // Helper function to get admin token
 const getAdminToken = async () => {
   const admin = await User.findOne({ isAdmin: true });
-  return jwt.sign(
-    { id: admin._id, isAdmin: admin.isAdmin },
-    process.env.JWT_SECRET || 'test-jwt-secret',
-    { expiresIn: '1h' }
-  );
+  const { token } = await createSession(admin);
+  return token;
 };
 
 describe('Admin Message API', () => {
@@ -274,11 +271,7 @@ describe('Admin Message API', () => {
     await regularUser.save();
     
     // Generate token for regular user
-    const regularToken = jwt.sign(
-      { id: regularUser._id, isAdmin: regularUser.isAdmin },
-      process.env.JWT_SECRET || 'test-jwt-secret',
-      { expiresIn: '1h' }
-    );
+    const { token: regularToken } = await createSession(regularUser);
     
     // Try to access admin endpoint
     const res = await request(app)
@@ -1,8 +1,8 @@
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const adminMiddleware = require('../middleware/adminMiddleware');
+const { createSession } = require('../lib/tokens');
 
 // Mock response and request objects
 const mockRequest = (headers, userId) => ({
@@ -19,8 +19,6 @@ const mockResponse = () => {
 
 const mockNext = jest.fn();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
-
 // MongoDB setup
 let mongoServer;
 
@@ -64,8 +62,8 @@ describe('Admin Middleware Tests', () => {
     await regularUser.save();
 
     // Create tokens
-    adminToken = jwt.sign({ userId: adminUser._id }, JWT_SECRET);
-    regularToken = jwt.sign({ userId: regularUser._id }, JWT_SECRET);
+    adminToken = (await createSession(adminUser)).token;
+    regularToken = (await createSession(regularUser)).token;
 
     // Reset mock function calls
     mockNext.mockClear();
@@ -120,7 +118,8 @@ describe('Admin Middleware Tests', () => {
   test('Should return 404 if user does not exist', async () => {
     // Create a token with a non-existent user ID
     const nonExistentId = new mongoose.Types.ObjectId();
-    const nonExistentToken = jwt.sign({ userId: nonExistentId }, JWT_SECRET);
+    const nonExistentToken = (await createSession({ _id: nonExistentId }))
+      .token;
 
     const req = mockRequest(
       { authorization: `Bearer ${nonExistentToken}` },
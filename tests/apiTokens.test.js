@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Keep the auth rate limiter out of the way of local requests
+process.env.RATE_LIMIT_WHITELIST = '127.0.0.1,::1';
+
+// Mock the database connection before importing app
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(true));
+
+const app = require('../server');
+const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+
+const TEST_USER = {
+  username: 'tokenuser',
+  email: 'token@example.com',
+  password: 'TestPass123!',
+};
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Personal API tokens', () => {
+  let jwt;
+
+  const createToken = (body) =>
+    request(app)
+      .post('/api/user/tokens')
+      .set('Authorization', `Bearer ${jwt}`)
+      .send(body);
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await ApiToken.deleteMany({});
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send(TEST_USER)
+      .expect(201);
+    jwt = res.body.token;
+  });
+
+  test('creates a token that is shown only once', async () => {
+    const res = await createToken({
+      name: 'metrics script',
+      scopes: ['playmetrics:read'],
+    }).expect(201);
+
+    expect(res.body.token).toMatch(/^mh_pat_/);
+    expect(res.body.data.scopes).toEqual(['playmetrics:read']);
+
+    const list = await request(app)
+      .get('/api/user/tokens')
+      .set('Authorization', `Bearer ${jwt}`)
+      .expect(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0]).not.toHaveProperty('token');
+    expect(list.body.data[0]).not.toHaveProperty('tokenHash');
+  });
+
+  test('rejects unknown scopes', async () => {
+    await createToken({ name: 'bad', scopes: ['admin:all'] }).expect(422);
+  });
+
+  test('a token reaches routes covered by its scopes only', async () => {
+    const { body } = await createToken({
+      name: 'folder import',
+      scopes: ['folders:read'],
+    }).expect(201);
+
+    await request(app)
+      .get('/api/user/folders')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(200);
+
+    const write = await request(app)
+      .post('/api/user/folders')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ label: 'Mix', path: 'mix' })
+      .expect(403);
+    expect(write.body.scope).toBe('folders:write');
+
+    // Tokens can never manage the account or mint more tokens
+    await request(app)
+      .get('/api/user/me')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+    await request(app)
+      .post('/api/user/tokens')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ name: 'more', scopes: ['folders:read'] })
+      .expect(403);
+
+    const stored = await ApiToken.findById(body.data.id);
+    expect(stored.lastUsedAt).toBeDefined();
+  });
+
+  test('revoked tokens stop working', async () => {
+    const { body } = await createToken({
+      name: 'old script',
+      scopes: ['folders:read'],
+    }).expect(201);
+
+    await request(app)
+      .delete(`/api/user/tokens/${body.data.id}`)
+      .set('Authorization', `Bearer ${jwt}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/user/folders')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(401);
+  });
+});
@@ -0,0 +1,41 @@
+const { getAppUrl, buildAppLink } = require('../lib/appLinks');
+
+describe('App links', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('builds links from APP_URL without doubling slashes', () => {
+    process.env.APP_URL = 'https://mystichits.com/';
+    expect(buildAppLink('reset-password', 'abc123')).toBe(
+      'https://mystichits.com/reset-password/abc123',
+    );
+  });
+
+  test('keeps a path prefix on APP_URL', () => {
+    process.env.APP_URL = 'https://example.com/app';
+    expect(buildAppLink('magic-link', 'f00')).toBe(
+      'https://example.com/app/magic-link/f00',
+    );
+  });
+
+  test('falls back to the dev server outside production', () => {
+    delete process.env.APP_URL;
+    process.env.NODE_ENV = 'test';
+    expect(getAppUrl()).toBe('http://localhost:5173');
+  });
+
+  test('requires a valid http(s) APP_URL in production', () => {
+    delete process.env.APP_URL;
+    process.env.NODE_ENV = 'production';
+    expect(() => getAppUrl()).toThrow('APP_URL must be set in production');
+
+    process.env.APP_URL = 'javascript:alert(1)';
+    expect(() => getAppUrl()).toThrow('APP_URL must use HTTP or HTTPS');
+
+    process.env.APP_URL = 'not a url';
+    expect(() => getAppUrl()).toThrow('APP_URL is not a valid URL');
+  });
+});
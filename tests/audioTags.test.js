@@ -0,0 +1,264 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readTags, clearTagCache } = require('../lib/audioTags');
+
+// Helpers to build minimal tagged files
+const synchsafe = (n) =>
+  Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+
+const id3Frame = (id, text) => {
+  const body = Buffer.concat([Buffer.from([3]), Buffer.from(text, 'utf8')]);
+  const header = Buffer.alloc(10);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32BE(body.length, 4);
+  return Buffer.concat([header, body]);
+};
+
+const buildMp3 = () => {
+  const frames = Buffer.concat([
+    id3Frame('TIT2', 'Intro'),
+    id3Frame('TPE1', 'The Band'),
+    id3Frame('TALB', 'First Album'),
+    id3Frame('TCON', '(17)'),
+    id3Frame('TYER', '1999'),
+    id3Frame('TRCK', '3/12'),
+  ]);
+  const tagHeader = Buffer.concat([
+    Buffer.from('ID3'),
+    Buffer.from([3, 0, 0]),
+    synchsafe(frames.length),
+  ]);
+
+  // MPEG 1 layer III, 128 kbps, 44.1 kHz, stereo, with a Xing header
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0x00]);
+  frame.write('Xing', 36, 'latin1');
+  frame.writeUInt32BE(0x01, 40);
+  frame.writeUInt32BE(1000, 44); // 1000 frames * 1152 / 44100 = 26.12s
+
+  return Buffer.concat([tagHeader, frames, frame]);
+};
+
+const vorbisComments = (fields) => {
+  const vendor = Buffer.from('test');
+  const parts = [Buffer.alloc(4), vendor, Buffer.alloc(4)];
+  parts[0].writeUInt32LE(vendor.length);
+  parts[2].writeUInt32LE(fields.length);
+  fields.forEach((field) => {
+    const text = Buffer.from(field, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(text.length);
+    parts.push(length, text);
+  });
+  return Buffer.concat(parts);
+};
+
+const buildFlac = () => {
+  const streamInfo = Buffer.alloc(34);
+  // 44100 Hz (20 bits) followed by 441000 total samples (36 bits)
+  streamInfo[10] = 44100 >> 12;
+  streamInfo[11] = (44100 >> 4) & 0xff;
+  streamInfo[12] = (44100 & 0x0f) << 4;
+  streamInfo.writeUInt32BE(441000, 14);
+
+  const comments = vorbisComments([
+    'TITLE=Song',
+    'ARTIST=Singer',
+    'ALBUM=Record',
+    'GENRE=Jazz',
+    'DATE=2005-06-01',
+    'TRACKNUMBER=7',
+  ]);
+
+  const blockHeader = (type, length, last) => {
+    const header = Buffer.alloc(4);
+    header[0] = (last ? 0x80 : 0) | type;
+    header.writeUIntBE(length, 1, 3);
+    return header;
+  };
+
+  return Buffer.concat([
+    Buffer.from('fLaC'),
+    blockHeader(0, streamInfo.length, false),
+    streamInfo,
+    blockHeader(4, comments.length, true),
+    comments,
+  ]);
+};
+
+const oggPage = (packet, granule, sequence) => {
+  const segments = [];
+  let remaining = packet.length;
+  while (remaining >= 255) {
+    segments.push(255);
+    remaining -= 255;
+  }
+  segments.push(remaining);
+
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'latin1');
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = segments.length;
+  return Buffer.concat([header, Buffer.from(segments), packet]);
+};
+
+const buildOgg = () => {
+  const identification = Buffer.alloc(30);
+  identification[0] = 1;
+  identification.write('vorbis', 1, 'latin1');
+  identification.writeUInt32LE(48000, 12);
+
+  const comments = Buffer.concat([
+    Buffer.from([3]),
+    Buffer.from('vorbis'),
+    vorbisComments(['TITLE=Ogg Track', 'ARTIST=Ogg Artist']),
+  ]);
+
+  return Buffer.concat([
+    oggPage(identification, 0, 0),
+    oggPage(comments, 0, 1),
+    // 480000 samples at 48 kHz = 10 seconds
+    oggPage(Buffer.alloc(10), 480000, 2),
+  ]);
+};
+
+const atom = (type, ...children) => {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const dataAtom = (value) => atom('data', Buffer.alloc(8), value);
+
+const buildM4a = () => {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12); // timescale
+  mvhd.writeUInt32BE(185500, 16); // duration: 185.5s
+
+  const trkn = Buffer.alloc(8);
+  trkn.writeUInt16BE(4, 2);
+
+  const ilst = atom(
+    'ilst',
+    atom('©nam', dataAtom(Buffer.from('M4A Song'))),
+    atom('©ART', dataAtom(Buffer.from('M4A Artist'))),
+    atom('©alb', dataAtom(Buffer.from('M4A Album'))),
+    atom('©day', dataAtom(Buffer.from('2012-01-01T00:00:00Z'))),
+    atom('gnre', dataAtom(Buffer.from([0, 14]))),
+    atom('trkn', dataAtom(trkn)),
+  );
+  // MP4 'meta' is a full box: version/flags before its children
+  const meta = atom(
+    'meta',
+    Buffer.alloc(4),
+    atom('hdlr', Buffer.alloc(25)),
+    ilst,
+  );
+
+  return Buffer.concat([
+    atom('ftyp', Buffer.from('M4A \0\0\0\0')),
+    atom('mdat', Buffer.alloc(64)),
+    atom('moov', atom('mvhd', mvhd), atom('udta', meta)),
+  ]);
+};
+
+describe('Audio tags', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-tags-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clearTagCache();
+  });
+
+  const write = (name, buffer) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, buffer);
+    return file;
+  };
+
+  test('reads ID3v2 frames and the Xing frame count from MP3', async () => {
+    const tags = await readTags(write('track.mp3', buildMp3()));
+
+    expect(tags).toEqual({
+      title: 'Intro',
+      artist: 'The Band',
+      album: 'First Album',
+      genre: 'Rock',
+      year: 1999,
+      trackNumber: 3,
+      duration: 26.12,
+    });
+  });
+
+  test('reads STREAMINFO and Vorbis comments from FLAC', async () => {
+    const tags = await readTags(write('track.flac', buildFlac()));
+
+    expect(tags).toEqual({
+      title: 'Song',
+      artist: 'Singer',
+      album: 'Record',
+      genre: 'Jazz',
+      year: 2005,
+      trackNumber: 7,
+      duration: 10,
+    });
+  });
+
+  test('reads Ogg Vorbis comments and the last granule position', async () => {
+    const tags = await readTags(write('track.ogg', buildOgg()));
+
+    expect(tags).toEqual({
+      title: 'Ogg Track',
+      artist: 'Ogg Artist',
+      duration: 10,
+    });
+  });
+
+  test('reads MP4 ilst atoms and the mvhd duration from M4A', async () => {
+    const tags = await readTags(write('track.m4a', buildM4a()));
+
+    expect(tags).toEqual({
+      title: 'M4A Song',
+      artist: 'M4A Artist',
+      album: 'M4A Album',
+      genre: 'Pop',
+      year: 2012,
+      trackNumber: 4,
+      duration: 185.5,
+    });
+  });
+
+  test('returns an empty object for missing, untagged or unsupported files', async () => {
+    expect(await readTags(path.join(dir, 'missing.mp3'))).toEqual({});
+    expect(await readTags(write('noise.flac', Buffer.alloc(64)))).toEqual({});
+    expect(await readTags(write('notes.txt', Buffer.from('hi')))).toEqual({});
+  });
+
+  test('caches tags until the file changes', async () => {
+    const file = write('cached.flac', buildFlac());
+    const openSpy = jest.spyOn(fs.promises, 'open');
+
+    await readTags(file);
+    await readTags(file);
+    expect(openSpy).toHaveBeenCalledTimes(1);
+
+    // A new mtime invalidates the cached entry
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(file, later, later);
+    await readTags(file);
+    expect(openSpy).toHaveBeenCalledTimes(2);
+
+    openSpy.mockRestore();
+  });
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { diff } = require('../lib/audit');
+const AuditEvent = require('../models/AuditEvent');
+
+describe('Audit log', () => {
+  describe('diff', () => {
+    test('lists only the fields that changed', () => {
+      expect(
+        diff(
+          { role: 'user', isAdmin: false, email: 'a@example.com' },
+          { role: 'admin', isAdmin: true, email: 'a@example.com' },
+        ),
+      ).toEqual({
+        role: { from: 'user', to: 'admin' },
+        isAdmin: { from: false, to: true },
+      });
+    });
+
+    test('records removed and added fields as null on the missing side', () => {
+      expect(diff({ subject: 'Hi' }, null)).toEqual({
+        subject: { from: 'Hi', to: null },
+      });
+      expect(diff(null, { label: 'Mix' })).toEqual({
+        label: { from: null, to: 'Mix' },
+      });
+    });
+
+    test('compares nested values by content', () => {
+      expect(
+        diff({ folder: { label: 'A' } }, { folder: { label: 'A' } }),
+      ).toEqual({});
+    });
+  });
+
+  describe('append-only model', () => {
+    test('rejects updates and deletes', async () => {
+      await expect(AuditEvent.deleteMany({})).rejects.toThrow(
+        'Audit events are append-only',
+      );
+      await expect(
+        AuditEvent.updateOne({}, { action: 'tampered' }),
+      ).rejects.toThrow('Audit events are append-only');
+    });
+
+    test('rejects saving an existing event again', async () => {
+      const event = new AuditEvent({
+        actorId: new mongoose.Types.ObjectId(),
+        action: 'user.delete',
+        targetType: 'user',
+      });
+      event.isNew = false;
+      await expect(event.save()).rejects.toThrow(
+        'Audit events are append-only',
+      );
+    });
+  });
+});
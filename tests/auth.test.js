@@ -7,9 +7,27 @@ jest.mock('../utils/emailSender', () => ({
   sendPasswordResetEmail: jest.fn().mockResolvedValue({
     messageId: 'test-message-id',
   }),
+  sendVerificationEmail: jest.fn().mockResolvedValue({
+    messageId: 'test-message-id',
+  }),
+  sendMagicLinkEmail: jest.fn().mockResolvedValue({
+    messageId: 'test-message-id',
+  }),
+  sendNewSignInEmail: jest.fn().mockResolvedValue({
+    messageId: 'test-message-id',
+  }),
 }));
 
-const { sendPasswordResetEmail } = require('../utils/emailSender');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendNewSignInEmail,
+} = require('../utils/emailSender');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const loginThrottle = require('../lib/loginThrottle');
+const { generateTOTP } = require('../lib/totp');
 
 const TEST_USER = {
   username: 'testuser',
@@ -150,7 +168,9 @@ describe('Forgot Password', () => {
     expect(sendMailMock).toHaveBeenCalled();
     const emailCall = sendMailMock.mock.calls[0][0];
     expect(emailCall.email).toBe(TEST_USER.email);
-    expect(emailCall.resetUrl).toContain('/api/auth/reset-password/');
+    expect(emailCall.resetUrl).toMatch(
+      /^http:\/\/localhost:5173\/reset-password\/[0-9a-f]+$/,
+    );
   });
 
   it('should return 404 for non-existent email', async () => {
@@ -227,4 +247,252 @@ describe('Auth API', () => {
     expect(res.body).toHaveProperty('error');
     expect(res.body.error).toMatch(/invalid/i);
   });
+
+  it('should count failed logins against the real client IP', async () => {
+    await request(app).post('/api/auth/signup').send(TEST_USER).expect(201);
+
+    await request(app)
+      .post('/api/auth/login')
+      .set('X-Forwarded-For', '198.51.100.7')
+      .send({ email: TEST_USER.email, password: 'WrongPass' })
+      .expect(401);
+
+    const ips = loginThrottle.listIpFailures().map((entry) => entry.ip);
+    expect(ips.length).toBeGreaterThan(0);
+    expect(ips).not.toContain('198.51.100.7');
+  });
+});
+
+describe('Email Verification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should send a verification email on signup', async () => {
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send(TEST_USER)
+      .expect(201);
+
+    expect(res.body.emailVerified).toBe(false);
+    expect(sendVerificationEmail).toHaveBeenCalled();
+    const emailCall = sendVerificationEmail.mock.calls[0][0];
+    expect(emailCall.email).toBe(TEST_USER.email);
+    expect(emailCall.verifyUrl).toMatch(
+      /^http:\/\/localhost:5173\/verify-email\/[0-9a-f]+$/,
+    );
+  });
+
+  it('should verify email with valid token', async () => {
+    const user = await User.create(TEST_USER);
+    const verifyToken = user.createEmailVerification();
+    await user.save();
+
+    const res = await request(app)
+      .post(`/api/auth/verify-email/${verifyToken}`)
+      .expect(200);
+    expect(res.body.message).toBe('Email verified successfully');
+
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.emailVerified).toBe(true);
+    expect(updatedUser.emailVerificationToken).toBeUndefined();
+  });
+
+  it('should return 400 for invalid verification token', async () => {
+    const res = await request(app)
+      .post('/api/auth/verify-email/invalidtoken')
+      .expect(400);
+    expect(res.body.error).toBe('Invalid or expired token');
+  });
+});
+
+describe('Magic Link Login', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await User.deleteMany({ email: TEST_USER.email });
+  });
+
+  it('should email a login link to a registered user', async () => {
+    await User.create(TEST_USER);
+
+    const res = await request(app)
+      .post('/api/auth/magic-link')
+      .send({ email: TEST_USER.email })
+      .expect(200);
+
+    expect(sendMagicLinkEmail).toHaveBeenCalled();
+    const emailCall = sendMagicLinkEmail.mock.calls[0][0];
+    expect(emailCall.email).toBe(TEST_USER.email);
+    expect(emailCall.loginUrl).toMatch(
+      /^http:\/\/localhost:5173\/magic-link\/[0-9a-f]+$/,
+    );
+    expect(res.body.message).toBe(
+      'If that email is registered, a login link has been sent',
+    );
+  });
+
+  it('should ignore the Host header when building the login link', async () => {
+    await User.create(TEST_USER);
+
+    await request(app)
+      .post('/api/auth/magic-link')
+      .set('Host', 'evil.example')
+      .send({ email: TEST_USER.email })
+      .expect(200);
+
+    const { loginUrl } = sendMagicLinkEmail.mock.calls[0][0];
+    expect(loginUrl).not.toContain('evil.example');
+    expect(loginUrl.startsWith('http://localhost:5173/magic-link/')).toBe(true);
+  });
+
+  it('should not reveal whether an email is registered', async () => {
+    const res = await request(app)
+      .post('/api/auth/magic-link')
+      .send({ email: 'nobody@example.com' })
+      .expect(200);
+
+    expect(sendMagicLinkEmail).not.toHaveBeenCalled();
+    expect(res.body.message).toBe(
+      'If that email is registered, a login link has been sent',
+    );
+  });
+
+  it('should log in once with a valid link', async () => {
+    const user = await User.create(TEST_USER);
+    const loginToken = user.createMagicLink();
+    await user.save();
+
+    const res = await request(app)
+      .post(`/api/auth/magic-link/${loginToken}`)
+      .expect(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+    expect(res.body.emailVerified).toBe(true);
+
+    await request(app).post(`/api/auth/magic-link/${loginToken}`).expect(400);
+  });
+
+  it('should return 400 for an invalid link', async () => {
+    const res = await request(app)
+      .post('/api/auth/magic-link/invalidtoken')
+      .expect(400);
+    expect(res.body.error).toBe('Invalid or expired token');
+  });
+});
+
+describe('New Sign-in Alerts', () => {
+  // The alert is sent after the login response, so wait for it
+  const waitForAlert = async () => {
+    for (let i = 0; i < 50 && !sendNewSignInEmail.mock.calls.length; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  };
+
+  const login = (userAgent) =>
+    request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: TEST_USER.email, password: TEST_USER.password })
+      .expect(200);
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await User.deleteMany({ email: TEST_USER.email });
+    await LoginEvent.deleteMany({});
+    await request(app).post('/api/auth/signup').send(TEST_USER).expect(201);
+  });
+
+  it('should not alert on the first login or a known device', async () => {
+    await login('Browser/1.0');
+    await login('Browser/1.0');
+    await waitForAlert();
+
+    expect(sendNewSignInEmail).not.toHaveBeenCalled();
+  });
+
+  it('should alert on a new device and let the owner revoke access', async () => {
+    await login('Browser/1.0');
+    const res = await login('Other/2.0');
+    await waitForAlert();
+
+    expect(sendNewSignInEmail).toHaveBeenCalledTimes(1);
+    const emailCall = sendNewSignInEmail.mock.calls[0][0];
+    expect(emailCall.email).toBe(TEST_USER.email);
+    expect(emailCall.revokeUrl).toMatch(
+      /^http:\/\/localhost:5173\/revoke-access\/[0-9a-f]+$/,
+    );
+
+    // The app page POSTs the token from the link to the API
+    const revokePath = `/api/auth/revoke-access/${emailCall.revokeUrl
+      .split('/')
+      .pop()}`;
+    await request(app).post(revokePath).expect(200);
+    await request(app).post(revokePath).expect(400);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: res.body.refreshToken })
+      .expect(401);
+    const user = await User.findOne({ email: TEST_USER.email });
+    expect(
+      await Session.countDocuments({ userId: user._id, revokedAt: null }),
+    ).toBe(0);
+  });
+});
+
+describe('Two-Factor Authentication', () => {
+  let token;
+
+  beforeEach(async () => {
+    loginThrottle
+      .listIpFailures()
+      .forEach(({ ip }) => loginThrottle.clearIp(ip));
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send(TEST_USER)
+      .expect(201);
+    token = res.body.token;
+  });
+
+  const enable = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTOTP(setup.body.secret) })
+      .expect(200);
+    return setup.body.secret;
+  };
+
+  it('should store the secret encrypted', async () => {
+    const secret = await enable();
+
+    const user = await User.findOne({ email: TEST_USER.email });
+    expect(user.twoFactor.secret).toMatch(/^v1:/);
+    expect(user.twoFactor.secret).not.toContain(secret);
+  });
+
+  it('should count failed attempts to disable 2FA like failed logins', async () => {
+    await enable();
+
+    await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'WrongPass', code: '000000' })
+      .expect(401);
+
+    const user = await User.findOne({ email: TEST_USER.email });
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(
+      await LoginEvent.countDocuments({
+        userId: user._id,
+        success: false,
+        reason: 'bad_password',
+      }),
+    ).toBe(1);
+    expect(user.twoFactor.enabled).toBe(true);
+  });
 });
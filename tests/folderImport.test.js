@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const axios = require('axios');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Keep the auth rate limiter out of the way of local requests
+process.env.RATE_LIMIT_WHITELIST = '127.0.0.1,::1';
+
+// Mock the database connection before importing app
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(true));
+jest.mock('axios');
+
+const app = require('../server');
+const User = require('../models/User');
+
+const TEST_USER = {
+  username: 'importuser',
+  email: 'import@example.com',
+  password: 'TestPass123!',
+};
+
+const M3U = [
+  '#EXTM3U',
+  '#EXTINF:180,The Band - Opener',
+  'https://example.com/music/opener.mp3',
+  '#EXTINF:-1,Missing',
+  'https://example.com/music/missing.mp3',
+  'C:\\\\Music\\\\local.mp3',
+  'https://example.com/music/cover.jpg',
+  'relative/track.ogg',
+].join('\n');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Playlist import', () => {
+  let jwt;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    axios.head.mockReset();
+    axios.head.mockImplementation((url) =>
+      Promise.resolve({
+        status: url.includes('missing') ? 404 : 200,
+        headers: { 'content-type': 'audio/mpeg' },
+      }),
+    );
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send(TEST_USER)
+      .expect(201);
+    jwt = res.body.token;
+  });
+
+  test('imports an uploaded M3U file and reports skipped entries', async () => {
+    const res = await request(app)
+      .post('/api/user/folders/import?label=Road%20trip')
+      .set('Authorization', `Bearer ${jwt}`)
+      .set('Content-Type', 'audio/x-mpegurl')
+      .send(M3U)
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({
+      label: 'Road trip',
+      type: 'playlist',
+    });
+    expect(res.body.data.tracks).toEqual([
+      expect.objectContaining({
+        url: 'https://example.com/music/opener.mp3',
+        title: 'Opener',
+        artist: 'The Band',
+        duration: 180,
+        mime: 'audio/mpeg',
+      }),
+    ]);
+    expect(res.body.report).toMatchObject({
+      format: 'm3u',
+      total: 5,
+      imported: 1,
+    });
+    expect(res.body.report.skipped.map((entry) => entry.entry)).toEqual([
+      2, 3, 4, 5,
+    ]);
+    expect(res.body.report.skipped[0].reason).toBe('Unreachable: HTTP 404');
+    expect(res.body.report.skipped[2].reason).toBe('Unsupported file type');
+  });
+
+  test('resolves relative entries in pasted content against baseUrl', async () => {
+    const res = await request(app)
+      .post('/api/user/folders/import')
+      .set('Authorization', `Bearer ${jwt}`)
+      .send({
+        label: 'Pasted',
+        content: '[playlist]\nFile1=relative/track.ogg\nNumberOfEntries=1',
+        baseUrl: 'https://example.com/music/',
+      })
+      .expect(201);
+
+    expect(res.body.data.tracks[0].url).toBe(
+      'https://example.com/music/relative/track.ogg',
+    );
+
+    // The saved playlist plays back from its stored tracks
+    const play = await request(app)
+      .get(`/api/user/folders/${res.body.data._id}/playlist`)
+      .set('Authorization', `Bearer ${jwt}`)
+      .expect(200);
+    expect(play.body.data[0].url).toBe(
+      'https://example.com/music/relative/track.ogg',
+    );
+  });
+
+  test('plays back an imported playlist as JSON and M3U', async () => {
+    const imported = await request(app)
+      .post('/api/user/folders/import?label=Road%20trip')
+      .set('Authorization', `Bearer ${jwt}`)
+      .set('Content-Type', 'audio/x-mpegurl')
+      .send(M3U)
+      .expect(201);
+    const playlistUrl = `/api/user/folders/${imported.body.data._id}/playlist`;
+
+    // Imported playlists have no path to scan, so scan options don't apply
+    const play = await request(app)
+      .get(`${playlistUrl}?recursive=true`)
+      .set('Authorization', `Bearer ${jwt}`)
+      .expect(200);
+    expect(play.body.success).toBe(true);
+    expect(play.body.data).toEqual([
+      expect.objectContaining({
+        url: 'https://example.com/music/opener.mp3',
+        title: 'Opener',
+      }),
+    ]);
+
+    const m3u = await request(app)
+      .get(`${playlistUrl}?format=m3u`)
+      .set('Authorization', `Bearer ${jwt}`)
+      .expect(200);
+    expect(m3u.text).toContain('https://example.com/music/opener.mp3');
+  });
+
+  test('rejects a playlist with nothing playable', async () => {
+    const res = await request(app)
+      .post('/api/user/folders/import')
+      .set('Authorization', `Bearer ${jwt}`)
+      .send({ label: 'Empty', content: 'https://example.com/missing.mp3' })
+      .expect(422);
+
+    expect(res.body.report.skipped).toHaveLength(1);
+  });
+
+  test('skips entries left unchecked when the time budget runs out', async () => {
+    // Each batch of 5 checks takes 6 seconds of (fake) time; the import
+    // gets 30
+    let now = Date.now();
+    const dateSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    axios.head.mockImplementation(() => {
+      now += 1200;
+      return Promise.resolve({
+        status: 200,
+        headers: { 'content-type': 'audio/mpeg' },
+      });
+    });
+
+    const content = Array.from(
+      { length: 40 },
+      (_, i) => `https://example.com/music/track${i + 1}.mp3`,
+    ).join('\n');
+
+    const res = await request(app)
+      .post('/api/user/folders/import')
+      .set('Authorization', `Bearer ${jwt}`)
+      .send({ label: 'Slow', content })
+      .expect(201);
+    dateSpy.mockRestore();
+
+    // Five batches fit in 30 seconds
+    expect(res.body.report.imported).toBe(25);
+    expect(res.body.report.skipped).toHaveLength(15);
+    expect(res.body.report.skipped[0]).toEqual({
+      entry: 26,
+      location: 'https://example.com/music/track26.mp3',
+      reason: 'Not checked: import time limit reached',
+    });
+  });
+
+  test('rejects playlists over the entry limit', async () => {
+    const content = Array.from(
+      { length: 101 },
+      (_, i) => `https://example.com/music/track${i + 1}.mp3`,
+    ).join('\n');
+
+    const res = await request(app)
+      .post('/api/user/folders/import')
+      .set('Authorization', `Bearer ${jwt}`)
+      .send({ label: 'Huge', content })
+      .expect(400);
+
+    expect(res.body.error).toBe('Playlists are limited to 100 entries');
+    expect(axios.head).not.toHaveBeenCalled();
+  });
+});
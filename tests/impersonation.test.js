@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Mock the database connection before importing app
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(true));
+
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditEvent = require('../models/AuditEvent');
+const { createSession } = require('../lib/tokens');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Admin impersonation', () => {
+  let support;
+  let supportToken;
+  let listener;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await AuditEvent.collection.deleteMany({});
+
+    support = await User.create({
+      username: 'supportagent',
+      email: 'support@example.com',
+      password: 'password123',
+      role: 'support',
+    });
+    supportToken = (await createSession(support)).token;
+
+    listener = await User.create({
+      username: 'listener',
+      email: 'listener@example.com',
+      password: 'password123',
+    });
+  });
+
+  const impersonate = (id, body = { reason: 'Ticket #42' }) =>
+    request(app)
+      .post(`/api/admin/users/${id}/impersonate`)
+      .set('Authorization', `Bearer ${supportToken}`)
+      .send(body);
+
+  test('issues a read-only token for the user and records it', async () => {
+    const res = await impersonate(listener._id).expect(200);
+    expect(res.body.readOnly).toBe(true);
+    expect(res.body).not.toHaveProperty('refreshToken');
+
+    const me = await request(app)
+      .get('/api/user/me')
+      .set('Authorization', `Bearer ${res.body.token}`)
+      .expect(200);
+    expect(me.body.username).toBe('listener');
+    expect(me.headers['x-impersonated-by']).toBe(support._id.toString());
+
+    const audit = await AuditEvent.findOne({ action: 'user.impersonate' });
+    expect(audit.actorId.toString()).toBe(support._id.toString());
+    expect(audit.targetId).toBe(listener._id.toString());
+    expect(audit.metadata.reason).toBe('Ticket #42');
+  });
+
+  test('blocks and records writes made while impersonating', async () => {
+    const { body } = await impersonate(listener._id).expect(200);
+
+    const res = await request(app)
+      .patch('/api/user/me')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ username: 'changed' })
+      .expect(403);
+    expect(res.body.code).toBe('IMPERSONATION_READ_ONLY');
+
+    const user = await User.findById(listener._id);
+    expect(user.username).toBe('listener');
+
+    const audit = await AuditEvent.findOne({
+      action: 'user.impersonate.write_blocked',
+    });
+    expect(audit.actorId.toString()).toBe(support._id.toString());
+    expect(audit.metadata.method).toBe('PATCH');
+  });
+
+  test('blocks export downloads and the session list while impersonating', async () => {
+    const { body } = await impersonate(listener._id).expect(200);
+
+    const exportId = new mongoose.Types.ObjectId();
+    const download = await request(app)
+      .get(`/api/user/me/exports/${exportId}/download`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+    expect(download.body.code).toBe('IMPERSONATION_FORBIDDEN');
+
+    const sessions = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+    expect(sessions.body.code).toBe('IMPERSONATION_FORBIDDEN');
+
+    const audits = await AuditEvent.find({
+      action: 'user.impersonate.access_blocked',
+    });
+    expect(audits).toHaveLength(2);
+    expect(audits[0].actorId.toString()).toBe(support._id.toString());
+  });
+
+  test('impersonation tokens cannot reach admin routes', async () => {
+    const { body } = await impersonate(listener._id).expect(200);
+
+    await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+  });
+
+  test('requires a reason and refuses staff accounts', async () => {
+    await impersonate(listener._id, {}).expect(422);
+
+    const res = await impersonate(support._id).expect(403);
+    expect(res.body.error).toBe('Staff accounts cannot be impersonated');
+  });
+});
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Keep the auth rate limiter out of the way of local requests
+process.env.RATE_LIMIT_WHITELIST = '127.0.0.1,::1';
+
+jest.mock('../utils/emailSender', () => ({
+  sendVerificationEmail: jest.fn().mockResolvedValue({
+    messageId: 'test-message-id',
+  }),
+}));
+
+// Mock the database connection before importing app
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(true));
+
+const app = require('../server');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const Invitation = require('../models/Invitation');
+const { createSession } = require('../lib/tokens');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Invite-only signup', () => {
+  let adminToken;
+  let signupCount = 0;
+
+  const signup = (inviteCode) => {
+    signupCount += 1;
+    return request(app)
+      .post('/api/auth/signup')
+      .send({
+        username: `beta${signupCount}`,
+        email: `beta${signupCount}@example.com`,
+        password: 'TestPass123!',
+        inviteCode,
+      });
+  };
+
+  const createInvitation = (body) =>
+    request(app)
+      .post('/api/admin/invitations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Invitation.deleteMany({});
+
+    const admin = await User.create({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      isAdmin: true,
+    });
+    adminToken = (await createSession(admin)).token;
+
+    await Setting.setValue('inviteOnly', true, admin._id);
+  });
+
+  afterEach(async () => {
+    await Setting.setValue('inviteOnly', false);
+  });
+
+  test('signup without a code is refused', async () => {
+    const res = await signup().expect(403);
+    expect(res.body.code).toBe('INVITE_REQUIRED');
+  });
+
+  test('a single-use code works exactly once', async () => {
+    const { body } = await createInvitation({}).expect(201);
+    expect(body.data.code).toMatch(/^[A-Z0-9]{5}-[A-Z0-9]{5}$/);
+
+    await signup(body.data.code).expect(201);
+    const res = await signup(body.data.code).expect(400);
+    expect(res.body.error).toBe('Invalid or expired invitation code.');
+
+    const stored = await Invitation.findById(body.data.id);
+    expect(stored.uses).toBe(1);
+    expect(stored.usedBy).toHaveLength(1);
+  });
+
+  test('invitations can preset a role and folders', async () => {
+    const { body } = await createInvitation({
+      code: 'moderators-2025',
+      maxUses: 5,
+      role: 'moderator',
+      folders: [{ label: 'Beta mixes', path: 'beta/mixes' }],
+    }).expect(201);
+
+    const res = await signup(body.data.code.toLowerCase()).expect(201);
+    expect(res.body.role).toBe('moderator');
+
+    const user = await User.findById(res.body.userId);
+    expect(user.folders).toHaveLength(1);
+    expect(user.folders[0].label).toBe('Beta mixes');
+  });
+
+  test('revoked codes can no longer be used', async () => {
+    const { body } = await createInvitation({ maxUses: 10 }).expect(201);
+
+    await request(app)
+      .delete(`/api/admin/invitations/${body.data.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await signup(body.data.code).expect(400);
+  });
+});
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const writeKey = (dir, file, type, options) => {
+  const { privateKey } = crypto.generateKeyPairSync(type, options);
+  fs.writeFileSync(
+    path.join(dir, file),
+    privateKey.export({ format: 'pem', type: 'pkcs8' }),
+  );
+};
+
+describe('JWT signing keys', () => {
+  const originalEnv = { ...process.env };
+  let dir;
+  let keys;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    process.env = { ...originalEnv };
+    delete process.env.JWT_PRIVATE_KEY;
+    process.env.JWT_KEYS_DIR = dir;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('uses an ephemeral key under test when nothing is configured', () => {
+    delete process.env.JWT_KEYS_DIR;
+    keys = require('../lib/keys');
+    expect(keys.getSigningKey().kid).toBe('test');
+  });
+
+  test('refuses to load without keys outside of tests', () => {
+    delete process.env.JWT_KEYS_DIR;
+    process.env.NODE_ENV = 'production';
+    keys = require('../lib/keys');
+    expect(() => keys.loadKeys()).toThrow('No JWT signing keys configured');
+  });
+
+  test('rejects key types jsonwebtoken cannot use', () => {
+    writeKey(dir, 'ed.pem', 'ed25519');
+    keys = require('../lib/keys');
+    expect(() => keys.loadKeys()).toThrow('Unsupported JWT key type');
+  });
+
+  test('signs with the newest active key and verifies with any live key', () => {
+    writeKey(dir, 'old.pem', 'rsa', { modulusLength: 2048 });
+    writeKey(dir, 'new.pem', 'ec', { namedCurve: 'prime256v1' });
+    writeKey(dir, 'next.pem', 'ec', { namedCurve: 'prime256v1' });
+    const now = Date.now();
+    fs.writeFileSync(
+      path.join(dir, 'keys.json'),
+      JSON.stringify([
+        { kid: 'old', file: 'old.pem', retireAt: new Date(now - 1000) },
+        { kid: 'new', file: 'new.pem', activateAt: new Date(now - 60000) },
+        { kid: 'next', file: 'next.pem', activateAt: new Date(now + 60000) },
+      ]),
+    );
+    keys = require('../lib/keys');
+    const { signJwt, verifyJwt } = require('../lib/tokens');
+
+    expect(keys.getSigningKey()).toMatchObject({ kid: 'new', alg: 'ES256' });
+    expect(keys.getSigningKey(now + 120000).kid).toBe('next');
+    expect(keys.getVerificationKey('next')).not.toBeNull();
+    expect(keys.getVerificationKey('old')).toBeNull();
+
+    const token = signJwt({ userId: 'abc' });
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({
+      alg: 'ES256',
+      kid: 'new',
+    });
+    expect(verifyJwt(token).userId).toBe('abc');
+
+    expect(keys.getJwks().keys.map((key) => key.kid)).toEqual(['new', 'next']);
+    expect(keys.getJwks().keys[0]).not.toHaveProperty('d');
+  });
+});
@@ -0,0 +1,66 @@
+const { getGeo, distanceKm, checkTravel } = require('../lib/loginAnomalies');
+
+const LONDON = { lat: 51.5072, lon: -0.1276 };
+const PARIS = { lat: 48.8566, lon: 2.3522 };
+const SYDNEY = { lat: -33.8688, lon: 151.2093 };
+
+describe('Login anomalies', () => {
+  describe('getGeo', () => {
+    test('reads Cloudflare location headers', () => {
+      expect(
+        getGeo({
+          'cf-ipcountry': 'GB',
+          'cf-ipcity': 'London',
+          'cf-iplatitude': '51.5072',
+          'cf-iplongitude': '-0.1276',
+        }),
+      ).toEqual({ country: 'GB', city: 'London', location: LONDON });
+    });
+
+    test('decodes URL-encoded city names', () => {
+      expect(
+        getGeo({
+          'x-vercel-ip-country': 'BR',
+          'x-vercel-ip-city': 'S%C3%A3o%20Paulo',
+        }).city,
+      ).toBe('São Paulo');
+    });
+
+    test('returns nothing without location headers', () => {
+      expect(getGeo({})).toEqual({
+        country: undefined,
+        city: undefined,
+        location: undefined,
+      });
+      expect(getGeo({ 'cf-ipcountry': 'XX' }).country).toBeUndefined();
+    });
+  });
+
+  describe('checkTravel', () => {
+    test('measures great-circle distance', () => {
+      expect(Math.round(distanceKm(LONDON, PARIS))).toBeGreaterThan(330);
+      expect(Math.round(distanceKm(LONDON, PARIS))).toBeLessThan(350);
+    });
+
+    test('flags a jump across the world within an hour', () => {
+      const at = new Date('2025-01-01T12:00:00Z');
+      const later = new Date('2025-01-01T13:00:00Z');
+      expect(
+        checkTravel({ location: LONDON, at }, { location: SYDNEY, at: later }),
+      ).toEqual(expect.objectContaining({ speedKmh: expect.any(Number) }));
+    });
+
+    test('allows a plausible journey', () => {
+      const at = new Date('2025-01-01T12:00:00Z');
+      const later = new Date('2025-01-01T15:00:00Z');
+      expect(
+        checkTravel({ location: LONDON, at }, { location: PARIS, at: later }),
+      ).toBeNull();
+    });
+
+    test('ignores logins without a location', () => {
+      expect(checkTravel({ at: new Date() }, { location: SYDNEY })).toBeNull();
+      expect(checkTravel(null, { location: SYDNEY })).toBeNull();
+    });
+  });
+});
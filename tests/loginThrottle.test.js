@@ -0,0 +1,103 @@
+const {
+  FREE_ATTEMPTS,
+  getProgressiveDelay,
+  checkIp,
+  recordIpFailure,
+  clearIp,
+  listIpFailures,
+  checkAccount,
+} = require('../lib/loginThrottle');
+const User = require('../models/User');
+
+describe('Login throttle', () => {
+  describe('getProgressiveDelay', () => {
+    test('allows the first few failures without delay', () => {
+      for (let failures = 0; failures < FREE_ATTEMPTS; failures++) {
+        expect(getProgressiveDelay(failures)).toBe(0);
+      }
+    });
+
+    test('starts delaying after the 3rd failure', () => {
+      expect(getProgressiveDelay(2)).toBe(0);
+      expect(getProgressiveDelay(3)).toBe(1000);
+    });
+
+    test('doubles the delay after each further failure', () => {
+      expect(getProgressiveDelay(FREE_ATTEMPTS)).toBe(1000);
+      expect(getProgressiveDelay(FREE_ATTEMPTS + 1)).toBe(2000);
+      expect(getProgressiveDelay(FREE_ATTEMPTS + 2)).toBe(4000);
+    });
+
+    test('caps the delay at one minute', () => {
+      expect(getProgressiveDelay(50)).toBe(60 * 1000);
+    });
+  });
+
+  describe('per-IP tracking', () => {
+    const ip = '203.0.113.7';
+
+    afterEach(() => {
+      clearIp(ip);
+    });
+
+    test('untracked IPs may proceed', () => {
+      expect(checkIp(ip)).toEqual({ blocked: false, retryAfter: 0 });
+    });
+
+    test('repeated failures make the IP wait', () => {
+      for (let i = 0; i <= FREE_ATTEMPTS; i++) {
+        recordIpFailure(ip);
+      }
+      const status = checkIp(ip);
+      expect(status.blocked).toBe(false);
+      expect(status.retryAfter).toBeGreaterThan(0);
+    });
+
+    test('lists and clears tracked IPs', () => {
+      recordIpFailure(ip);
+      expect(listIpFailures()).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ ip, failedAttempts: 1, blocked: false }),
+        ]),
+      );
+      expect(clearIp(ip)).toBe(true);
+      expect(clearIp(ip)).toBe(false);
+    });
+  });
+
+  describe('checkAccount', () => {
+    test('reports a locked account with the remaining time', () => {
+      const user = new User({
+        username: 'locked',
+        email: 'locked@example.com',
+        password: 'x',
+        lockUntil: new Date(Date.now() + 60 * 1000),
+      });
+      const status = checkAccount(user);
+      expect(status.locked).toBe(true);
+      expect(status.retryAfter).toBeGreaterThan(0);
+    });
+
+    test('applies progressive delay after recent failures', () => {
+      const user = new User({
+        username: 'failing',
+        email: 'failing@example.com',
+        password: 'x',
+        failedLoginAttempts: FREE_ATTEMPTS + 2,
+        lastFailedLoginAt: new Date(),
+      });
+      expect(checkAccount(user)).toEqual({ locked: false, retryAfter: 4 });
+    });
+
+    test('lets an account with an expired lock try again', () => {
+      const user = new User({
+        username: 'expired',
+        email: 'expired@example.com',
+        password: 'x',
+        failedLoginAttempts: 1,
+        lockUntil: new Date(Date.now() - 1000),
+      });
+      expect(checkAccount(user)).toEqual({ locked: false, retryAfter: 0 });
+    });
+  });
+});
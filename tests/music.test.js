@@ -0,0 +1,172 @@
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stand-in for the real auth middleware (which needs the database): accepts
+// one fixed token and records the scope the route asked for
+jest.mock('../middleware/auth', () => {
+  const check = (req, res, next) =>
+    req.headers.authorization === 'Bearer good'
+      ? next()
+      : res.status(401).json({ error: 'No token provided' });
+  const auth = jest.fn(check);
+  auth.withScope = jest.fn(() => check);
+  return auth;
+});
+
+const auth = require('../middleware/auth');
+const musicRoutes = require('../routes/music');
+const { signStreamPath } = require('../lib/streamUrls');
+
+describe('Music streaming', () => {
+  const content = Buffer.from('0123456789abcdef');
+  const originalCwd = process.cwd();
+  let dir;
+  let app;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-stream-'));
+    const root = path.join(dir, 'public', 'music');
+    fs.mkdirSync(path.join(root, 'Album One'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'Album One', '01 Intro.mp3'), content);
+    fs.writeFileSync(path.join(root, 'voice.opus'), content);
+    fs.writeFileSync(path.join(root, 'notes.txt'), 'not audio');
+    fs.writeFileSync(path.join(root, '.hidden.mp3'), content);
+    fs.writeFileSync(path.join(dir, 'secret.mp3'), content);
+    fs.symlinkSync(path.join(dir, 'secret.mp3'), path.join(root, 'escape.mp3'));
+
+    // MUSIC_ROOT is relative to the working directory
+    process.chdir(dir);
+
+    app = express();
+    app.use('/public/music', musicRoutes);
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const get = (url) =>
+    request(app).get(url).set('Authorization', 'Bearer good');
+
+  it('should require authentication with the music:read scope', async () => {
+    expect(auth.withScope).toHaveBeenCalledWith('music:read');
+
+    const res = await request(app).get('/public/music/voice.opus');
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('should not accept access tokens in the query string', async () => {
+    const res = await request(app).get(
+      '/public/music/voice.opus?access_token=good',
+    );
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('should stream with a signed link and no Authorization header', async () => {
+    const res = await request(app).get(
+      `/public/music/Album%20One/01%20Intro.mp3?${signStreamPath(
+        'Album One/01 Intro.mp3',
+      )}`,
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual(content);
+  });
+
+  it('should reject signed links for another track, tampered or expired', async () => {
+    const signed = signStreamPath('voice.opus');
+
+    const otherTrack = await request(app).get(
+      `/public/music/Album%20One/01%20Intro.mp3?${signed}`,
+    );
+    expect(otherTrack.statusCode).toEqual(403);
+    expect(otherTrack.body).toEqual({
+      error: 'Invalid or expired stream link',
+    });
+
+    const tampered = await request(app).get(
+      `/public/music/voice.opus?${signed.replace(/exp=\d+/, 'exp=9999999999')}`,
+    );
+    expect(tampered.statusCode).toEqual(403);
+
+    const expired = await request(app).get(
+      `/public/music/voice.opus?${signStreamPath('voice.opus', 0)}`,
+    );
+    expect(expired.statusCode).toEqual(403);
+  });
+
+  it('should stream the whole file with its MIME type and an ETag', async () => {
+    const res = await get('/public/music/Album%20One/01%20Intro.mp3');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toEqual('audio/mpeg');
+    expect(res.headers['accept-ranges']).toEqual('bytes');
+    expect(res.headers['cache-control']).toEqual('private, no-cache');
+    expect(res.headers.etag).toBeDefined();
+    expect(res.body).toEqual(content);
+  });
+
+  it('should use the MIME type from mimeTypes', async () => {
+    const res = await get('/public/music/voice.opus');
+    expect(res.headers['content-type']).toEqual('audio/ogg; codecs=opus');
+  });
+
+  it('should answer Range requests with 206 Partial Content', async () => {
+    const res = await get('/public/music/voice.opus').set('Range', 'bytes=4-7');
+
+    expect(res.statusCode).toEqual(206);
+    expect(res.headers['content-range']).toEqual('bytes 4-7/16');
+    expect(res.headers['content-length']).toEqual('4');
+    expect(res.body).toEqual(Buffer.from('4567'));
+  });
+
+  it('should reject unsatisfiable ranges with 416', async () => {
+    const res = await get('/public/music/voice.opus').set(
+      'Range',
+      'bytes=100-200',
+    );
+
+    expect(res.statusCode).toEqual(416);
+    expect(res.headers['content-range']).toEqual('bytes */16');
+    expect(res.body).toEqual({ error: 'Range Not Satisfiable' });
+  });
+
+  it('should return 304 when If-None-Match matches the ETag', async () => {
+    const first = await get('/public/music/voice.opus');
+    const res = await get('/public/music/voice.opus').set(
+      'If-None-Match',
+      first.headers.etag,
+    );
+
+    expect(res.statusCode).toEqual(304);
+  });
+
+  it('should refuse paths outside the music root', async () => {
+    const traversal = await get('/public/music/..%2F..%2Fsecret.mp3');
+    expect(traversal.statusCode).toEqual(403);
+
+    // A symlink inside the library pointing out of it
+    const symlink = await get('/public/music/escape.mp3');
+    expect(symlink.statusCode).toEqual(403);
+    expect(symlink.body).toEqual({
+      error: 'Track is outside the music library',
+    });
+  });
+
+  it('should return 404 for missing, hidden and non-audio files', async () => {
+    for (const url of [
+      '/public/music/missing.mp3',
+      '/public/music/.hidden.mp3',
+      '/public/music/notes.txt',
+      '/public/music/Album%20One',
+    ]) {
+      const res = await get(url);
+      expect(res.statusCode).toEqual(404);
+      expect(res.body).toEqual({ error: 'Track not found' });
+    }
+  });
+});
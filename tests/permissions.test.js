@@ -0,0 +1,40 @@
+const {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission,
+} = require('../lib/permissions');
+
+describe('Permissions', () => {
+  test('admins hold every permission', () => {
+    expect(getPermissionsForRole('admin')).toEqual(PERMISSIONS);
+  });
+
+  test('regular users are not staff and hold no permissions', () => {
+    expect(STAFF_ROLES).not.toContain('user');
+    expect(getPermissionsForRole('user')).toEqual([]);
+  });
+
+  test('every role only grants known permissions', () => {
+    ROLES.forEach((role) => {
+      getPermissionsForRole(role).forEach((permission) => {
+        expect(PERMISSIONS).toContain(permission);
+      });
+    });
+  });
+
+  test('checks permissions per role', () => {
+    expect(hasPermission('analyst', 'stats:read')).toBe(true);
+    expect(hasPermission('analyst', 'users:delete')).toBe(false);
+    expect(hasPermission('support', 'security:lockouts')).toBe(true);
+    expect(hasPermission('moderator', 'settings:manage')).toBe(false);
+    expect(hasPermission(undefined, 'stats:read')).toBe(false);
+  });
+
+  test('only admins read server health', () => {
+    ROLES.forEach((role) => {
+      expect(hasPermission(role, 'health:read')).toBe(role === 'admin');
+    });
+  });
+});
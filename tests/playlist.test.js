@@ -40,13 +40,20 @@ describe('Playlist API Routes', () => {
         </html>
       `;
 
-      axios.get.mockResolvedValueOnce({ data: mockHtml });
+      axios.get.mockResolvedValueOnce({
+        status: 200,
+        headers: { 'content-type': 'text/html' },
+        data: mockHtml,
+      });
 
       const res = await request(app).get(
         '/api/playlist?url=https://example.com/music/',
       );
 
-      expect(axios.get).toHaveBeenCalledWith('https://example.com/music/');
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://example.com/music/',
+        expect.objectContaining({ maxRedirects: 0 }),
+      );
       expect(res.statusCode).toEqual(200);
       expect(res.body).toHaveProperty('success', true);
       expect(res.body).toHaveProperty('count', 3);
@@ -131,6 +138,32 @@ describe('Playlist API Routes', () => {
       expect(res.body.message).toContain('Failed to read local playlist');
     });
 
+    it('should reject invalid paging options for local folders', async () => {
+      const badLimit = await request(app).get(
+        '/api/playlist?folder=/music/&recursive=true&limit=0',
+      );
+      expect(badLimit.statusCode).toEqual(400);
+      expect(badLimit.body.message).toContain('limit must be between');
+
+      const badCursor = await request(app).get(
+        '/api/playlist?folder=/music/&recursive=true&cursor=not-a-cursor',
+      );
+      expect(badCursor.statusCode).toEqual(400);
+      expect(badCursor.body.message).toBe('Invalid cursor');
+    });
+
+    it('should require authentication to crawl remote subdirectories', async () => {
+      const res = await request(app).get(
+        '/api/playlist?url=https://example.com/music/&recursive=true',
+      );
+
+      expect(res.statusCode).toEqual(401);
+      expect(res.body.message).toBe(
+        'Sign in to crawl subdirectories of remote listings',
+      );
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
     // Input validation tests for Story 5
     it('should reject invalid URL format', async () => {
       const res = await request(app).get('/api/playlist?url=not-a-valid-url');
@@ -157,5 +190,70 @@ describe('Playlist API Routes', () => {
       expect(res.body).toHaveProperty('success', false);
       expect(res.body.message).toContain('Directory traversal is not allowed');
     });
+
+    it('should export an M3U8 playlist with ?format=m3u8', async () => {
+      // Drop responses queued by earlier tests that were served from cache
+      axios.get.mockReset();
+      axios.get.mockResolvedValueOnce({
+        status: 200,
+        headers: { 'content-type': 'text/html' },
+        data: '<a href="song1.mp3">Song 1</a><a href="song2.mp3">Song 2</a>',
+      });
+
+      // Playlist files are not a type supertest buffers as text by default
+      const res = await request(app)
+        .get('/api/playlist?url=https://example.com/mixtape/&format=m3u8')
+        .buffer(true)
+        .parse((response, callback) => {
+          let text = '';
+          response.setEncoding('utf8');
+          response.on('data', (chunk) => (text += chunk));
+          response.on('end', () => callback(null, text));
+        });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-type']).toMatch(/audio\/x-mpegurl/);
+      expect(res.headers['content-disposition']).toContain('mixtape.m3u8');
+      expect(res.body).toBe(
+        [
+          '#EXTM3U',
+          '#PLAYLIST:mixtape',
+          '#EXTINF:-1,Song 1',
+          'https://example.com/mixtape/song1.mp3',
+          '#EXTINF:-1,Song 2',
+          'https://example.com/mixtape/song2.mp3',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('should negotiate XSPF from the Accept header', async () => {
+      axios.get.mockReset();
+      axios.get.mockResolvedValueOnce({
+        status: 200,
+        headers: { 'content-type': 'text/html' },
+        data: '<a href="song1.mp3">Song &amp; Dance</a>',
+      });
+
+      const res = await request(app)
+        .get('/api/playlist?url=https://example.com/xspf/')
+        .set('Accept', 'application/xspf+xml');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-type']).toMatch(/application\/xspf\+xml/);
+      expect(res.text).toContain('<title>Song &amp; Dance</title>');
+      expect(res.text).toContain(
+        '<location>https://example.com/xspf/song1.mp3</location>',
+      );
+    });
+
+    it('should reject an unknown format', async () => {
+      const res = await request(app).get(
+        '/api/playlist?url=https://example.com/music/&format=wpl',
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body).toHaveProperty('success', false);
+    });
   });
 });
@@ -4,7 +4,12 @@ const {
   validateFolderPath,
   getPlaylistFromRemoteFolder,
   getPlaylistFromLocalFolder,
+  scanLocalFolder,
+  extractDirectoryLinks,
+  crawlRemoteFolder,
+  parseScanOptions,
 } = require('../controllers/playlistController');
+const { verifyStreamSignature } = require('../lib/streamUrls');
 const path = require('path');
 const axios = require('axios');
 const fs = require('fs');
@@ -121,6 +126,260 @@ describe('Playlist Controller Unit Tests', () => {
     });
   });
 
+  describe('extractMp3Links (embedded audio)', () => {
+    const baseUrl = 'https://example.com/show/';
+
+    it('should find audio and source elements', () => {
+      const html = `
+        <audio src="intro.opus" title="Intro"></audio>
+        <audio aria-label="Live set">
+          <source src="/media/live.webm" type="audio/webm">
+          <source src="/media/live-stream" type="audio/mpeg">
+          <source src="/media/poster.jpg">
+        </audio>`;
+
+      expect(extractMp3Links(html, baseUrl)).toEqual([
+        {
+          title: 'Intro',
+          url: 'https://example.com/show/intro.opus',
+          mime: 'audio/ogg; codecs=opus',
+        },
+        {
+          title: 'Live set',
+          url: 'https://example.com/media/live.webm',
+          mime: 'audio/webm',
+        },
+        {
+          title: 'Live set',
+          url: 'https://example.com/media/live-stream',
+          mime: 'audio/mpeg',
+        },
+      ]);
+    });
+
+    it('should read og:audio meta tags and JSON-LD AudioObjects', () => {
+      const html = `
+        <head>
+          <meta property="og:title" content="Episode 12">
+          <meta property="og:audio" content="https://cdn.example.com/ep12.mp3?token=abc">
+          <meta property="og:audio:type" content="audio/mpeg">
+          <script type="application/ld+json">
+            {"@context": "https://schema.org", "@graph": [
+              {"@type": "PodcastEpisode", "associatedMedia": {
+                "@type": "AudioObject",
+                "name": "Episode 12",
+                "contentUrl": "https://cdn.example.com/ep12.mp3?token=abc",
+                "duration": "PT1H2M3S"
+              }},
+              {"@type": "AudioObject", "name": "Bonus", "contentUrl": "bonus.alac"}
+            ]}
+          </script>
+          <script type="application/ld+json">{ not json</script>
+        </head>`;
+
+      expect(extractMp3Links(html, baseUrl)).toEqual([
+        {
+          title: 'Episode 12',
+          url: 'https://cdn.example.com/ep12.mp3?token=abc',
+          mime: 'audio/mpeg',
+          duration: 3723,
+        },
+        {
+          title: 'Bonus',
+          url: 'https://example.com/show/bonus.alac',
+          mime: 'audio/mp4',
+        },
+      ]);
+    });
+
+    it('should accept query strings and drop duplicate URLs', () => {
+      const html = `
+        <a href="song.mp3?dl=1">Song</a>
+        <a href="https://EXAMPLE.com:443/show/song.mp3?dl=1#t=30">Song again</a>
+        <a href="./song%20two.flac">Two</a>
+        <a href="song two.flac">Two again</a>
+        <a href="page.html?file=song.mp3">Not audio</a>
+        <audio src="song.mp3?dl=1"></audio>`;
+
+      expect(extractMp3Links(html, baseUrl)).toEqual([
+        {
+          title: 'Song',
+          url: 'https://example.com/show/song.mp3?dl=1',
+          mime: 'audio/mpeg',
+        },
+        {
+          title: 'Two',
+          url: 'https://example.com/show/song%20two.flac',
+          mime: 'audio/flac',
+        },
+      ]);
+    });
+  });
+
+  describe('extractDirectoryLinks', () => {
+    it('should keep only same-origin subdirectories of the page', () => {
+      const html = `
+        <a href="../">Parent Directory</a>
+        <a href="?C=M;O=A">Last modified</a>
+        <a href="Artist%20One/">Artist One/</a>
+        <a href="/music/Artist%20Two/">Artist Two/</a>
+        <a href="/other/">Elsewhere</a>
+        <a href="https://mirror.example.org/music/x/">Mirror</a>
+        <a href="song.mp3">song.mp3</a>
+        <a href="Artist%20One/#top">Artist One again</a>
+      `;
+
+      expect(extractDirectoryLinks(html, 'https://example.com/music/')).toEqual(
+        [
+          'https://example.com/music/Artist%20One/',
+          'https://example.com/music/Artist%20Two/',
+        ],
+      );
+    });
+  });
+
+  describe('crawlRemoteFolder', () => {
+    const pages = {
+      'https://example.com/music/': `
+        <a href="../">Parent Directory</a>
+        <a href="intro.mp3">intro.mp3</a>
+        <a href="Artist/">Artist/</a>
+        <a href="Broken/">Broken/</a>`,
+      'https://example.com/music/Artist/': `
+        <a href="../">Parent Directory</a>
+        <a href="First%20Album/">First Album/</a>
+        <a href="/music/">Back to the top</a>`,
+      'https://example.com/music/Artist/First%20Album/': `
+        <a href="01-one.mp3">01-one.mp3</a>
+        <a href="02-two.flac">02-two.flac</a>
+        <a href="/music/intro.mp3">intro.mp3</a>
+        <a href="Deeper/">Deeper/</a>`,
+      'https://example.com/music/Artist/First%20Album/Deeper/': `
+        <a href="hidden.mp3">hidden.mp3</a>`,
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      axios.get.mockImplementation(async (url) => {
+        if (!pages[url]) {
+          throw new Error('Request failed with status code 404');
+        }
+        return {
+          status: 200,
+          headers: { 'content-type': 'text/html; charset=utf-8' },
+          data: pages[url],
+        };
+      });
+    });
+
+    afterEach(() => {
+      axios.get.mockReset();
+    });
+
+    it('should follow subdirectories and record the folder of each track', async () => {
+      const result = await crawlRemoteFolder('https://example.com/music/', {
+        depth: 2,
+      });
+
+      expect(result.tracks.map((track) => track.title)).toEqual([
+        'Intro',
+        '01 One',
+        '02 Two',
+      ]);
+      expect(result.tracks[0]).not.toHaveProperty('folder');
+      expect(result.tracks[1]).toMatchObject({
+        folder: 'Artist/First Album',
+        album: 'First Album',
+        url: 'https://example.com/music/Artist/First%20Album/01-one.mp3',
+      });
+      expect(result.groups).toEqual([
+        { folder: '', title: 'music', count: 1 },
+        { folder: 'Artist/First Album', title: 'First Album', count: 2 },
+      ]);
+
+      // Depth 2 stops before Deeper/, and /music/ is not fetched twice
+      expect(result.pagesCrawled).toBe(4);
+      expect(axios.get).not.toHaveBeenCalledWith(
+        'https://example.com/music/Artist/First%20Album/Deeper/',
+        expect.anything(),
+      );
+      expect(result.truncated).toBe(false);
+    });
+
+    it('should stop at the page limit', async () => {
+      const result = await crawlRemoteFolder('https://example.com/music/', {
+        maxPages: 2,
+      });
+
+      expect(result.pagesCrawled).toBe(2);
+      expect(result.truncated).toBe(true);
+    });
+
+    it('should fail if the root listing cannot be fetched', async () => {
+      await expect(
+        crawlRemoteFolder('https://example.com/missing/'),
+      ).rejects.toThrow('Failed to fetch remote playlist');
+    });
+
+    it('should stop when the whole crawl runs out of time', async () => {
+      // Every page takes 20 seconds of (fake) time; the crawl gets 30
+      let now = Date.now();
+      const dateSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const fetchPage = axios.get.getMockImplementation();
+      axios.get.mockImplementation((url, options) => {
+        now += 20000;
+        return fetchPage(url, options);
+      });
+
+      const result = await crawlRemoteFolder('https://example.com/music/');
+      dateSpy.mockRestore();
+
+      // The root and the first level load; the time is up before the second
+      expect(result.pagesCrawled).toBe(3);
+      expect(result.truncated).toBe(true);
+      expect(result.tracks.map((track) => track.title)).toEqual(['Intro']);
+      expect(axios.get).not.toHaveBeenCalledWith(
+        'https://example.com/music/Artist/First%20Album/',
+        expect.anything(),
+      );
+    });
+  });
+
+  describe('parseScanOptions', () => {
+    it('should page recursive local JSON listings by default', () => {
+      expect(
+        parseScanOptions(
+          { recursive: 'true' },
+          { remote: false, format: 'json' },
+        ),
+      ).toEqual({ options: { recursive: true, limit: 200 } });
+      expect(
+        parseScanOptions(
+          { recursive: 'true' },
+          { remote: true, format: 'json' },
+        ),
+      ).toEqual({ options: { recursive: true } });
+    });
+
+    it('should cap depth by the kind of source', () => {
+      expect(
+        parseScanOptions({ depth: '5' }, { remote: false, format: 'json' }),
+      ).toEqual({ options: { recursive: false, depth: 5 } });
+      expect(
+        parseScanOptions({ depth: '5' }, { remote: true, format: 'json' }),
+      ).toEqual({ error: 'depth must be between 0 and 3' });
+    });
+
+    it('should reject bad limits and cursors', () => {
+      expect(
+        parseScanOptions({ limit: '0' }, { remote: false, format: 'json' }),
+      ).toEqual({ error: 'limit must be between 1 and 1000' });
+      expect(
+        parseScanOptions({ cursor: '!' }, { remote: false, format: 'json' }),
+      ).toEqual({ error: 'Invalid cursor' });
+    });
+  });
+
   describe('validateFolderPath', () => {
     it('should sanitize and normalize valid paths', () => {
       expect(validateFolderPath('/music/')).toBe('music');
@@ -158,14 +417,21 @@ describe('Playlist Controller Unit Tests', () => {
       `;
 
       // Mock axios.get to return the HTML
-      axios.get.mockResolvedValueOnce({ data: mockHtml });
+      axios.get.mockResolvedValueOnce({
+        status: 200,
+        headers: { 'content-type': 'text/html' },
+        data: mockHtml,
+      });
 
       const result = await getPlaylistFromRemoteFolder(
         'https://example.com/music/',
       );
 
       // Verify axios was called with the correct URL
-      expect(axios.get).toHaveBeenCalledWith('https://example.com/music/');
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://example.com/music/',
+        expect.objectContaining({ maxRedirects: 0 }),
+      );
 
       // Verify the result contains the expected tracks
       expect(result).toHaveLength(2);
@@ -174,6 +440,36 @@ describe('Playlist Controller Unit Tests', () => {
       expect(result[0].mime).toBe('audio/mpeg');
     });
 
+    it('should return podcast episodes for RSS feeds', async () => {
+      axios.get.mockResolvedValueOnce({
+        status: 200,
+        headers: { 'content-type': 'application/rss+xml' },
+        data: `<?xml version="1.0"?>
+          <rss version="2.0"><channel><title>Show</title>
+            <item><title>Old</title><guid>a</guid>
+              <pubDate>Mon, 01 Jan 2024 00:00:00 GMT</pubDate>
+              <enclosure url="https://example.com/a.mp3" type="audio/mpeg"/>
+            </item>
+            <item><title>New</title><guid>b</guid>
+              <pubDate>Mon, 08 Jan 2024 00:00:00 GMT</pubDate>
+              <enclosure url="https://example.com/b.mp3" type="audio/mpeg"/>
+            </item>
+          </channel></rss>`,
+      });
+
+      const result = await getPlaylistFromRemoteFolder(
+        'https://example.com/feed.xml',
+      );
+
+      expect(result.map((track) => track.title)).toEqual(['New', 'Old']);
+      expect(result[0]).toMatchObject({
+        url: 'https://example.com/b.mp3',
+        episodeGuid: 'b',
+        feedUrl: 'https://example.com/feed.xml',
+        feedTitle: 'Show',
+      });
+    });
+
     it('should handle network errors', async () => {
       // Mock axios.get to throw an error
       axios.get.mockRejectedValueOnce(new Error('Network error'));
@@ -234,6 +530,29 @@ describe('Playlist Controller Unit Tests', () => {
       expect(result[0].url).toContain('song1.mp3');
     });
 
+    it('should sign track URLs for signed-in callers', async () => {
+      fs.readdir.mockImplementationOnce((path, callback) => {
+        callback(null, ['Song #1.mp3']);
+      });
+
+      const req = {
+        protocol: 'http',
+        get: jest.fn().mockReturnValue('example.com'),
+        userId: 'user-1',
+      };
+
+      const [track] = await getPlaylistFromLocalFolder('music', req);
+      const url = new URL(track.url);
+
+      expect(url.pathname).toBe('/public/music/music/Song%20%231.mp3');
+      expect(
+        verifyStreamSignature(
+          'music/Song #1.mp3',
+          Object.fromEntries(url.searchParams),
+        ),
+      ).toBe(true);
+    });
+
     it('should handle filesystem errors', async () => {
       // Mock fs.readdir to throw an error
       fs.readdir.mockImplementationOnce((path, callback) => {
@@ -268,4 +587,146 @@ describe('Playlist Controller Unit Tests', () => {
       expect(fs.readdir).not.toHaveBeenCalled();
     });
   });
+
+  describe('scanLocalFolder', () => {
+    const req = {
+      protocol: 'http',
+      get: jest.fn().mockReturnValue('example.com'),
+    };
+
+    // Minimal fs.Dirent stand-ins
+    const file = (name) => ({
+      name,
+      isFile: () => true,
+      isDirectory: () => false,
+    });
+    const dir = (name) => ({
+      name,
+      isFile: () => false,
+      isDirectory: () => true,
+    });
+
+    const tree = {
+      [path.join('public', 'music', 'library')]: [
+        file('Track 10.mp3'),
+        dir('B Album'),
+        file('Track 2.mp3'),
+        dir('.hidden'),
+        dir('a album'),
+        file('cover.jpg'),
+      ],
+      [path.join('public', 'music', 'library', 'a album')]: [
+        file('02 Second.flac'),
+        file('01 First.flac'),
+        dir('Disc 1'),
+      ],
+      [path.join('public', 'music', 'library', 'a album', 'Disc 1')]: [
+        file('Deep.mp3'),
+      ],
+      [path.join('public', 'music', 'library', 'B Album')]: [file('Only.ogg')],
+    };
+
+    let realpathSpy;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      fs.readdir.mockImplementation((dirPath, options, callback) => {
+        const entries = tree[dirPath];
+        if (!entries) {
+          return callback(new Error(`ENOENT: ${dirPath}`));
+        }
+        callback(null, entries);
+      });
+      realpathSpy = jest
+        .spyOn(fs.promises, 'realpath')
+        .mockImplementation(async (p) => path.resolve(p));
+    });
+
+    afterEach(() => {
+      fs.readdir.mockReset();
+      realpathSpy.mockRestore();
+    });
+
+    it('should scan subfolders in natural order, grouped by folder', async () => {
+      const result = await scanLocalFolder('library', req, {
+        recursive: true,
+      });
+
+      expect(result.tracks.map((track) => track.title)).toEqual([
+        'Track 2',
+        'Track 10',
+        '01 First',
+        '02 Second',
+        'Deep',
+        'Only',
+      ]);
+      expect(result.tracks[2]).toMatchObject({
+        folder: 'a album',
+        album: 'a album',
+        mime: 'audio/flac',
+      });
+      expect(result.tracks[2].url).toContain(
+        'public/music/library/a%20album/01%20First.flac',
+      );
+      expect(result.tracks[0]).not.toHaveProperty('folder');
+
+      expect(result.total).toBe(6);
+      expect(result.groups).toEqual([
+        { folder: '', title: 'library', count: 2 },
+        { folder: 'a album', title: 'a album', count: 2 },
+        { folder: 'a album/Disc 1', title: 'Disc 1', count: 1 },
+        { folder: 'B Album', title: 'B Album', count: 1 },
+      ]);
+    });
+
+    it('should stop at the depth limit', async () => {
+      const result = await scanLocalFolder('library', req, {
+        recursive: true,
+        depth: 1,
+      });
+
+      expect(result.tracks.map((track) => track.title)).not.toContain('Deep');
+      expect(result.total).toBe(5);
+    });
+
+    it('should page through the tracks with a cursor', async () => {
+      const first = await scanLocalFolder('library', req, {
+        recursive: true,
+        limit: 4,
+      });
+      expect(first.tracks).toHaveLength(4);
+      expect(first.nextCursor).toEqual(expect.any(String));
+
+      const after = JSON.parse(
+        Buffer.from(first.nextCursor, 'base64url').toString('utf8'),
+      ).after;
+      const second = await scanLocalFolder('library', req, {
+        recursive: true,
+        limit: 4,
+        after,
+      });
+      expect(second.tracks.map((track) => track.title)).toEqual([
+        'Deep',
+        'Only',
+      ]);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('should reject folders that resolve outside the music library', async () => {
+      realpathSpy.mockImplementation(async (p) =>
+        p.endsWith('library') ? '/etc' : path.resolve(p),
+      );
+
+      await expect(
+        scanLocalFolder('library', req, { recursive: true }),
+      ).rejects.toThrow('Folder is outside the music library');
+      expect(fs.readdir).not.toHaveBeenCalled();
+    });
+
+    it('should still validate folder paths', async () => {
+      await expect(
+        scanLocalFolder('../etc', req, { recursive: true }),
+      ).rejects.toThrow('Directory traversal is not allowed');
+    });
+  });
 });
@@ -0,0 +1,145 @@
+const {
+  renderPlaylist,
+  negotiateFormat,
+  parsePlaylist,
+} = require('../lib/playlistFormats');
+
+const tracks = [
+  {
+    title: 'Intro',
+    artist: 'The Band',
+    url: 'https://example.com/intro.mp3',
+    duration: 61.4,
+  },
+  { title: 'Rock & Roll', url: 'https://example.com/rock.mp3' },
+];
+
+describe('Playlist formats', () => {
+  test('renders extended M3U with durations where known', () => {
+    expect(renderPlaylist('m3u8', tracks, 'Mix')).toBe(
+      [
+        '#EXTM3U',
+        '#PLAYLIST:Mix',
+        '#EXTINF:61,The Band - Intro',
+        'https://example.com/intro.mp3',
+        '#EXTINF:-1,Rock & Roll',
+        'https://example.com/rock.mp3',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  test('renders PLS', () => {
+    expect(renderPlaylist('pls', tracks)).toBe(
+      [
+        '[playlist]',
+        'File1=https://example.com/intro.mp3',
+        'Title1=The Band - Intro',
+        'Length1=61',
+        'File2=https://example.com/rock.mp3',
+        'Title2=Rock & Roll',
+        'Length2=-1',
+        'NumberOfEntries=2',
+        'Version=2',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  test('renders escaped XSPF with millisecond durations', () => {
+    const xml = renderPlaylist('xspf', tracks, 'Mix');
+    expect(xml).toContain(
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    );
+    expect(xml).toContain('<title>Mix</title>');
+    expect(xml).toContain('<creator>The Band</creator>');
+    expect(xml).toContain('<duration>61400</duration>');
+    expect(xml).toContain('<title>Rock &amp; Roll</title>');
+  });
+
+  test('keeps titles on one line', () => {
+    expect(
+      renderPlaylist('m3u8', [{ title: 'Line\nbreak', url: 'a.mp3' }]),
+    ).toContain('#EXTINF:-1,Line break\n');
+  });
+
+  describe('negotiateFormat', () => {
+    const makeReq = (query, accept) => ({
+      query,
+      accepts: (types) =>
+        accept
+          ? types.find((type) => accept.includes(type)) || false
+          : types[0],
+    });
+
+    test('prefers ?format over the Accept header', () => {
+      expect(
+        negotiateFormat(makeReq({ format: 'PLS' }, 'application/xspf+xml')),
+      ).toBe('pls');
+    });
+
+    test('falls back to the Accept header, then JSON', () => {
+      expect(negotiateFormat(makeReq({}, 'audio/x-mpegurl'))).toBe('m3u8');
+      expect(negotiateFormat(makeReq({}, 'text/html'))).toBe('json');
+      expect(negotiateFormat(makeReq({}))).toBe('json');
+    });
+
+    test('returns null for unknown formats', () => {
+      expect(negotiateFormat(makeReq({ format: 'wpl' }))).toBeNull();
+    });
+  });
+
+  describe('parsePlaylist', () => {
+    test('reads back every format it writes', () => {
+      ['m3u8', 'pls', 'xspf'].forEach((format) => {
+        const { entries } = parsePlaylist(
+          renderPlaylist(format, tracks, 'Mix'),
+        );
+        expect(entries).toEqual([
+          expect.objectContaining({
+            location: 'https://example.com/intro.mp3',
+            title: 'Intro',
+            artist: 'The Band',
+          }),
+          expect.objectContaining({
+            location: 'https://example.com/rock.mp3',
+            title: 'Rock & Roll',
+            duration: undefined,
+          }),
+        ]);
+      });
+    });
+
+    test('detects the format from the contents', () => {
+      expect(parsePlaylist('[playlist]\nFile1=a.mp3').format).toBe('pls');
+      expect(parsePlaylist('<?xml version="1.0"?><playlist/>').format).toBe(
+        'xspf',
+      );
+      expect(parsePlaylist('a.mp3\r\nb.mp3').entries).toEqual([
+        { location: 'a.mp3' },
+        { location: 'b.mp3' },
+      ]);
+    });
+
+    test('handles EXTINF attributes and PLS entries out of order', () => {
+      expect(
+        parsePlaylist('#EXTINF:-1 tvg-id="x",Radio\nhttp://r.example.com/s')
+          .entries,
+      ).toEqual([
+        {
+          location: 'http://r.example.com/s',
+          title: 'Radio',
+          duration: undefined,
+        },
+      ]);
+      expect(
+        parsePlaylist(
+          '[playlist]\nFile2=b.mp3\nFile1=a.mp3\nLength1=30',
+        ).entries.map((entry) => [entry.location, entry.duration]),
+      ).toEqual([
+        ['a.mp3', 30],
+        ['b.mp3', undefined],
+      ]);
+    });
+  });
+});
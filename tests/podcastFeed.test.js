@@ -0,0 +1,121 @@
+const { isFeed, parseDuration, parseFeed } = require('../lib/podcastFeed');
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<?xml-stylesheet type="text/xsl" href="/feed.xsl"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>Late Night Radio</title>
+    <itunes:author>The Hosts</itunes:author>
+    <itunes:image href="https://cdn.example.com/show.jpg"/>
+    <item>
+      <title>Episode 1: Pilot</title>
+      <guid isPermaLink="false">ep-1</guid>
+      <pubDate>Mon, 01 Jan 2024 08:00:00 GMT</pubDate>
+      <itunes:duration>45:30</itunes:duration>
+      <enclosure url="https://cdn.example.com/ep1.mp3" type="audio/mpeg" length="1"/>
+    </item>
+    <item>
+      <title>Episode 3: Finale</title>
+      <guid>ep-3</guid>
+      <pubDate>Mon, 15 Jan 2024 08:00:00 GMT</pubDate>
+      <itunes:duration>1:02:03</itunes:duration>
+      <itunes:image href="https://cdn.example.com/ep3.jpg"/>
+      <enclosure url="/media/ep3.m4a" type="audio/x-m4a" length="1"/>
+    </item>
+    <item>
+      <title>Blog post without audio</title>
+      <pubDate>Tue, 16 Jan 2024 08:00:00 GMT</pubDate>
+    </item>
+    <item>
+      <title>Episode 2: Middle</title>
+      <pubDate>Mon, 08 Jan 2024 08:00:00 GMT</pubDate>
+      <itunes:duration>1800</itunes:duration>
+      <enclosure url="https://cdn.example.com/ep2.mp3" type="application/octet-stream"/>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom Cast</title>
+  <author><name>Atom Author</name></author>
+  <logo>https://example.org/logo.png</logo>
+  <entry>
+    <title>Older</title>
+    <id>urn:uuid:older</id>
+    <published>2023-05-01T10:00:00Z</published>
+    <link rel="alternate" href="https://example.org/older"/>
+    <link rel="enclosure" href="https://example.org/older.ogg" type="audio/ogg"/>
+  </entry>
+  <entry>
+    <title>Newer</title>
+    <id>urn:uuid:newer</id>
+    <updated>2023-06-01T10:00:00Z</updated>
+    <link rel="enclosure" href="https://example.org/newer.mp3" type="audio/mpeg"/>
+  </entry>
+</feed>`;
+
+describe('Podcast feeds', () => {
+  test('recognises RSS and Atom feeds but not HTML', () => {
+    expect(isFeed(RSS)).toBe(true);
+    expect(isFeed(ATOM)).toBe(true);
+    expect(isFeed('<!DOCTYPE html><html><body></body></html>')).toBe(false);
+    expect(isFeed(undefined)).toBe(false);
+  });
+
+  test('parses iTunes durations', () => {
+    expect(parseDuration('1800')).toBe(1800);
+    expect(parseDuration('45:30')).toBe(2730);
+    expect(parseDuration('1:02:03')).toBe(3723);
+    expect(parseDuration('about an hour')).toBeUndefined();
+    expect(parseDuration('')).toBeUndefined();
+  });
+
+  test('turns RSS enclosures into tracks, newest first', () => {
+    const feed = parseFeed(RSS, 'https://example.com/feed.xml');
+
+    expect(feed.title).toBe('Late Night Radio');
+    expect(feed.tracks.map((track) => track.title)).toEqual([
+      'Episode 3: Finale',
+      'Episode 2: Middle',
+      'Episode 1: Pilot',
+    ]);
+
+    expect(feed.tracks[0]).toEqual({
+      title: 'Episode 3: Finale',
+      url: 'https://example.com/media/ep3.m4a',
+      mime: 'audio/x-m4a',
+      duration: 3723,
+      publishedAt: '2024-01-15T08:00:00.000Z',
+      artwork: 'https://cdn.example.com/ep3.jpg',
+      artist: 'The Hosts',
+      album: 'Late Night Radio',
+      episodeGuid: 'ep-3',
+      feedUrl: 'https://example.com/feed.xml',
+      feedTitle: 'Late Night Radio',
+    });
+
+    // Feed artwork is the fallback; the enclosure identifies guid-less items
+    expect(feed.tracks[1]).toMatchObject({
+      artwork: 'https://cdn.example.com/show.jpg',
+      mime: 'audio/*',
+      episodeGuid: 'https://cdn.example.com/ep2.mp3',
+    });
+  });
+
+  test('turns Atom enclosure links into tracks', () => {
+    const feed = parseFeed(ATOM, 'https://example.org/atom.xml');
+
+    expect(feed.tracks).toHaveLength(2);
+    expect(feed.tracks[0]).toMatchObject({
+      title: 'Newer',
+      url: 'https://example.org/newer.mp3',
+      publishedAt: '2023-06-01T10:00:00.000Z',
+      artist: 'Atom Author',
+      artwork: 'https://example.org/logo.png',
+      episodeGuid: 'urn:uuid:newer',
+      feedTitle: 'Atom Cast',
+    });
+    expect(feed.tracks[1].title).toBe('Older');
+  });
+});
@@ -0,0 +1,172 @@
+const dns = require('dns');
+const axios = require('axios');
+const { isBlockedAddress, safeLookup, safeFetch } = require('../lib/safeFetch');
+
+jest.mock('axios');
+
+const html = (data, extra = {}) => ({
+  status: 200,
+  headers: { 'content-type': 'text/html; charset=utf-8' },
+  data,
+  ...extra,
+});
+
+const redirect = (location) => ({
+  status: 302,
+  headers: { location },
+  data: '',
+});
+
+describe('Safe fetch', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+    axios.head.mockReset();
+  });
+
+  test('recognises private and reserved addresses', () => {
+    [
+      '127.0.0.1',
+      '10.0.0.8',
+      '172.20.1.1',
+      '192.168.1.10',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '::1',
+      'fd12::1',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      '::ffff:a9fe:a9fe',
+    ].forEach((address) => expect(isBlockedAddress(address)).toBe(true));
+
+    ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:808:808'].forEach(
+      (address) => expect(isBlockedAddress(address)).toBe(false),
+    );
+  });
+
+  test('refuses private IP literals without making a request', async () => {
+    for (const url of [
+      'http://127.0.0.1/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]:8080/',
+      'http://[::ffff:10.0.0.1]/',
+    ]) {
+      await expect(safeFetch(url)).rejects.toThrow(
+        'Requests to private or reserved addresses are not allowed',
+      );
+    }
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('checks every redirect hop', async () => {
+    axios.get.mockResolvedValueOnce(
+      redirect('http://169.254.169.254/latest/meta-data/'),
+    );
+
+    await expect(safeFetch('https://example.com/music/')).rejects.toThrow(
+      'Requests to private or reserved addresses are not allowed',
+    );
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('follows public redirects itself and reports the final URL', async () => {
+    axios.get
+      .mockResolvedValueOnce(redirect('/music/'))
+      .mockResolvedValueOnce(html('<a href="a.mp3">A</a>'));
+
+    const response = await safeFetch('https://example.com/music', {
+      allowedTypes: ['text/html'],
+    });
+
+    expect(response.url).toBe('https://example.com/music/');
+    expect(response.data).toBe('<a href="a.mp3">A</a>');
+    expect(axios.get).toHaveBeenLastCalledWith(
+      'https://example.com/music/',
+      expect.objectContaining({
+        maxRedirects: 0,
+        proxy: false,
+        lookup: safeLookup,
+      }),
+    );
+  });
+
+  test('gives up after too many redirects', async () => {
+    axios.get.mockResolvedValue(redirect('https://example.com/loop'));
+
+    await expect(safeFetch('https://example.com/loop')).rejects.toThrow(
+      'Too many redirects',
+    );
+    expect(axios.get).toHaveBeenCalledTimes(6);
+  });
+
+  test('rejects unexpected content types and error statuses', async () => {
+    axios.get.mockResolvedValueOnce(
+      html('{}', { headers: { 'content-type': 'application/json' } }),
+    );
+    await expect(
+      safeFetch('https://example.com/', { allowedTypes: ['text/html'] }),
+    ).rejects.toThrow('Unexpected content type: application/json');
+
+    axios.get.mockResolvedValueOnce(html('Not found', { status: 404 }));
+    await expect(safeFetch('https://example.com/')).rejects.toThrow(
+      'Request failed with status code 404',
+    );
+  });
+
+  test('reports size and time limits', async () => {
+    axios.get.mockRejectedValueOnce(
+      new Error('maxContentLength size of 100 exceeded'),
+    );
+    await expect(
+      safeFetch('https://example.com/', { maxBytes: 100 }),
+    ).rejects.toThrow('Response is larger than 100 bytes');
+
+    axios.get.mockRejectedValueOnce(
+      Object.assign(new Error('timeout of 50ms exceeded'), {
+        code: 'ECONNABORTED',
+      }),
+    );
+    await expect(
+      safeFetch('https://example.com/', { timeout: 50 }),
+    ).rejects.toThrow('Timed out after 50ms');
+  });
+
+  describe('safeLookup', () => {
+    let lookupSpy;
+
+    afterEach(() => {
+      lookupSpy.mockRestore();
+    });
+
+    const resolveWith = (addresses) => {
+      lookupSpy = jest
+        .spyOn(dns, 'lookup')
+        .mockImplementation((hostname, options, callback) =>
+          callback(null, addresses),
+        );
+    };
+
+    test('passes public addresses through', (done) => {
+      resolveWith([{ address: '93.184.216.34', family: 4 }]);
+
+      safeLookup('example.com', {}, (err, address, family) => {
+        expect(err).toBeNull();
+        expect(address).toBe('93.184.216.34');
+        expect(family).toBe(4);
+        done();
+      });
+    });
+
+    test('fails if any resolved address is private', (done) => {
+      resolveWith([
+        { address: '93.184.216.34', family: 4 },
+        { address: '10.0.0.5', family: 4 },
+      ]);
+
+      safeLookup('rebind.example.com', {}, (err) => {
+        expect(err.code).toBe('EADDRBLOCKED');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Keep the auth rate limiter out of the way of local requests
+process.env.RATE_LIMIT_WHITELIST = '127.0.0.1,::1';
+
+// Mock the database connection before importing app
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(true));
+
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+const TEST_USER = {
+  username: 'sessionuser',
+  email: 'session@example.com',
+  password: 'TestPass123!',
+};
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Sessions and refresh tokens', () => {
+  let login;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+
+    await request(app).post('/api/auth/signup').send(TEST_USER).expect(201);
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: TEST_USER.email, password: TEST_USER.password })
+      .expect(200);
+    login = res.body;
+  });
+
+  test('login returns an access token and a refresh token', () => {
+    expect(login).toHaveProperty('token');
+    expect(login).toHaveProperty('refreshToken');
+    expect(login).toHaveProperty('expiresIn');
+  });
+
+  test('refresh rotates the refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.refreshToken })
+      .expect(200);
+
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.refreshToken).not.toBe(login.refreshToken);
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    const first = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.refreshToken })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.refreshToken })
+      .expect(401);
+
+    // The legitimately rotated token is now dead too
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: first.body.refreshToken })
+      .expect(401);
+  });
+
+  test('logout revokes the session behind the access token', async () => {
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${login.token}`)
+      .expect(200);
+
+    const res = await request(app)
+      .get('/api/user/folders')
+      .set('Authorization', `Bearer ${login.token}`);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Session revoked');
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.refreshToken })
+      .expect(401);
+  });
+
+  test('lists active sessions with device details', async () => {
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${login.token}`)
+      .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0)')
+      .expect(200);
+
+    // One session from signup, one from login
+    expect(res.body.data).toHaveLength(2);
+    const current = res.body.data.find((session) => session.current);
+    expect(current).toBeDefined();
+    expect(current).toHaveProperty('deviceType');
+    expect(current).toHaveProperty('lastSeenAt');
+  });
+
+  test('revoking other sessions keeps the current one', async () => {
+    const res = await request(app)
+      .delete('/api/auth/sessions')
+      .set('Authorization', `Bearer ${login.token}`)
+      .expect(200);
+    expect(res.body.revoked).toBe(1);
+
+    const list = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${login.token}`)
+      .expect(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].current).toBe(true);
+  });
+});
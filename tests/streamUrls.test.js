@@ -0,0 +1,64 @@
+const {
+  STREAM_URL_TTL,
+  signStreamPath,
+  verifyStreamSignature,
+} = require('../lib/streamUrls');
+
+// Parse "exp=...&sig=..." into a query object
+const toQuery = (queryString) =>
+  Object.fromEntries(new URLSearchParams(queryString));
+
+describe('Stream URLs', () => {
+  const now = Date.UTC(2024, 0, 1);
+
+  test('signs a path with an expiry STREAM_URL_TTL from now', () => {
+    const query = toQuery(signStreamPath('Album/01 Intro.mp3', now));
+
+    expect(Number(query.exp)).toBe(now / 1000 + STREAM_URL_TTL);
+    expect(query.sig).toMatch(/^[\w-]{43}$/);
+    expect(verifyStreamSignature('Album/01 Intro.mp3', query, now)).toBe(true);
+  });
+
+  test('accepts the same path written differently', () => {
+    const query = toQuery(signStreamPath('./Album//01 Intro.mp3', now));
+    expect(verifyStreamSignature('/Album/01 Intro.mp3/', query, now)).toBe(
+      true,
+    );
+  });
+
+  test('rejects other paths, changed expiries and bad signatures', () => {
+    const query = toQuery(signStreamPath('Album/01 Intro.mp3', now));
+
+    expect(verifyStreamSignature('Album/02 Outro.mp3', query, now)).toBe(false);
+    expect(
+      verifyStreamSignature(
+        'Album/01 Intro.mp3',
+        { ...query, exp: String(Number(query.exp) + 1) },
+        now,
+      ),
+    ).toBe(false);
+    expect(
+      verifyStreamSignature('Album/01 Intro.mp3', { ...query, sig: 'x' }, now),
+    ).toBe(false);
+    expect(verifyStreamSignature('Album/01 Intro.mp3', {}, now)).toBe(false);
+    expect(
+      verifyStreamSignature(
+        'Album/01 Intro.mp3',
+        { exp: ['1', '2'], sig: query.sig },
+        now,
+      ),
+    ).toBe(false);
+  });
+
+  test('rejects links once they expire', () => {
+    const query = toQuery(signStreamPath('Album/01 Intro.mp3', now));
+    const later = now + STREAM_URL_TTL * 1000;
+
+    expect(verifyStreamSignature('Album/01 Intro.mp3', query, later - 1)).toBe(
+      true,
+    );
+    expect(verifyStreamSignature('Album/01 Intro.mp3', query, later)).toBe(
+      false,
+    );
+  });
+});
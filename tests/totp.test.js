@@ -0,0 +1,89 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUri,
+} = require('../lib/totp');
+
+// RFC 6238 Appendix B test secret ("12345678901234567890" in ASCII)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP helpers', () => {
+  describe('base32', () => {
+    test('encodes RFC 4648 test vectors', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    });
+
+    test('decodes what it encodes, ignoring case and padding', () => {
+      const bytes = Buffer.from('any carnal pleasure');
+      const encoded = base32Encode(bytes);
+      expect(base32Decode(encoded.toLowerCase() + '===')).toEqual(bytes);
+    });
+
+    test('rejects invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateTOTP', () => {
+    test.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+    ])('matches RFC 6238 SHA-1 vector at T=%i', (seconds, expected) => {
+      expect(generateTOTP(RFC_SECRET, seconds * 1000, { digits: 8 })).toBe(
+        expected,
+      );
+    });
+
+    test('defaults to 6 digits', () => {
+      expect(generateTOTP(RFC_SECRET, 59 * 1000)).toBe('287082');
+    });
+  });
+
+  describe('verifyTOTP', () => {
+    const time = 1111111109 * 1000;
+
+    test('accepts the current code and returns its time step', () => {
+      const code = generateTOTP(RFC_SECRET, time);
+      expect(verifyTOTP(RFC_SECRET, code, { time })).toBe(
+        Math.floor(time / 30000),
+      );
+    });
+
+    test('accepts a code from the previous step within the window', () => {
+      const code = generateTOTP(RFC_SECRET, time - 30000);
+      expect(verifyTOTP(RFC_SECRET, code, { time })).not.toBeNull();
+    });
+
+    test('rejects codes outside the window', () => {
+      const code = generateTOTP(RFC_SECRET, time - 90000);
+      expect(verifyTOTP(RFC_SECRET, code, { time })).toBeNull();
+    });
+
+    test('rejects malformed codes', () => {
+      expect(verifyTOTP(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  test('generateSecret returns a 32 character base32 secret', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  test('buildOtpAuthUri includes the secret, label and issuer', () => {
+    const uri = buildOtpAuthUri({
+      secret: 'JBSWY3DPEHPK3PXP',
+      label: 'user@example.com',
+    });
+    expect(uri).toMatch(/^otpauth:\/\/totp\/MysticHits:user%40example\.com\?/);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(uri).toContain('issuer=MysticHits');
+  });
+});
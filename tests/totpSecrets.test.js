@@ -0,0 +1,71 @@
+const {
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+} = require('../lib/totpSecrets');
+const { generateSecret } = require('../lib/totp');
+
+describe('TOTP secret encryption', () => {
+  test('encrypts secrets so they no longer appear in the stored value', () => {
+    const secret = generateSecret();
+    const stored = encryptSecret(secret);
+
+    expect(isEncrypted(stored)).toBe(true);
+    expect(stored).not.toContain(secret);
+    expect(decryptSecret(stored)).toBe(secret);
+  });
+
+  test('uses a fresh IV for every encryption', () => {
+    const secret = generateSecret();
+    expect(encryptSecret(secret)).not.toBe(encryptSecret(secret));
+  });
+
+  test('reads secrets stored before encryption as they are', () => {
+    const secret = generateSecret();
+    expect(isEncrypted(secret)).toBe(false);
+    expect(decryptSecret(secret)).toBe(secret);
+  });
+
+  test('refuses values that were tampered with', () => {
+    const [version, iv, tag, ciphertext] =
+      encryptSecret(generateSecret()).split(':');
+    const flipped = Buffer.from(ciphertext, 'base64url');
+    flipped[0] ^= 1;
+
+    expect(() =>
+      decryptSecret(
+        [version, iv, tag, flipped.toString('base64url')].join(':'),
+      ),
+    ).toThrow();
+  });
+
+  test('requires a well-formed key outside the test suite', () => {
+    const { NODE_ENV, TOTP_ENCRYPTION_KEY } = process.env;
+    const loadKey = () => {
+      let getKey;
+      jest.isolateModules(() => {
+        ({ getKey } = require('../lib/totpSecrets'));
+      });
+      return getKey();
+    };
+
+    try {
+      process.env.NODE_ENV = 'development';
+      delete process.env.TOTP_ENCRYPTION_KEY;
+      expect(loadKey).toThrow('TOTP_ENCRYPTION_KEY must be set');
+
+      process.env.TOTP_ENCRYPTION_KEY = 'not-a-hex-key';
+      expect(loadKey).toThrow(/hex-encoded/);
+
+      process.env.TOTP_ENCRYPTION_KEY = 'ab'.repeat(32);
+      expect(loadKey()).toEqual(Buffer.alloc(32, 0xab));
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (TOTP_ENCRYPTION_KEY === undefined) {
+        delete process.env.TOTP_ENCRYPTION_KEY;
+      } else {
+        process.env.TOTP_ENCRYPTION_KEY = TOTP_ENCRYPTION_KEY;
+      }
+    }
+  });
+});
@@ -71,7 +71,156 @@ const sendPasswordResetEmail = async ({ email, resetUrl }) => {
   });
 };
 
+/**
+ * Send a one-time login link
+ * @param {Object} options - Magic link options
+ * @param {string} options.email - Recipient email address
+ * @param {string} options.loginUrl - One-time login URL
+ * @returns {Promise} - Resolves with the send result
+ */
+const sendMagicLinkEmail = async ({ email, loginUrl }) => {
+  const subject = 'Mystichits - Your login link';
+
+  const message = `
+    Hello from Mystichits!
+    
+    Click the link below to log in. The link can only be used once and expires shortly:
+    
+    ${loginUrl}
+    
+    If you didn't ask to log in, please ignore this email.
+    
+    Thanks,
+    The Mystichits Team
+  `;
+
+  return await sendEmail({
+    to: email,
+    subject,
+    text: message,
+  });
+};
+
+/**
+ * Send an email address verification email
+ * @param {Object} options - Verification options
+ * @param {string} options.email - Recipient email address
+ * @param {string} options.verifyUrl - Email verification URL
+ * @returns {Promise} - Resolves with the send result
+ */
+const sendVerificationEmail = async ({ email, verifyUrl }) => {
+  const subject = 'Mystichits - Please verify your email address';
+
+  const message = `
+    Hello from Mystichits!
+    
+    Please confirm your email address by clicking the link below:
+    
+    ${verifyUrl}
+    
+    If you didn't create a Mystichits account, please ignore this email.
+    
+    Thanks,
+    The Mystichits Team
+  `;
+
+  return await sendEmail({
+    to: email,
+    subject,
+    text: message,
+  });
+};
+
+/**
+ * Send an email telling the user their account was locked
+ * @param {Object} options - Lockout options
+ * @param {string} options.email - Recipient email address
+ * @param {string} options.unlockUrl - Account unlock URL
+ * @param {Date} options.lockUntil - When the lock expires on its own
+ * @returns {Promise} - Resolves with the send result
+ */
+const sendAccountLockedEmail = async ({ email, unlockUrl, lockUntil }) => {
+  const subject = 'Mystichits - Your account has been locked';
+
+  const message = `
+    Hello from Mystichits!
+    
+    We temporarily locked your account after too many failed sign-in attempts.
+    The lock will lift on its own at ${lockUntil.toUTCString()}.
+    
+    If this was you, you can unlock your account straight away here:
+    
+    ${unlockUrl}
+    
+    If this wasn't you, someone may be trying to guess your password.
+    We recommend resetting it and turning on two-factor authentication.
+    
+    Thanks,
+    The Mystichits Team
+  `;
+
+  return await sendEmail({
+    to: email,
+    subject,
+    text: message,
+  });
+};
+
+/**
+ * Tell a user about a sign-in from a device or place we haven't seen before
+ * @param {Object} options - Alert options
+ * @param {string} options.email - Recipient email address
+ * @param {Date} options.at - When the sign-in happened
+ * @param {string} options.device - Device description (type and user agent)
+ * @param {string} options.ip - IP address of the sign-in
+ * @param {string} [options.location] - Approximate location, if known
+ * @param {string} options.revokeUrl - Link that signs the device out
+ * @returns {Promise} - Resolves with the send result
+ */
+const sendNewSignInEmail = async ({
+  email,
+  at,
+  device,
+  ip,
+  location,
+  revokeUrl,
+}) => {
+  const subject = 'Mystichits - New sign-in to your account';
+
+  const message = `
+    Hello from Mystichits!
+    
+    Your account was just signed in to from a new device or location:
+    
+    Time: ${at.toUTCString()}
+    Device: ${device}
+    IP address: ${ip || 'Unknown'}
+    Location: ${location || 'Unknown'}
+    
+    If this was you, there's nothing to do.
+    
+    If this wasn't you, sign out every device straight away here:
+    
+    ${revokeUrl}
+    
+    Then reset your password and turn on two-factor authentication.
+    
+    Thanks,
+    The Mystichits Team
+  `;
+
+  return await sendEmail({
+    to: email,
+    subject,
+    text: message,
+  });
+};
+
 module.exports = {
   sendEmail,
+  sendAccountLockedEmail,
   sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendNewSignInEmail,
 };